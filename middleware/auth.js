@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Middleware to authenticate user
 const auth = async (req, res, next) => {
@@ -15,6 +16,13 @@ const auth = async (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Typed tokens (stream tickets, check-in tickets) are not access tokens
+      if (decoded.typ) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid token. Please login again.'
+        });
+      }
       const user = await User.findById(decoded.userId).select('-password');
       
       if (!user) {
@@ -31,8 +39,25 @@ const auth = async (req, res, next) => {
         });
       }
 
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password was changed recently. Please login again.'
+        });
+      }
+
+      // Access tokens are bound to a server-side session that can be revoked
+      const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+      if (!session || !session.isValid() || session.user.toString() !== user._id.toString()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or was revoked. Please login again.'
+        });
+      }
+
       req.user = user;
       req.token = token;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -49,6 +74,12 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Middleware to authenticate the user when a token is sent; anonymous requests pass through
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) return next();
+  return auth(req, res, next);
+};
+
 // Middleware to require admin role
 const requireAdmin = async (req, res, next) => {
   try {
@@ -130,6 +161,25 @@ const requireCoordinator = async (req, res, next) => {
   }
 };
 
+// Middleware to block unverified users when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isEmailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before registering for events'
+    });
+  }
+
+  next();
+};
+
 // Middleware to check specific permission
 const requirePermission = (permission) => {
   return async (req, res, next) => {
@@ -159,8 +209,10 @@ const requirePermission = (permission) => {
   };
 };
 
-// Middleware to check if user owns resource or has admin access
-const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id') => {
+// Middleware to check if user owns resource or has admin access. Moderators
+// only get through routes that opt in with allowModerators (their scoped
+// powers: check-in and the participant list).
+const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id', { allowModerators = false } = {}) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -196,12 +248,13 @@ const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id') => {
         return next();
       }
 
-      // Check if user is organizer or moderator
+      // Check if user is organizer
       if (resource.organizers && resource.organizers.includes(req.user._id)) {
         return next();
       }
 
-      if (resource.moderators && resource.moderators.includes(req.user._id)) {
+      // Moderators only where the route allows them
+      if (allowModerators && resource.moderators && resource.moderators.includes(req.user._id)) {
         return next();
       }
 
@@ -219,53 +272,6 @@ const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id') => {
   };
 };
 
-// Middleware to check if user can participate in event
-const canParticipateInEvent = async (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    const { eventId } = req.params;
-    if (!eventId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event ID required'
-      });
-    }
-
-    const Event = require('../models/Event');
-    const event = await Event.findById(eventId);
-    
-    if (!event) {
-      return res.status(404).json({
-        success: false,
-        message: 'Event not found'
-      });
-    }
-
-    // Check if user can register for this event
-    if (!event.canUserRegister(req.user._id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot register for this event'
-      });
-    }
-
-    req.event = event;
-    next();
-  } catch (error) {
-    console.error('Can participate middleware error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error checking event participation'
-    });
-  }
-};
-
 // Middleware to check if user is registered for event
 const isRegisteredForEvent = async (req, res, next) => {
   try {
@@ -276,7 +282,7 @@ const isRegisteredForEvent = async (req, res, next) => {
       });
     }
 
-    const { eventId } = req.params;
+    const eventId = req.params.eventId || req.params.id;
     if (!eventId) {
       return res.status(400).json({
         success: false,
@@ -285,6 +291,7 @@ const isRegisteredForEvent = async (req, res, next) => {
     }
 
     const Event = require('../models/Event');
+    const Registration = require('../models/Registration');
     const event = await Event.findById(eventId);
     
     if (!event) {
@@ -294,9 +301,14 @@ const isRegisteredForEvent = async (req, res, next) => {
       });
     }
 
-    // Check if user is registered
-    const participant = event.participants.find(p => p.userId.toString() === req.user._id.toString());
-    if (!participant) {
+    // Check if user is registered (waitlisted users do not hold a registration yet)
+    const registration = await Registration.findOne({
+      event: event._id,
+      participant: req.user._id,
+      isActive: true,
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    if (!registration) {
       return res.status(400).json({
         success: false,
         message: 'You are not registered for this event'
@@ -304,7 +316,7 @@ const isRegisteredForEvent = async (req, res, next) => {
     }
 
     req.event = event;
-    req.participant = participant;
+    req.registration = registration;
     next();
   } catch (error) {
     console.error('Is registered middleware error:', error);
@@ -347,12 +359,13 @@ const rateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   auth,
+  optionalAuth,
   requireAdmin,
   requireFaculty,
   requireCoordinator,
+  requireVerifiedEmail,
   requirePermission,
   requireOwnershipOrAdmin,
-  canParticipateInEvent,
   isRegisteredForEvent,
   rateLimit
 };
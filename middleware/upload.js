@@ -1,27 +1,35 @@
 const multer = require('multer');
 const path = require('path');
+const { detectImageType, createThumbnail } = require('../utils/images');
+const { contentTypeFor, getStorage } = require('../utils/storage');
+const { MAX_FORM_FILE_MB } = require('../utils/registrationForms');
 
-// Configure storage for event posters
-const posterStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/posters/');
+// Upload settings per image kind
+const uploadTypes = {
+  poster: {
+    directory: 'posters',
+    prefix: 'poster-',
+    maxSize: 5 * 1024 * 1024, // 5MB limit
+    thumbnail: { width: 400 }
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'poster-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-// Configure storage for profile images
-const profileStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/profiles/');
+  profileImage: {
+    directory: 'profiles',
+    prefix: 'profile-',
+    maxSize: 2 * 1024 * 1024, // 2MB limit
+    thumbnail: { width: 150, height: 150 }
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
+  // Organizer signatures, stored privately by utils/certificates
+  signature: {
+    maxSize: 1 * 1024 * 1024 // 1MB limit
+  },
+  // Answers to registration form file fields, stored by utils/registrationForms
+  formFile: {
+    maxSize: MAX_FORM_FILE_MB * 1024 * 1024
   }
-});
+};
+
+// Files are kept in memory until they are validated and handed to the storage driver
+const storage = multer.memoryStorage();
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -33,38 +41,127 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Form fields also take PDFs; the content is checked again when stored
+const formFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image and PDF files are allowed!'), false);
+  }
+};
+
 // Configure multer for different upload types
 const uploadPoster = multer({
-  storage: posterStorage,
+  storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
+    fileSize: uploadTypes.poster.maxSize
   }
 });
 
 const uploadProfile = multer({
-  storage: profileStorage,
+  storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 2 * 1024 * 1024, // 2MB limit
+    fileSize: uploadTypes.profileImage.maxSize
   }
 });
 
+const uploadSignature = multer({
+  storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: uploadTypes.signature.maxSize
+  }
+});
+
+const uploadFormFile = multer({
+  storage,
+  fileFilter: formFileFilter,
+  limits: {
+    fileSize: uploadTypes.formFile.maxSize
+  }
+});
+
+const thumbnailKeyFor = (key) => {
+  return path.posix.join(path.posix.dirname(key), 'thumbnails', path.posix.basename(key));
+};
+
+// Delete a stored upload and its thumbnail (ignores URLs the storage does not own)
+const removeUpload = async (url) => {
+  const fileStorage = getStorage();
+  const key = fileStorage.keyFromUrl(url);
+  if (!key) return;
+
+  await Promise.all([key, thumbnailKeyFor(key)].map(fileKey =>
+    fileStorage.remove(fileKey).catch(error => console.error('Remove upload error:', error))
+  ));
+};
+
+// Middleware to check the uploaded file really is an image, build its thumbnail
+// and store both. Sets req.file.url and req.file.thumbnailUrl on success.
+const processImage = async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'No image file uploaded' });
+  }
+
+  try {
+    const format = detectImageType(req.file.buffer);
+    if (!format) {
+      return res.status(400).json({ message: 'Uploaded file is not a valid JPEG, PNG, GIF or WebP image' });
+    }
+
+    const settings = uploadTypes[req.file.fieldname];
+
+    let thumbnail;
+    try {
+      thumbnail = await createThumbnail(req.file.buffer, { ...settings.thumbnail, format });
+    } catch (imageError) {
+      // The header looked right but the image itself cannot be decoded
+      return res.status(400).json({ message: 'Uploaded image is corrupted or unreadable' });
+    }
+
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const key = `${settings.directory}/${settings.prefix}${uniqueSuffix}.${format === 'jpeg' ? 'jpg' : format}`;
+    const thumbnailKey = thumbnailKeyFor(key);
+    const contentType = contentTypeFor(key);
+
+    const fileStorage = getStorage();
+    await fileStorage.put(key, req.file.buffer, { contentType });
+    await fileStorage.put(thumbnailKey, thumbnail, { contentType });
+
+    req.file.format = format;
+    req.file.key = key;
+    req.file.url = fileStorage.getUrl(key);
+    req.file.thumbnailUrl = fileStorage.getUrl(thumbnailKey);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Error handling middleware
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
+      const maxSize = uploadTypes[error.field] ? uploadTypes[error.field].maxSize : uploadTypes.poster.maxSize;
+      return res.status(400).json({ message: `File too large. Maximum size is ${maxSize / (1024 * 1024)}MB.` });
     }
-  } else if (error.message === 'Only image files are allowed!') {
+    return res.status(400).json({ message: error.message });
+  } else if (error.message === 'Only image files are allowed!' || error.message === 'Only image and PDF files are allowed!') {
     return res.status(400).json({ message: error.message });
   }
-  
+
   next(error);
 };
 
 module.exports = {
   uploadPoster: uploadPoster.single('poster'),
   uploadProfile: uploadProfile.single('profileImage'),
+  uploadSignature: uploadSignature.single('signature'),
+  uploadFormFile: uploadFormFile.single('formFile'),
+  processImage,
+  removeUpload,
+  thumbnailKeyFor,
   handleUploadError
 };
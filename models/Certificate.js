@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const certificateSchema = new mongoose.Schema({
+  // Public identifier printed on the certificate and used for verification
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of what was printed, so verification matches the PDF even if
+  // the user or event is edited later
+  recipientName: {
+    type: String,
+    required: true
+  },
+  // Team the recipient competed in, at team events
+  teamName: String,
+  eventTitle: {
+    type: String,
+    required: true
+  },
+  eventStartDate: Date,
+  eventEndDate: Date,
+  // Storage key of the generated PDF
+  fileKey: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+certificateSchema.index({ participant: 1, issuedAt: -1 });
+certificateSchema.index({ event: 1 });
+
+// Static method to generate an unguessable certificate ID (e.g. ES-3F9A-C21B-77D0)
+certificateSchema.statics.generateCertificateId = function() {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `ES-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+};
+
+// Method to get the public verification details
+certificateSchema.methods.toVerification = function() {
+  return {
+    certificateId: this.certificateId,
+    recipientName: this.recipientName,
+    teamName: this.teamName,
+    eventTitle: this.eventTitle,
+    eventStartDate: this.eventStartDate,
+    eventEndDate: this.eventEndDate,
+    issuedAt: this.issuedAt
+  };
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
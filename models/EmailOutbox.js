@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Template the message was rendered from (for filtering and debugging)
+  template: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: String,
+  html: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending, so crashed sends can be picked up again
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  // What the email is about
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedAt: 1 });
+emailOutboxSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { defaultTimezone, isValidTimezone, toCalendarDay, scheduleInstants } = require('../utils/timezones');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -20,13 +21,16 @@ const eventSchema = new mongoose.Schema({
     required: true,
     enum: ['Technical', 'Cultural', 'Sports', 'Academic', 'Workshop', 'Seminar', 'Competition', 'Other']
   },
+  // Calendar days (UTC midnight) and wall-clock times in the event's timezone
   startDate: {
     type: Date,
-    required: true
+    required: true,
+    set: toCalendarDay
   },
   endDate: {
     type: Date,
-    required: true
+    required: true,
+    set: toCalendarDay
   },
   startTime: {
     type: String,
@@ -36,10 +40,34 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // IANA timezone the dates and times are in
+  timezone: {
+    type: String,
+    default: defaultTimezone,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be an IANA timezone such as Asia/Kolkata'
+    }
+  },
+  // When the event really starts and ends; derived from the fields above
+  // (from the sessions for a series)
+  startsAt: Date,
+  endsAt: Date,
   venue: {
     type: String,
     required: true
   },
+  // Room booked for the event (venue then holds its label); unset for
+  // online events and places that are not booked through EventSphere
+  bookedVenue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  // Saved by an admin despite overlapping another booking of the same venue
+  venueConflict: {
+    type: Boolean,
+    default: false
+  },
   maxParticipants: {
     type: Number,
     default: 0
@@ -48,6 +76,17 @@ const eventSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Waitlist once maxParticipants is reached
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Hours a promoted student has to accept a freed seat
+  waitlistOfferWindowHours: {
+    type: Number,
+    default: 24,
+    min: 1
+  },
   registrationDeadline: {
     type: Date,
     required: true
@@ -56,6 +95,10 @@ const eventSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  imageThumbnail: {
+    type: String,
+    default: ''
+  },
   status: {
     type: String,
     enum: ['Past', 'Upcoming', 'Live'],
@@ -87,6 +130,40 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Certificate layout; bodyText supports {{name}}, {{event}}, {{dates}} and {{team}}
+  certificateTemplate: {
+    title: {
+      type: String,
+      trim: true,
+      default: 'Certificate of Participation'
+    },
+    bodyText: {
+      type: String,
+      trim: true,
+      default: 'This is to certify that {{name}} has successfully participated in {{event}} held {{dates}}.'
+    },
+    signatoryName: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    signatoryTitle: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Private storage key of the organizer signature (a PNG), read only when
+    // certificates are rendered
+    signatureKey: {
+      type: String,
+      default: ''
+    },
+    // Public URL of a signature uploaded before signatures were kept private
+    signatureImage: {
+      type: String,
+      default: ''
+    }
+  },
   hasPrize: {
     type: Boolean,
     default: false
@@ -102,38 +179,13 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Coordinators the organizers approved (see utils/registrations); they can
+  // check attendees in and see the participant list, but not run the event
   moderators: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  // Participation tracking
-  participants: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    registrationDate: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
-      type: String,
-      enum: ['registered', 'attended', 'completed', 'cancelled'],
-      default: 'registered'
-    },
-    attendanceMarked: {
-      type: Boolean,
-      default: false
-    },
-    attendanceDate: Date,
-    quizScore: Number,
-    certificateIssued: {
-      type: Boolean,
-      default: false
-    },
-    certificateIssuedDate: Date
-  }],
-  // Event analytics
+  // Event analytics (registration counters are derived from the Registration collection)
   views: {
     type: Number,
     default: 0
@@ -164,6 +216,53 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Reminders already sent ('24h', '1h'); cleared when the start date moves
+  remindersSent: [{
+    type: String,
+    enum: ['24h', '1h']
+  }],
+  feedbackRequestSent: {
+    type: Boolean,
+    default: false
+  },
+  // Set by the scheduler once registrationDeadline has passed
+  registrationClosed: {
+    type: Boolean,
+    default: false
+  },
+  // Recurring or multi-session event: the dates span every session (see EventSession)
+  isSeries: {
+    type: Boolean,
+    default: false
+  },
+  // Rule the sessions were generated from (FREQ/INTERVAL/BYDAY/COUNT/UNTIL of RRULE)
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly']
+    },
+    interval: Number,
+    byWeekday: [{
+      type: String,
+      enum: ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+    }],
+    count: Number,
+    until: Date
+  },
+  // iCalendar SEQUENCE; bumped on schedule/venue changes and cancellation
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
+  // Lease taken while seats are counted and given out (see utils/waitlist.js)
+  seatsLockedBy: {
+    type: String,
+    select: false
+  },
+  seatsLockedUntil: {
+    type: Date,
+    select: false
+  },
   // Event tags for search
   tags: [String],
   // Event visibility
@@ -171,8 +270,88 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  allowedDepartments: [String],
-  allowedYears: [String],
+  // Who may register (and, for private events, see the event); an empty
+  // list leaves that attribute open. Checked by utils/eligibility.
+  allowedDepartments: [{ type: String, trim: true }],
+  allowedYears: [{ type: String, trim: true }],
+  allowedSemesters: [{ type: String, trim: true }],
+  allowedRoles: [{ type: String, trim: true }],
+  // Registration needs an invitation (see models/Invitation)
+  inviteOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Competitions can take entries from teams only (see models/Team);
+  // sizes count the captain
+  teams: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    minSize: {
+      type: Number,
+      min: 1,
+      default: 2
+    },
+    maxSize: {
+      type: Number,
+      min: 1,
+      default: 4
+    }
+  },
+  // Extra questions asked at registration, checked by utils/registrationForms;
+  // answers are stored on the registration under the field's key
+  registrationForm: [{
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    type: {
+      type: String,
+      enum: ['text', 'select', 'checkbox', 'file', 'number'],
+      required: true
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    helpText: {
+      type: String,
+      trim: true
+    },
+    // select: the choices, and whether more than one can be picked
+    options: [{ type: String, trim: true }],
+    multiple: {
+      type: Boolean,
+      default: false
+    },
+    // text: length limits and a pattern the whole answer must match
+    minLength: Number,
+    maxLength: Number,
+    pattern: String,
+    // number: range, and whether only whole numbers are accepted
+    min: Number,
+    max: Number,
+    integer: {
+      type: Boolean,
+      default: false
+    },
+    // file: accepted kinds (any of image, pdf when empty) and size limit
+    accept: [{ type: String, enum: ['image', 'pdf'] }],
+    maxSizeMb: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5
+    }
+  }],
   // Event cost
   isFree: {
     type: Boolean,
@@ -192,10 +371,12 @@ const eventSchema = new mongoose.Schema({
 
 // Indexes for better performance
 eventSchema.index({ startDate: 1, status: 1 });
+eventSchema.index({ startsAt: 1 });
+eventSchema.index({ endsAt: 1 });
+eventSchema.index({ bookedVenue: 1, startsAt: 1 });
 eventSchema.index({ category: 1, status: 1 });
 eventSchema.index({ createdBy: 1 });
 eventSchema.index({ tags: 1 });
-eventSchema.index({ 'participants.userId': 1 });
 
 // Virtual for event duration
 eventSchema.virtual('duration').get(function() {
@@ -207,6 +388,11 @@ eventSchema.virtual('duration').get(function() {
   return 0;
 });
 
+// Virtual for whether registering has to be paid for
+eventSchema.virtual('requiresPayment').get(function() {
+  return !this.isFree && this.cost > 0;
+});
+
 // Virtual for registration status
 eventSchema.virtual('isRegistrationOpen').get(function() {
   if (!this.registrationDeadline) return false;
@@ -219,59 +405,104 @@ eventSchema.virtual('eventStatus').get(function() {
   if (this.status === 'Past') return 'Past';
   if (this.status === 'Upcoming') return 'Upcoming';
   if (this.status === 'Live') return 'Live';
-  // Fallback: auto-detect based on dates if needed
-  if (now < this.startDate) return 'Live';
-  if (now >= this.startDate && now <= this.endDate) return 'Upcoming';
-  if (now > this.endDate) return 'Past';
+  // Fallback: auto-detect based on start and end times if needed
+  if (now < this.startsAt) return 'Upcoming';
+  if (now >= this.startsAt && now <= this.endsAt) return 'Live';
+  if (now > this.endsAt) return 'Past';
   return 'unknown';
 });
 
-// Method to check if user can register
-eventSchema.methods.canUserRegister = function(userId) {
-  // Check if user is already registered
-  const existingParticipant = this.participants.find(p => p.userId.toString() === userId.toString());
-  if (existingParticipant) return false;
-  
-  // Check if registration is open
-  if (!this.isRegistrationOpen) return false;
-  
-  // Check if event is full
-  if (this.maxParticipants > 0 && this.currentParticipants >= this.maxParticipants) return false;
-  
-  return true;
+// Work out startsAt/endsAt from the dates, times and timezone (a series takes
+// them from its sessions instead) and check them. Returns what is wrong with
+// the schedule, or null.
+eventSchema.methods.applySchedule = function() {
+  if (!this.isSeries) {
+    const { startsAt, endsAt } = scheduleInstants(this, this.timezone);
+    if (!startsAt) return 'Start time must be a time such as 14:30 or 2:30 PM';
+    if (!endsAt) return 'End time must be a time such as 14:30 or 2:30 PM';
+    this.startsAt = startsAt;
+    this.endsAt = endsAt;
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    return 'Event must end after it starts';
+  }
+  if (this.registrationDeadline && this.startsAt && this.registrationDeadline > this.startsAt) {
+    return 'Registration deadline must not be after the event starts';
+  }
+  return null;
 };
 
-// Method to register user for event
-eventSchema.methods.registerUser = function(userId) {
-  if (!this.canUserRegister(userId)) {
-    throw new Error('User cannot register for this event');
+// Whether a form pattern could take exponentially long to match an answer: it
+// repeats a group holding a quantifier or alternatives, such as (a+)+ or
+// (a|ab)*, or uses a backreference. Errs on the side of rejecting.
+const isSlowPattern = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) return true;
+
+  // For each open group, whether it holds a quantifier or alternatives
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const risky = groups.pop();
+      const repeated = ['*', '+', '{'].includes(pattern[i + 1]);
+      if (risky && repeated) return true;
+      if (groups.length > 0) groups[groups.length - 1] = groups[groups.length - 1] || risky || repeated;
+    } else if (groups.length > 0 && '*+?{|'.includes(char) && !(char === '?' && pattern[i - 1] === '(')) {
+      groups[groups.length - 1] = true;
+    }
   }
-  
-  this.participants.push({
-    userId,
-    registrationDate: new Date(),
-    status: 'registered'
-  });
-  
-  this.currentParticipants++;
-  this.registrations++;
-  
-  return this.save();
+  return false;
 };
 
-// Method to mark attendance
-eventSchema.methods.markAttendance = function(userId) {
-  const participant = this.participants.find(p => p.userId.toString() === userId.toString());
-  if (!participant) {
-    throw new Error('User is not registered for this event');
+// Check the registration form fields fit together; returns an error message or null
+eventSchema.methods.checkRegistrationForm = function() {
+  const keys = new Set();
+  for (const field of this.registrationForm || []) {
+    if (keys.has(field.key)) return `Registration form has more than one field with the key ${field.key}`;
+    keys.add(field.key);
+
+    if (field.type === 'select' && (!field.options || field.options.length === 0)) {
+      return `${field.label} needs options to choose from`;
+    }
+    if (field.type === 'select' && new Set(field.options).size !== field.options.length) {
+      return `${field.label} has the same option more than once`;
+    }
+    if (typeof field.minLength === 'number' && typeof field.maxLength === 'number' && field.minLength > field.maxLength) {
+      return `${field.label} has a minimum length above its maximum`;
+    }
+    if (typeof field.min === 'number' && typeof field.max === 'number' && field.min > field.max) {
+      return `${field.label} has a minimum above its maximum`;
+    }
+    if (field.pattern) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        return `${field.label} has an invalid pattern`;
+      }
+      if (isSlowPattern(field.pattern)) {
+        return `${field.label} has a pattern that repeats a group with quantifiers or alternatives, or uses a backreference; simplify it`;
+      }
+    }
   }
-  
-  participant.attendanceMarked = true;
-  participant.attendanceDate = new Date();
-  participant.status = 'attended';
-  this.attendance++;
-  
-  return this.save();
+  return null;
+};
+
+// Check the team settings; returns an error message or null
+eventSchema.methods.checkTeams = function() {
+  if (!this.teams || !this.teams.enabled) return null;
+  if (this.category !== 'Competition') return 'Only Competition events can take team entries';
+  if (this.teams.minSize > this.teams.maxSize) return 'Minimum team size cannot be more than the maximum';
+  return null;
 };
 
 // Method to update event status
@@ -280,6 +511,28 @@ eventSchema.methods.updateStatus = function(newStatus) {
   return this.save();
 };
 
+// Works whether or not the staff fields are populated
+const refMatcher = (user) => {
+  const userId = user._id.toString();
+  return (ref) => Boolean(ref) && (ref._id || ref).toString() === userId;
+};
+
+// Check whether a user runs this event (creator or organizer)
+eventSchema.methods.isOrganizer = function(user) {
+  const matches = refMatcher(user);
+  return matches(this.createdBy) || (this.organizers || []).some(matches);
+};
+
+// Check whether a user is an approved coordinator of this event
+eventSchema.methods.isModerator = function(user) {
+  return (this.moderators || []).some(refMatcher(user));
+};
+
+// Check whether a user is on the event's staff (organizer or moderator)
+eventSchema.methods.isStaff = function(user) {
+  return this.isOrganizer(user) || this.isModerator(user);
+};
+
 // Method to get event statistics
 eventSchema.methods.getStatistics = function() {
   return {
@@ -301,7 +554,7 @@ eventSchema.statics.findByStatus = function(status) {
 eventSchema.statics.findUpcoming = function() {
   const now = new Date();
   return this.find({
-    startDate: { $gt: now },
+    startsAt: { $gt: now },
     status: 'Upcoming',
     isActive: true
   }).sort({ startDate: 1 });
@@ -311,8 +564,8 @@ eventSchema.statics.findUpcoming = function() {
 eventSchema.statics.findOngoing = function() {
   const now = new Date();
   return this.find({
-    startDate: { $lte: now },
-    endDate: { $gte: now },
+    startsAt: { $lte: now },
+    endsAt: { $gte: now },
     status: 'Live',
     isActive: true
   });
@@ -322,7 +575,7 @@ eventSchema.statics.findOngoing = function() {
 eventSchema.statics.findCompleted = function() {
   const now = new Date();
   return this.find({
-    endDate: { $lt: now },
+    endsAt: { $lt: now },
     status: 'Past',
     isActive: true
   }).sort({ endDate: -1 });
@@ -354,14 +607,29 @@ eventSchema.statics.search = function(query) {
 };
 
 
-// Pre-save hook to set status based on dates
+const SCHEDULE_FIELDS = ['startDate', 'endDate', 'startTime', 'endTime', 'timezone', 'registrationDeadline', 'isSeries'];
+
+// Keep startsAt/endsAt current. Only new or rescheduled events are rejected
+// for a bad schedule; older documents are filled in when they can be.
+eventSchema.pre('validate', function(next) {
+  const rescheduled = this.isNew || SCHEDULE_FIELDS.some(field => this.isModified(field));
+  if (rescheduled || !this.startsAt) {
+    const error = this.applySchedule();
+    if (error && rescheduled) {
+      this.invalidate('startsAt', error);
+    }
+  }
+  next();
+});
+
+// Pre-save hook to set status based on the start and end times
 eventSchema.pre('save', function(next) {
   const now = new Date();
-  if (this.endDate && now > this.endDate) {
+  if (this.endsAt && now > this.endsAt) {
     this.status = 'Past';
-  } else if (this.startDate && now < this.startDate) {
+  } else if (this.startsAt && now < this.startsAt) {
     this.status = 'Upcoming';
-  } else if (this.startDate && this.endDate && now >= this.startDate && now <= this.endDate) {
+  } else if (this.startsAt && this.endsAt && now >= this.startsAt && now <= this.endsAt) {
     this.status = 'Live';
   }
   next();
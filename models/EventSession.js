@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { toCalendarDay } = require('../utils/timezones');
+
+// One occurrence of a recurring or multi-session event. Registration happens
+// on the parent event and covers every session.
+const eventSessionSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Optional label, e.g. "Week 3: Version control"
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // Calendar days and wall-clock times in the event's timezone, as on Event
+  startDate: {
+    type: Date,
+    required: true,
+    set: toCalendarDay
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    set: toCalendarDay
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  // Derived from the fields above and the event's timezone
+  startsAt: Date,
+  endsAt: Date,
+  // Empty when the session takes place at the event's venue
+  venue: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  // Start the recurrence rule generated this session with (unset for sessions added by hand)
+  originalStartDate: Date,
+  // Edited on its own; recurrence rule changes leave it alone
+  isException: {
+    type: Boolean,
+    default: false
+  },
+  // iCalendar SEQUENCE of this session
+  calendarSequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+eventSessionSchema.index({ event: 1, startDate: 1 });
+eventSessionSchema.index({ event: 1, startsAt: 1 });
+eventSessionSchema.index({ event: 1, originalStartDate: 1 });
+
+eventSessionSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'Session end date must not be before its start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('EventSession', eventSessionSchema);
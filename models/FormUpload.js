@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// A file uploaded for a file field of an event's registration form that no
+// registration has used yet. Each person keeps at most one per field: a new
+// upload replaces the previous file. Registering with the file removes the
+// record; files left unused are deleted by the clean-up-form-uploads job.
+const formUploadSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Key of the form field the file answers
+  field: {
+    type: String,
+    required: true
+  },
+  fileKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+formUploadSchema.index({ event: 1, user: 1, field: 1 }, { unique: true });
+formUploadSchema.index({ updatedAt: 1 });
+
+module.exports = mongoose.model('FormUpload', formUploadSchema);
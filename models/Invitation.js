@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// An invitation to an event. Codes are handed out or shared as links and can
+// be used up to maxUses times; personal invitations go to one email address
+// (and the account behind it, if any) and can only be used by that person.
+const invitationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // What people type in or find in their link; stored upper-case
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['code', 'link', 'personal'],
+    default: 'code'
+  },
+  // Organizer's note, e.g. "Alumni mailing list"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  // Recipient of a personal invitation
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Registrations the invitation allows; unset means unlimited
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+  // Revoked invitations stop working
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Who registered with it
+  redemptions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    registration: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Registration'
+    },
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  sentAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invitationSchema.index({ event: 1, createdAt: -1 });
+invitationSchema.index({ event: 1, email: 1 });
+
+invitationSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+invitationSchema.methods.isUsedUp = function() {
+  return Boolean(this.maxUses && this.uses >= this.maxUses);
+};
+
+invitationSchema.methods.hasRedeemed = function(user) {
+  return this.redemptions.some(redemption => redemption.user.toString() === user._id.toString());
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job; whoever holds the lock runs the job
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lockedBy: String,
+  lockedUntil: Date,
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastError: String,
+  lastResult: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Static method to take the lock for a job. Resolves to true when acquired.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs), lastStartedAt: now } },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The upsert hits the unique name index when another instance holds the lock
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Static method to release a job lock and record how the run went
+jobLockSchema.statics.release = function(name, owner, { result, error } = {}) {
+  return this.updateOne(
+    { name, lockedBy: owner },
+    {
+      $set: {
+        lockedUntil: new Date(),
+        lastFinishedAt: new Date(),
+        lastError: error ? error.message : null,
+        lastResult: result
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
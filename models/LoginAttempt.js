@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'invalid_credentials', 'unknown_user', 'account_deactivated', 'account_locked', 'throttled'],
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Static method to record a login attempt from a request
+loginAttemptSchema.statics.record = function(req, { user, email, success, reason }) {
+  return this.create({
+    user: user ? user._id : undefined,
+    email,
+    success,
+    reason,
+    ipAddress: req.ip || '',
+    userAgent: req.get('User-Agent') || ''
+  });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
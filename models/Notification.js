@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Preference category the notification belongs to (see User notificationPreferences)
+  category: {
+    type: String,
+    enum: ['registration', 'waitlist', 'eventUpdates', 'reminders', 'feedback', 'newEvents', 'invitations'],
+    required: true
+  },
+  // What happened, e.g. 'registrationCreated' or 'eventCancelled'
+  type: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // Client path to open when the notification is clicked
+  link: String,
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
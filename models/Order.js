@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amount in the currency's smallest unit (paise for INR)
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerOrderId: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: String,
+  // Data the client needs to open the provider's checkout
+  checkout: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'expired', 'cancelled', 'refund_pending', 'refunded', 'refund_failed'],
+    default: 'created'
+  },
+  expiresAt: Date,
+  paidAt: Date,
+  failureReason: String,
+  refund: {
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    requestedAt: Date,
+    refundedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+orderSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+orderSchema.index({ provider: 1, providerPaymentId: 1 });
+orderSchema.index({ registration: 1, createdAt: -1 });
+orderSchema.index({ participant: 1, createdAt: -1 });
+
+// Method to check if the order can still be paid
+orderSchema.methods.isOpen = function() {
+  return this.status === 'created' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get the order as shown to the buyer
+orderSchema.methods.toClient = function() {
+  return {
+    id: this._id,
+    registration: this.registration,
+    event: this.event,
+    amount: this.amount,
+    currency: this.currency,
+    provider: this.provider,
+    status: this.status,
+    expiresAt: this.expiresAt,
+    paidAt: this.paidAt,
+    checkout: this.isOpen() ? this.checkout : undefined,
+    refund: this.refund && this.refund.requestedAt ? this.refund : undefined
+  };
+};
+
+module.exports = mongoose.model('Order', orderSchema);
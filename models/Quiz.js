@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['single', 'multiple', 'short'],
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Choices for single and multiple choice questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Indexes into options that are correct
+  correctOptions: [Number],
+  // Accepted answers for short answer questions (compared case-insensitively)
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  points: {
+    type: Number,
+    default: 1,
+    min: 0
+  }
+});
+
+// Check a question is answerable before it is saved
+questionSchema.pre('validate', function(next) {
+  if (this.type === 'short') {
+    if (this.acceptedAnswers.length === 0) {
+      this.invalidate('acceptedAnswers', 'Short answer questions need at least one accepted answer');
+    }
+    return next();
+  }
+
+  if (this.options.length < 2) {
+    this.invalidate('options', 'Choice questions need at least two options');
+  }
+  if (this.correctOptions.some(index => !Number.isInteger(index) || index < 0 || index >= this.options.length)) {
+    this.invalidate('correctOptions', 'Correct options must point at existing options');
+  }
+  if (this.type === 'single' && this.correctOptions.length !== 1) {
+    this.invalidate('correctOptions', 'Single choice questions need exactly one correct option');
+  }
+  if (this.type === 'multiple' && this.correctOptions.length === 0) {
+    this.invalidate('correctOptions', 'Multiple choice questions need at least one correct option');
+  }
+  next();
+});
+
+const quizSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  questions: {
+    type: [questionSchema],
+    validate: [questions => questions.length > 0, 'A quiz needs at least one question']
+  },
+  timeLimitMinutes: {
+    type: Number,
+    default: 15,
+    min: 1
+  },
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Percentage needed to pass
+  passingScore: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  // Only participants who passed can be issued a certificate
+  requirePassForCertificate: {
+    type: Boolean,
+    default: false
+  },
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for the highest possible score
+quizSchema.virtual('maxScore').get(function() {
+  return this.questions.reduce((total, question) => total + question.points, 0);
+});
+
+const normalizeAnswer = (text) => (text || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Method to get the quiz as shown to participants (no answers)
+quizSchema.methods.toParticipantView = function() {
+  return {
+    id: this._id,
+    event: this.event,
+    title: this.title,
+    description: this.description,
+    timeLimitMinutes: this.timeLimitMinutes,
+    maxAttempts: this.maxAttempts,
+    passingScore: this.passingScore,
+    questions: this.questions.map(question => ({
+      id: question._id,
+      type: question.type,
+      prompt: question.prompt,
+      options: question.type === 'short' ? undefined : question.options,
+      points: question.points
+    }))
+  };
+};
+
+// Method to grade answers ([{ questionId, selectedOptions, textAnswer }]).
+// Choice questions score only when exactly the correct options are selected.
+quizSchema.methods.grade = function(answers = []) {
+  const byQuestion = new Map(answers.map(answer => [String(answer.questionId), answer]));
+  let score = 0;
+
+  const graded = this.questions.map(question => {
+    const answer = byQuestion.get(question._id.toString()) || {};
+    let correct;
+
+    if (question.type === 'short') {
+      const given = normalizeAnswer(answer.textAnswer);
+      correct = given !== '' && question.acceptedAnswers.some(accepted => normalizeAnswer(accepted) === given);
+    } else {
+      const selected = [...new Set((answer.selectedOptions || []).map(Number))].sort();
+      const expected = [...question.correctOptions].sort();
+      correct = selected.length === expected.length && selected.every((index, i) => index === expected[i]);
+    }
+
+    const pointsAwarded = correct ? question.points : 0;
+    score += pointsAwarded;
+
+    return {
+      questionId: question._id,
+      selectedOptions: answer.selectedOptions || [],
+      textAnswer: answer.textAnswer,
+      correct,
+      pointsAwarded
+    };
+  });
+
+  const maxScore = this.maxScore;
+  const percentage = maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+
+  return {
+    answers: graded,
+    score,
+    maxScore,
+    percentage,
+    passed: percentage >= this.passingScore
+  };
+};
+
+module.exports = mongoose.model('Quiz', quizSchema);
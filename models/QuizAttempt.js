@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Late submissions within this many seconds still count (network delays)
+const SUBMISSION_GRACE_SECONDS = 30;
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'expired'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: Date,
+  answers: [{
+    questionId: mongoose.Schema.Types.ObjectId,
+    selectedOptions: [Number],
+    textAnswer: String,
+    correct: Boolean,
+    pointsAwarded: Number
+  }],
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+quizAttemptSchema.index({ quiz: 1, participant: 1, startedAt: -1 });
+quizAttemptSchema.index({ quiz: 1, status: 1, percentage: -1 });
+// One running attempt per participant, so parallel starts cannot exceed maxAttempts
+quizAttemptSchema.index(
+  { quiz: 1, participant: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+// Method to check whether the time limit (plus grace) has run out
+quizAttemptSchema.methods.isOverdue = function(now = new Date()) {
+  return now.getTime() > this.expiresAt.getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+};
+
+// Virtual for time taken in seconds
+quizAttemptSchema.virtual('durationSeconds').get(function() {
+  if (!this.submittedAt) return null;
+  return Math.round((this.submittedAt - this.startedAt) / 1000);
+});
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
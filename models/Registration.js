@@ -18,9 +18,24 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'rejected', 'cancelled'],
+    enum: ['pending', 'confirmed', 'rejected', 'cancelled', 'waitlisted'],
     default: 'pending'
   },
+  // Payment for paid events; the seat is held as 'pending' until paymentDueAt
+  paymentStatus: {
+    type: String,
+    enum: ['not_required', 'awaiting_payment', 'paid', 'expired', 'refund_pending', 'refunded', 'refund_failed'],
+    default: 'not_required'
+  },
+  paymentDueAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Waitlist tracking (status 'waitlisted')
+  waitlistedAt: Date,
+  offeredAt: Date,
+  offerExpiresAt: Date,
   registrationDate: {
     type: Date,
     default: Date.now
@@ -32,6 +47,41 @@ const registrationSchema = new mongoose.Schema({
   attendanceDate: {
     type: Date
   },
+  // Who recorded the attendance and how (ticket scan, offline batch upload or by user ID)
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkInMethod: {
+    type: String,
+    enum: ['scan', 'offline', 'manual']
+  },
+  // Carried in the check-in ticket; renewed whenever the registration is
+  // reused, so tickets issued before then stop working
+  ticketNonce: String,
+  // Attendance per session of a recurring or multi-session event
+  sessionAttendance: [{
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EventSession',
+      required: true
+    },
+    attendedAt: {
+      type: Date,
+      default: Date.now
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Quiz and certificate outcomes
+  quizScore: Number,
+  certificateIssued: {
+    type: Boolean,
+    default: false
+  },
+  certificateIssuedDate: Date,
   feedback: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Feedback'
@@ -44,6 +94,53 @@ const registrationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Invitation used to register for an invite-only event
+  invitation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invitation'
+  },
+  // Team the participant competes in (team events)
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // Application to coordinate the event (registrationType 'coordinator'):
+  // the applicant's reason and the organizers' decision. Approved
+  // coordinators become event moderators.
+  coordinatorApproval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'revoked', 'withdrawn']
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    decisionReason: {
+      type: String,
+      trim: true,
+      maxlength: 1000
+    }
+  },
+  // Answers to the event's registration form, with the question as it was
+  // asked; file answers hold the private storage key of the upload
+  formResponses: [{
+    key: {
+      type: String,
+      required: true
+    },
+    label: String,
+    type: {
+      type: String
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -56,6 +153,12 @@ const registrationSchema = new mongoose.Schema({
 registrationSchema.index({ event: 1, participant: 1 }, { unique: true });
 registrationSchema.index({ status: 1, registrationDate: 1 });
 registrationSchema.index({ participant: 1, status: 1 });
+registrationSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+registrationSchema.index({ paymentStatus: 1, paymentDueAt: 1 });
+registrationSchema.index({ 'sessionAttendance.session': 1 });
+registrationSchema.index({ team: 1 });
+registrationSchema.index({ event: 1, registrationType: 1, 'coordinatorApproval.status': 1 });
+registrationSchema.index({ 'formResponses.value.fileKey': 1 }, { sparse: true });
 
 // Pre-save middleware to check duplicate registrations
 registrationSchema.pre('save', async function(next) {
@@ -66,7 +169,10 @@ registrationSchema.pre('save', async function(next) {
     });
     
     if (existingRegistration) {
-      throw new Error('User already registered for this event');
+      // statusCode as utils/registrations' registrationError sets it
+      const error = new Error('User already registered for this event');
+      error.statusCode = 400;
+      throw error;
     }
   }
   next();
@@ -77,4 +183,38 @@ registrationSchema.methods.isValid = function() {
   return this.status === 'confirmed' && this.isActive;
 };
 
+// Method to check if registration holds a seat offered from the waitlist
+registrationSchema.methods.hasActiveOffer = function() {
+  return this.status === 'waitlisted' && !!this.offerExpiresAt && this.offerExpiresAt > new Date();
+};
+
+// Static method to count seats taken for an event (registrations plus open
+// waitlist offers); coordinators do not take seats
+registrationSchema.statics.countSeatsTaken = function(eventId) {
+  return this.countDocuments({
+    event: eventId,
+    isActive: true,
+    registrationType: { $ne: 'coordinator' },
+    $or: [
+      { status: { $in: ['pending', 'confirmed'] } },
+      { status: 'waitlisted', offerExpiresAt: { $gt: new Date() } }
+    ]
+  });
+};
+
+// Static method to get a waitlisted registration's place in line (0 while holding an offer)
+registrationSchema.statics.getWaitlistPosition = async function(registration) {
+  if (registration.status !== 'waitlisted') return null;
+  if (registration.offerExpiresAt) return 0;
+
+  const ahead = await this.countDocuments({
+    event: registration.event._id || registration.event,
+    status: 'waitlisted',
+    isActive: true,
+    offerExpiresAt: { $exists: false },
+    waitlistedAt: { $lt: registration.waitlistedAt }
+  });
+  return ahead + 1;
+};
+
 module.exports = mongoose.model('Registration', registrationSchema);
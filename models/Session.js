@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { createHashedToken } = require('../utils/tokens');
+
+// Refresh tokens (and therefore sessions) last 30 days unless configured otherwise
+const getRefreshTokenTtl = () => {
+  return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+};
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousRefreshTokenHash: String,
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// A new refresh token replacing currentHash, with the session fields to store
+const nextRefreshToken = (currentHash, req) => {
+  const { token, hashedToken } = createHashedToken();
+  const fields = {
+    previousRefreshTokenHash: currentHash,
+    refreshTokenHash: hashedToken,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  };
+  if (req) {
+    fields.userAgent = req.get('User-Agent') || '';
+    fields.ipAddress = req.ip || '';
+  }
+  return { token, fields };
+};
+
+// Method to issue a new refresh token, invalidating the current one
+sessionSchema.methods.rotate = function(req) {
+  const { token, fields } = nextRefreshToken(this.refreshTokenHash, req);
+  this.set(fields);
+  return token;
+};
+
+// Method to revoke session
+sessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Method to get the client-facing view of a session
+sessionSchema.methods.toClient = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// Static method to start a session for a user (returns the unhashed refresh token)
+sessionSchema.statics.start = async function(userId, req) {
+  const session = new this({
+    user: userId,
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + getRefreshTokenTtl())
+  });
+  const refreshToken = session.rotate(req);
+  session.previousRefreshTokenHash = undefined;
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Static method to swap a session's refresh token for a new one in a single
+// update, so each token is used once. Resolves to { session, refreshToken },
+// or null when the token was already rotated out by another request.
+sessionSchema.statics.rotateRefreshToken = async function(session, req) {
+  const { token, fields } = nextRefreshToken(session.refreshTokenHash, req);
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+    { $set: fields },
+    { new: true }
+  );
+  return rotated ? { session: rotated, refreshToken: token } : null;
+};
+
+// Static method to find active sessions for a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date() } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// A team entered in a competition. Every member, the captain included, holds
+// their own Registration for the event (pointing back here), so seats,
+// tickets, attendance and certificates work per person; the team carries the
+// organizers' decision on the entry as a whole.
+const teamSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  // Created the team; manages members and invites
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // People the captain asked to join, by email or scholar number
+  invites: [{
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    scholarNumber: {
+      type: String,
+      trim: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined'],
+      default: 'pending'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Anyone with the code can join while there is room
+  joinCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  // forming: fewer members than the event's minimum; pending: big enough and
+  // awaiting the organizers; confirmed/rejected: their decision;
+  // withdrawn: disbanded by the captain or left by everyone
+  status: {
+    type: String,
+    enum: ['forming', 'pending', 'confirmed', 'rejected', 'withdrawn'],
+    default: 'forming'
+  },
+  coordinatorNotes: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+teamSchema.index({ event: 1, status: 1 });
+teamSchema.index({ 'members.user': 1 });
+teamSchema.index({ 'invites.user': 1, 'invites.status': 1 });
+
+teamSchema.methods.hasMember = function(user) {
+  const userId = (user._id || user).toString();
+  return this.members.some(member => (member.user._id || member.user).toString() === userId);
+};
+
+teamSchema.methods.isCaptain = function(user) {
+  return (this.captain._id || this.captain).toString() === (user._id || user).toString();
+};
+
+// The pending invite addressed to a user, by account or email
+teamSchema.methods.findInvite = function(user) {
+  return this.invites.find(invite => invite.status === 'pending' &&
+    ((invite.user && invite.user.toString() === user._id.toString()) || (invite.email && invite.email === user.email)));
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { createHashedToken } = require('../utils/tokens');
+
+// Password reset links stay valid for one hour
+const PASSWORD_RESET_TOKEN_TTL = 60 * 60 * 1000;
+
+// Email verification links stay valid for 24 hours and can be resent every 2 minutes
+const EMAIL_VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN = 2 * 60 * 1000;
+
+// Failed login handling: a short, growing delay after a few failures and a
+// temporary lockout once the limit is reached
+const getMaxLoginAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const getLoginLockDuration = () => parseInt(process.env.LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+const LOGIN_DELAY_FREE_ATTEMPTS = 2;
+const LOGIN_MAX_DELAY = 30 * 1000;
+
+// Notification categories and whether each channel is on by default
+const NOTIFICATION_DEFAULTS = {
+  registration: { email: true, inApp: true },
+  waitlist: { email: true, inApp: true },
+  eventUpdates: { email: true, inApp: true },
+  reminders: { email: true, inApp: true },
+  feedback: { email: true, inApp: true },
+  newEvents: { email: false, inApp: true },
+  invitations: { email: true, inApp: true }
+};
+
+const notificationPreferencesSchema = Object.fromEntries(
+  Object.entries(NOTIFICATION_DEFAULTS).map(([category, channels]) => [category, {
+    email: { type: Boolean, default: channels.email },
+    inApp: { type: Boolean, default: channels.inApp }
+  }])
+);
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -58,10 +91,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  profileImageThumbnail: {
+    type: String,
+    default: ''
+  },
   bio: {
     type: String,
     default: ''
   },
+  // Per category: { email, inApp }
+  notificationPreferences: notificationPreferencesSchema,
   isActive: {
     type: Boolean,
     default: true
@@ -72,12 +111,23 @@ const userSchema = new mongoose.Schema({
   },
   emailVerificationToken: String,
   emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Hash of the secret in the user's calendar subscription feed URL
+  calendarFeedToken: String,
   lastLogin: {
     type: Date,
     default: Date.now
   },
+  // Brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: Date,
+  lockUntil: Date,
   // Role-based permissions
   permissions: {
     canCreateEvents: {
@@ -101,26 +151,6 @@ const userSchema = new mongoose.Schema({
       default: false
     }
   },
-  // Event participation tracking
-  participatedEvents: [{
-    eventId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Event'
-    },
-    participationDate: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
-      type: String,
-      enum: ['registered', 'attended', 'completed', 'cancelled'],
-      default: 'registered'
-    },
-    feedback: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Feedback'
-    }
-  }],
   // Support tickets
   supportTickets: [{
     ticketId: {
@@ -147,6 +177,12 @@ userSchema.pre('save', async function(next) {
     // Hash password if modified
     if (this.isModified('password')) {
       this.password = await bcrypt.hash(this.password, 12);
+
+      // Tokens issued before this moment are no longer valid. Backdate by a
+      // second so a token generated right after the save is still accepted.
+      if (!this.isNew) {
+        this.passwordChangedAt = new Date(Date.now() - 1000);
+      }
     }
     
     // Set permissions based on role
@@ -246,6 +282,101 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to issue a password reset token (returns the unhashed token)
+userSchema.methods.createPasswordResetToken = function() {
+  const { token, hashedToken } = createHashedToken();
+  this.passwordResetToken = hashedToken;
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL);
+  return token;
+};
+
+// Method to issue an email verification token (returns the unhashed token)
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hashedToken } = createHashedToken();
+  this.emailVerificationToken = hashedToken;
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TOKEN_TTL);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Method to get seconds left before another verification email may be sent
+userSchema.methods.verificationResendWaitSeconds = function() {
+  if (!this.emailVerificationSentAt) return 0;
+  const elapsed = Date.now() - this.emailVerificationSentAt.getTime();
+  return Math.max(0, Math.ceil((EMAIL_VERIFICATION_RESEND_COOLDOWN - elapsed) / 1000));
+};
+
+// Method to mark email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isEmailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  this.emailVerificationSentAt = undefined;
+};
+
+// Method to check if account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to get seconds left before another login attempt is allowed
+userSchema.methods.loginRetryWaitSeconds = function() {
+  if (this.isLocked()) {
+    return Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000);
+  }
+
+  const delayedAttempts = this.failedLoginAttempts - LOGIN_DELAY_FREE_ATTEMPTS;
+  if (delayedAttempts <= 0 || !this.lastFailedLoginAt) return 0;
+
+  // 1s, 2s, 4s, ... capped at LOGIN_MAX_DELAY
+  const delay = Math.min(1000 * Math.pow(2, delayedAttempts - 1), LOGIN_MAX_DELAY);
+  const elapsed = Date.now() - this.lastFailedLoginAt.getTime();
+  return Math.max(0, Math.ceil((delay - elapsed) / 1000));
+};
+
+// Method to record a failed login, locking the account when the limit is reached.
+// The counter is updated in the database so parallel attempts all count.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  const now = new Date();
+
+  // Start counting again once a previous lock has run out
+  await User.updateOne(
+    { _id: this._id, lockUntil: { $lte: now } },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: '' } }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('failedLoginAttempts lockUntil');
+  if (!updated) return;
+
+  let lockUntil = updated.lockUntil;
+  if (updated.failedLoginAttempts >= getMaxLoginAttempts() && (!lockUntil || lockUntil <= now)) {
+    lockUntil = new Date(now.getTime() + getLoginLockDuration());
+    await User.updateOne({ _id: this._id }, { $set: { lockUntil } });
+  }
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+  this.lockUntil = lockUntil;
+};
+
+// Method to clear failed login state (successful login or admin unlock)
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Method to check if password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
 // Method to get public profile
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
@@ -254,6 +385,11 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.emailVerificationExpires;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  delete userObject.passwordChangedAt;
+  delete userObject.calendarFeedToken;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockUntil;
   return userObject;
 };
 
@@ -268,6 +404,15 @@ userSchema.methods.getAdminProfile = function() {
   return userObject;
 };
 
+// Check whether the user wants notifications of a category on a channel ('email' or 'inApp')
+userSchema.methods.wantsNotification = function(category, channel) {
+  const preference = this.notificationPreferences && this.notificationPreferences[category];
+  if (preference && typeof preference[channel] === 'boolean') {
+    return preference[channel];
+  }
+  return NOTIFICATION_DEFAULTS[category] ? NOTIFICATION_DEFAULTS[category][channel] : true;
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, isActive: true });
@@ -278,4 +423,9 @@ userSchema.statics.findByPermission = function(permission) {
   return this.find({ [`permissions.${permission}`]: true, isActive: true });
 };
 
+// Notification categories users can configure
+userSchema.statics.getNotificationCategories = function() {
+  return Object.keys(NOTIFICATION_DEFAULTS);
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A bookable room or space. Events that book it reference it; the free-text
+// Event.venue then carries its label.
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  building: {
+    type: String,
+    trim: true,
+    maxlength: 120
+  },
+  // Most people the space holds; events booking it cannot take more
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // e.g. "projector", "sound system", "lab computers"
+  facilities: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  accessibility: {
+    wheelchairAccessible: {
+      type: Boolean,
+      default: false
+    },
+    hearingLoop: {
+      type: Boolean,
+      default: false
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lease taken while a booking is checked and saved (see utils/locks.js),
+  // so two bookings of the venue cannot both pass the conflict check
+  bookingLockedBy: {
+    type: String,
+    select: false
+  },
+  bookingLockedUntil: {
+    type: Date,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+venueSchema.index({ name: 1, building: 1 }, { unique: true });
+venueSchema.index({ isActive: 1, capacity: 1 });
+
+// "Main Auditorium, Block A"
+venueSchema.methods.getLabel = function() {
+  return this.building ? `${this.name}, ${this.building}` : this.name;
+};
+
+module.exports = mongoose.model('Venue', venueSchema);
@@ -5,6 +5,7 @@ const Registration = require('../models/Registration');
 const Feedback = require('../models/Feedback');
 const User = require('../models/User');
 const { auth, requireFaculty } = require('../middleware/auth');
+const { summarizeFormResponses } = require('../utils/registrationForms');
 const router = express.Router();
 
 // @route   GET /api/analytics/dashboard
@@ -487,6 +488,11 @@ router.get('/events/:eventId', [auth, requireFaculty], async (req, res) => {
       { $sort: { count: -1 } }
     ]);
 
+    // Summarize answers to the registration form
+    const answered = event.registrationForm.length > 0
+      ? await Registration.find({ event: event._id, isActive: true }).select('formResponses')
+      : [];
+
     // Get feedback statistics
     const feedbackStats = await Feedback.aggregate([
       { $match: { event: event._id, isApproved: true, isPublic: true } },
@@ -515,7 +521,8 @@ router.get('/events/:eventId', [auth, requireFaculty], async (req, res) => {
         stats: registrationStats,
         timeline: registrationTimeline,
         departmentDistribution,
-        yearDistribution
+        yearDistribution,
+        formResponses: summarizeFormResponses(event, answered)
       },
       feedback: feedbackStats[0] || {
         totalFeedback: 0,
@@ -3,12 +3,56 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, requireAdmin, requireFaculty } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const { auth, requireAdmin, requireFaculty, rateLimit } = require('../middleware/auth');
+const { uploadProfile, processImage, removeUpload, handleUploadError } = require('../middleware/upload');
+const { sendMail } = require('../utils/mailer');
+const { renderTemplate } = require('../utils/email/templates');
+const { hashToken } = require('../utils/tokens');
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
+  );
+};
+
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Issue a verification token and email the verification link
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    ...renderTemplate('emailVerification', { name: user.fullName, url: verifyUrl })
+  });
+};
+
+// Check a partial { category: { email, inApp } } preferences update
+const isValidNotificationPreferences = (preferences) => {
+  const categories = User.getNotificationCategories();
+  return Object.entries(preferences).every(([category, channels]) =>
+    categories.includes(category) &&
+    channels !== null && typeof channels === 'object' && !Array.isArray(channels) &&
+    Object.entries(channels).every(([channel, enabled]) =>
+      ['email', 'inApp'].includes(channel) && typeof enabled === 'boolean'
+    )
+  );
 };
 
 // @route   POST /api/auth/create-account
@@ -27,7 +71,8 @@ router.post('/create-account', [
   body('dateOfBirth').optional().isISO8601().withMessage('Valid date of birth required'),
   body('phoneNumber').optional().trim().notEmpty().withMessage('Phone number cannot be empty'),
   body('scholarNumber').optional().trim().notEmpty().withMessage('Scholar number cannot be empty'),
-  body('interests').optional().isArray().withMessage('Interests must be an array')
+  body('interests').optional().isArray().withMessage('Interests must be an array'),
+  body('verifyEmail').optional().isBoolean().withMessage('verifyEmail must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -49,7 +94,8 @@ router.post('/create-account', [
       semester, 
       dateOfBirth, 
       phoneNumber, 
-      interests 
+      interests,
+      verifyEmail = false
     } = req.body;
 
     // Validate required fields based on role
@@ -85,7 +131,7 @@ router.post('/create-account', [
       password,
       department,
       role,
-      isEmailVerified: true, // Admin-created accounts are pre-verified
+      isEmailVerified: !verifyEmail, // Admin-created accounts are pre-verified unless verification is requested
       isActive: true
     };
 
@@ -104,6 +150,11 @@ router.post('/create-account', [
     const user = new User(userData);
     await user.save();
 
+    // Account creation succeeds even if the email fails; the user can ask for a resend
+    if (verifyEmail) {
+      await sendVerificationEmail(user).catch(mailError => console.error('Verification email error:', mailError));
+    }
+
     res.status(201).json({
       success: true,
       message: `${role.charAt(0).toUpperCase() + role.slice(1)} account created successfully`,
@@ -134,7 +185,8 @@ router.post('/create-user', [
   body('semester').notEmpty().withMessage('Semester is required'),
   body('dateOfBirth').notEmpty().withMessage('Date of birth is required'),
   body('phoneNumber').notEmpty().withMessage('Phone number is required'),
-  body('scholarNumber').notEmpty().withMessage('Scholar number is required')
+  body('scholarNumber').notEmpty().withMessage('Scholar number is required'),
+  body('verifyEmail').optional().isBoolean().withMessage('verifyEmail must be a boolean')
 ], async (req, res) => {
   try {
     // Allow faculty and admin to create users
@@ -153,7 +205,7 @@ router.post('/create-user', [
       });
     }
 
-    const { email, scholarNumber, fullName, password, department, role, year, semester, dateOfBirth, phoneNumber, interests } = req.body;
+    const { email, scholarNumber, fullName, password, department, role, year, semester, dateOfBirth, phoneNumber, interests, verifyEmail = false } = req.body;
 
     // Check for duplicate user
     const existingUser = await User.findOne({
@@ -184,12 +236,17 @@ router.post('/create-user', [
       phoneNumber,
       scholarNumber,
       interests: interests || [],
-      isEmailVerified: true // Faculty-created accounts are pre-verified
+      isEmailVerified: !verifyEmail // Faculty-created accounts are pre-verified unless verification is requested
     };
 
     const user = new User(userData);
     await user.save();
 
+    // Account creation succeeds even if the email fails; the user can ask for a resend
+    if (verifyEmail) {
+      await sendVerificationEmail(user).catch(mailError => console.error('Verification email error:', mailError));
+    }
+
     res.status(201).json({
       success: true,
       message: "User account created successfully",
@@ -214,7 +271,8 @@ router.post('/create-faculty', [
   body('fullName').trim().isLength({ min: 2 }).withMessage('Full name must be at least 2 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('department').trim().notEmpty().withMessage('Department is required')
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('verifyEmail').optional().isBoolean().withMessage('verifyEmail must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -225,7 +283,7 @@ router.post('/create-faculty', [
       });
     }
 
-    const { email } = req.body;
+    const { email, verifyEmail = false, ...profile } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -238,15 +296,21 @@ router.post('/create-faculty', [
 
     // Create faculty user
     const facultyData = {
-      ...req.body,
+      ...profile,
+      email,
       role: 'faculty',
       isActive: true,
-      isEmailVerified: true
+      isEmailVerified: !verifyEmail
     };
 
     const user = new User(facultyData);
     await user.save();
 
+    // Account creation succeeds even if the email fails; the user can ask for a resend
+    if (verifyEmail) {
+      await sendVerificationEmail(user).catch(mailError => console.error('Verification email error:', mailError));
+    }
+
     res.status(201).json({
       success: true,
       message: 'Faculty account created successfully',
@@ -282,6 +346,7 @@ router.post('/login', [
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await LoginAttempt.record(req, { email, success: false, reason: 'unknown_user' });
       return res.status(400).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -290,15 +355,41 @@ router.post('/login', [
 
     // Check if user is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, { user, email, success: false, reason: 'account_deactivated' });
       return res.status(400).json({ 
         success: false,
         message: 'Account is deactivated' 
       });
     }
 
+    // Check if account is locked or attempts are coming too fast
+    const waitSeconds = user.loginRetryWaitSeconds();
+    if (waitSeconds > 0) {
+      const locked = user.isLocked();
+      await LoginAttempt.record(req, { user, email, success: false, reason: locked ? 'account_locked' : 'throttled' });
+      return res.status(locked ? 423 : 429).json({
+        success: false,
+        message: locked
+          ? `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(waitSeconds / 60)} minute(s).`
+          : `Too many failed login attempts. Try again in ${waitSeconds} second(s).`,
+        retryAfter: waitSeconds
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
+      await LoginAttempt.record(req, { user, email, success: false, reason: 'invalid_credentials' });
+
+      if (user.isLocked()) {
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed login attempts. Account has been temporarily locked.',
+          retryAfter: user.loginRetryWaitSeconds()
+        });
+      }
+
       return res.status(400).json({ 
         success: false,
         message: 'Invalid credentials' 
@@ -306,16 +397,19 @@ router.post('/login', [
     }
 
     // Update last login
+    user.resetLoginAttempts();
     user.lastLogin = new Date();
     await user.save();
+    await LoginAttempt.record(req, { user, email, success: true, reason: 'success' });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start session
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -327,6 +421,173 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').trim().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked; kill that session
+      const reusedSession = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+      if (reusedSession && !reusedSession.revokedAt) {
+        await reusedSession.revoke();
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token. Please login again.'
+      });
+    }
+
+    if (!session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or was revoked. Please login again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke();
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact administrator.'
+      });
+    }
+
+    const rotated = await Session.rotateRefreshToken(session, req);
+    if (!rotated) {
+      // Another request used the same token first; treat it as reuse
+      await Session.updateOne({ _id: session._id, revokedAt: { $exists: false } }, { $set: { revokedAt: new Date() } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token. Please login again.'
+      });
+    }
+    const { refreshToken } = rotated;
+
+    res.json({
+      success: true,
+      token: generateToken(user._id, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error logging out from all devices'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => session.toClient(req.authSession._id))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke();
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error revoking session'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -361,7 +622,12 @@ router.put('/profile', [
   body('fullName').optional().trim().isLength({ min: 2 }).withMessage('Full name must be at least 2 characters'),
   body('phoneNumber').optional().trim().notEmpty().withMessage('Phone number cannot be empty'),
   body('interests').optional().isArray().withMessage('Interests must be an array'),
-  body('bio').optional().isString().trim().isLength({ max: 1000 }).withMessage('Bio must be a string up to 1000 characters')
+  body('bio').optional().isString().trim().isLength({ max: 1000 }).withMessage('Bio must be a string up to 1000 characters'),
+  body('notificationPreferences').optional().isObject({ strict: true }).withMessage('Notification preferences must be an object').bail()
+    .custom(isValidNotificationPreferences).withMessage('Notification preferences must map known categories to boolean email/inApp settings'),
+  body('notificationPreferences.*').isObject({ strict: true }).withMessage('Each notification category must be an object of email/inApp settings'),
+  body('notificationPreferences.*.email').optional().isBoolean({ strict: true }).withMessage('Email settings must be true or false'),
+  body('notificationPreferences.*.inApp').optional().isBoolean({ strict: true }).withMessage('In-app settings must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -372,7 +638,7 @@ router.put('/profile', [
       });
     }
 
-    const updates = req.body;
+    const { notificationPreferences, ...updates } = req.body;
     const user = await User.findById(req.user._id);
 
     if (!user) {
@@ -392,14 +658,25 @@ router.put('/profile', [
         // Ignore all other fields, including email, dateOfBirth, scholarNumber, etc.
       });
     } else {
-      // Other roles can update as before
+      // Other roles can also edit their personal details; account, security
+      // and permission fields are never taken from the request
+      const allowedFields = ['fullName', 'phoneNumber', 'department', 'year', 'semester', 'dateOfBirth', 'interests', 'bio'];
       Object.keys(updates).forEach(key => {
-        if (key !== 'password' && key !== 'role' && key !== 'email') {
+        if (allowedFields.includes(key)) {
           user[key] = updates[key];
         }
       });
     }
 
+    // Every role manages its own notification preferences, one setting at a time
+    if (notificationPreferences) {
+      Object.entries(notificationPreferences).forEach(([category, channels]) => {
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          user.set(`notificationPreferences.${category}.${channel}`, enabled);
+        });
+      });
+    }
+
     await user.save();
 
     res.json({
@@ -416,6 +693,46 @@ router.put('/profile', [
   }
 });
 
+// @route   POST /api/auth/profile/image
+// @desc    Upload or replace profile image
+// @access  Private
+router.post('/profile/image', auth, uploadProfile, handleUploadError, processImage, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      await removeUpload(req.file.url);
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousImage = user.profileImage;
+    user.profileImage = req.file.url;
+    user.profileImageThumbnail = req.file.thumbnailUrl;
+    await user.save();
+
+    // Remove the image that was replaced
+    if (previousImage && previousImage !== user.profileImage) {
+      await removeUpload(previousImage);
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile image updated successfully',
+      profileImage: user.profileImage,
+      profileImageThumbnail: user.profileImageThumbnail
+    });
+  } catch (error) {
+    console.error('Upload profile image error:', error);
+    if (req.file) await removeUpload(req.file.url);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading profile image'
+    });
+  }
+});
+
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
@@ -452,13 +769,15 @@ router.post('/change-password', [
       });
     }
 
-    // Update password
+    // Update password and sign out every other device
     user.password = newPassword;
     await user.save();
+    await Session.revokeAllForUser(user._id, req.authSession._id);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token: generateToken(user._id, req.authSession._id)
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -469,6 +788,184 @@ router.post('/change-password', [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  rateLimit(5, 15 * 60 * 1000),
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+    // A failed delivery answers the same too, so it cannot reveal the account
+    try {
+      await sendMail({
+        to: user.email,
+        ...renderTemplate('passwordReset', { name: user.fullName, url: resetUrl })
+      });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Token is single-use
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetLoginAttempts();
+    await user.save();
+    await Session.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error resetting password'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const waitSeconds = user.verificationResendWaitSeconds();
+    if (waitSeconds > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another verification email`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
 // @route   GET /api/auth/users
 // @desc    Get all users (Admin/Faculty only)
 // @access  Private (Admin/Faculty)
@@ -623,6 +1120,8 @@ router.delete('/users/:id', auth, async (req, res) => {
       });
     }
 
+    await Session.revokeAllForUser(user._id);
+
     res.json({
       success: true,
       message: 'User deactivated successfully'
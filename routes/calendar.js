@@ -0,0 +1,120 @@
+const express = require('express');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { auth } = require('../middleware/auth');
+const { createHashedToken, hashToken } = require('../utils/tokens');
+const { buildCalendar, feedCutoff, sendCalendar } = require('../utils/calendar');
+const { SEAT_STATUSES } = require('../utils/registrations');
+const { findSessionsByEvent } = require('../utils/sessions');
+const router = express.Router();
+
+// Most events a public category feed lists
+const CATEGORY_FEED_LIMIT = 500;
+
+// Absolute base URL of the API, for links calendar apps fetch on their own
+const apiUrl = (req) => (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+const categories = () => Event.schema.path('category').enumValues;
+
+// @route   POST /api/calendar/my-feed
+// @desc    Create (or replace) the secret subscription URL for the user's registered events
+// @access  Private
+router.post('/my-feed', auth, async (req, res) => {
+  try {
+    const { token, hashedToken } = createHashedToken();
+    await User.updateOne({ _id: req.user._id }, { $set: { calendarFeedToken: hashedToken } });
+
+    res.json({
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      url: `${apiUrl(req)}/api/calendar/my/${token}.ics`
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ message: 'Server error creating calendar feed' });
+  }
+});
+
+// @route   DELETE /api/calendar/my-feed
+// @desc    Turn off the user's calendar subscription URL
+// @access  Private
+router.delete('/my-feed', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: '' } });
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ message: 'Server error disabling calendar feed' });
+  }
+});
+
+// @route   GET /api/calendar/my/:token.ics
+// @desc    Subscription feed of the events the token's owner is registered for
+// @access  Public (secret token)
+router.get('/my/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: hashToken(req.params.token), isActive: true })
+      .select('fullName');
+    if (!user) {
+      return res.status(404).json({ message: 'Calendar feed not found' });
+    }
+
+    const registrations = await Registration.find({
+      participant: user._id,
+      isActive: true,
+      status: { $in: SEAT_STATUSES }
+    }).populate({ path: 'event', match: { endDate: { $gte: feedCutoff() } } });
+
+    // Cancelled events stay in the feed (marked cancelled) so calendars update
+    const events = registrations
+      .map(registration => registration.event)
+      .filter(Boolean)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    const sessions = await findSessionsByEvent(events.filter(event => event.isSeries).map(event => event._id));
+    sendCalendar(res, buildCalendar(events, { name: 'My EventSphere events', sessions }), 'my-events.ics');
+  } catch (error) {
+    console.error('Get my calendar feed error:', error);
+    res.status(500).json({ message: 'Server error getting calendar feed' });
+  }
+});
+
+// @route   GET /api/calendar/categories
+// @desc    List the public category feed URLs
+// @access  Public
+router.get('/categories', (req, res) => {
+  res.json({
+    feeds: categories().map(category => ({
+      category,
+      url: `${apiUrl(req)}/api/calendar/categories/${encodeURIComponent(category.toLowerCase())}.ics`
+    }))
+  });
+});
+
+// @route   GET /api/calendar/categories/:category.ics
+// @desc    Subscription feed of public events in a category
+// @access  Public
+router.get('/categories/:category.ics', async (req, res) => {
+  try {
+    const category = categories().find(value => value.toLowerCase() === req.params.category.toLowerCase());
+    if (!category) {
+      return res.status(404).json({ message: 'Unknown event category' });
+    }
+
+    const events = await Event.find({
+      category,
+      isPublic: true,
+      endDate: { $gte: feedCutoff() }
+    })
+      .sort({ startDate: 1 })
+      .limit(CATEGORY_FEED_LIMIT);
+
+    const sessions = await findSessionsByEvent(events.filter(event => event.isSeries).map(event => event._id));
+    sendCalendar(res, buildCalendar(events, { name: `EventSphere ${category} events`, sessions }), `${category.toLowerCase()}-events.ics`);
+  } catch (error) {
+    console.error('Get category calendar feed error:', error);
+    res.status(500).json({ message: 'Server error getting calendar feed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Registration = require('../models/Registration');
+const Quiz = require('../models/Quiz');
+const Event = require('../models/Event');
+const { auth, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { uploadSignature, removeUpload, handleUploadError } = require('../middleware/upload');
+const { getStorage, getFileUrl } = require('../utils/storage');
+const { issueCertificate, storeSignature } = require('../utils/certificates');
+const router = express.Router();
+
+// @route   GET /api/certificates/my
+// @desc    Get the current user's certificates
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ participant: req.user._id })
+      .select('-fileKey')
+      .populate('event', 'title startDate endDate')
+      .sort({ issuedAt: -1 });
+
+    res.json(certificates);
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({ message: 'Server error getting certificates' });
+  }
+});
+
+// @route   GET /api/certificates/verify/:certificateId
+// @desc    Verify that a certificate is authentic
+// @access  Public
+router.get('/verify/:certificateId', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() });
+    if (!certificate) {
+      return res.status(404).json({ valid: false, message: 'No certificate exists with this ID' });
+    }
+
+    res.json({
+      valid: true,
+      certificate: certificate.toVerification()
+    });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ message: 'Server error verifying certificate' });
+  }
+});
+
+// @route   GET /api/certificates/:certificateId/download
+// @desc    Download a certificate PDF
+// @access  Private (Certificate holder, event organizers or Admin)
+router.get('/:certificateId/download', auth, async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ certificateId: req.params.certificateId.toUpperCase() })
+      .populate('event', 'createdBy organizers moderators');
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const isHolder = certificate.participant.toString() === req.user._id.toString();
+    if (!isHolder && req.user.role !== 'admin' && !certificate.event.isOrganizer(req.user)) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const pdf = await getStorage().get(certificate.fileKey);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.certificateId}.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({ message: 'Server error downloading certificate' });
+  }
+});
+
+// @route   PUT /api/certificates/event/:eventId/template
+// @desc    Update an event's certificate template
+// @access  Private (Event organizers or Admin)
+router.put('/event/:eventId/template', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('title').optional().trim().isLength({ min: 3, max: 100 }).withMessage('Title must be between 3 and 100 characters'),
+  body('bodyText').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Body text must be between 10 and 1000 characters'),
+  body('signatoryName').optional().trim().isLength({ max: 100 }).withMessage('Signatory name cannot exceed 100 characters'),
+  body('signatoryTitle').optional().trim().isLength({ max: 100 }).withMessage('Signatory title cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    for (const field of ['title', 'bodyText', 'signatoryName', 'signatoryTitle']) {
+      if (req.body[field] !== undefined) {
+        event.certificateTemplate[field] = req.body[field];
+      }
+    }
+    await event.save();
+
+    res.json({
+      message: 'Certificate template updated successfully',
+      certificateTemplate: event.certificateTemplate
+    });
+  } catch (error) {
+    console.error('Update certificate template error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error updating certificate template' });
+  }
+});
+
+// @route   POST /api/certificates/event/:eventId/template/signature
+// @desc    Upload the organizer signature image printed on certificates (kept private)
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId/template/signature', auth, requireOwnershipOrAdmin(Event, 'eventId'), uploadSignature, handleUploadError, async (req, res) => {
+  let signatureKey;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image file uploaded' });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const stored = await storeSignature(event, req.file);
+    if (stored.message) {
+      return res.status(400).json({ message: stored.message });
+    }
+    signatureKey = stored.signatureKey;
+
+    const { signatureKey: previousKey, signatureImage: previousImage } = event.certificateTemplate;
+    event.certificateTemplate.signatureKey = signatureKey;
+    event.certificateTemplate.signatureImage = '';
+    await event.save();
+
+    // Remove the signature that was replaced
+    if (previousKey) {
+      await getStorage().remove(previousKey).catch(error => console.error('Remove signature error:', error));
+    }
+    if (previousImage) {
+      await removeUpload(previousImage);
+    }
+
+    res.json({
+      message: 'Signature uploaded successfully',
+      signatureUrl: await getFileUrl(signatureKey)
+    });
+  } catch (error) {
+    console.error('Upload signature error:', error);
+    if (signatureKey) {
+      await getStorage().remove(signatureKey).catch(removeError => console.error('Remove signature error:', removeError));
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error uploading signature' });
+  }
+});
+
+// @route   POST /api/certificates/event/:eventId/issue
+// @desc    Issue certificates to every participant who attended the event
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId/issue', auth, requireOwnershipOrAdmin(Event, 'eventId'), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.hasCertificate) {
+      return res.status(400).json({ message: 'This event does not offer certificates' });
+    }
+
+    const registrations = await Registration.find({
+      event: event._id,
+      attended: true,
+      isActive: true,
+      certificateIssued: { $ne: true }
+    });
+
+    // Some quizzes must be passed before a certificate is issued
+    const quiz = await Quiz.findOne({ event: event._id, requirePassForCertificate: true });
+
+    const summary = { issued: 0, failed: 0, notPassed: 0 };
+    for (const registration of registrations) {
+      if (quiz && !(registration.quizScore >= quiz.passingScore)) {
+        summary.notPassed++;
+        continue;
+      }
+
+      try {
+        const { created } = await issueCertificate(registration, event, req.user._id);
+        if (created) summary.issued++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Issue certificate error for registration ${registration._id}:`, error);
+      }
+    }
+
+    res.json({
+      message: `${summary.issued} certificate(s) issued`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Issue certificates error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error issuing certificates' });
+  }
+});
+
+module.exports = router;
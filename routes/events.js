@@ -1,22 +1,169 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Event = require('../models/Event');
-const User = require('../models/User');
+const Registration = require('../models/Registration');
+const EventSession = require('../models/EventSession');
+const Team = require('../models/Team');
 const { 
   auth, 
+  optionalAuth,
   requireFaculty, 
+  requireVerifiedEmail,
   requirePermission, 
   requireOwnershipOrAdmin,
-  canParticipateInEvent,
   isRegisteredForEvent,
   rateLimit 
 } = require('../middleware/auth');
+const { uploadPoster, processImage, removeUpload, handleUploadError } = require('../middleware/upload');
+const { processWaitlist } = require('../utils/waitlist');
+const {
+  SEAT_STATUSES,
+  SEAT_HOLDER_FILTER,
+  holdsSeat,
+  syncEventCounters,
+  registerForEvent,
+  cancelRegistration,
+  markAttendance
+} = require('../utils/registrations');
+const { checkInTicket } = require('../utils/tickets');
+const { notifyEventUpdated, notifyEventCancelled, notifyNewEventMatches } = require('../utils/notifications');
+const { publishToEvent } = require('../utils/realtime');
+const { buildCalendar, sendCalendar } = require('../utils/calendar');
+const { planSeries, findSessionsByEvent, markSessionAttendance, applySeriesTimezone } = require('../utils/sessions');
+const { isValidTimezone } = require('../utils/timezones');
+const { bookVenue, withVenueLock } = require('../utils/venues');
+const { canViewEvent, checkEligibility, visibleEventsFilter, describeAudience } = require('../utils/eligibility');
+const { resolveInvitation } = require('../utils/invitations');
+const { ACTIVE_TEAM_STATUSES, syncTeamStatus } = require('../utils/teams');
+const { FORM_FIELD_TYPES, MAX_FORM_FILE_MB, formColumns, formatAnswers, withFileUrls } = require('../utils/registrationForms');
+const { toCsv, sendCsv } = require('../utils/csv');
+
+// Event fields participants are told about when they change
+const notifiedFields = {
+  title: 'Title',
+  startDate: 'Start date',
+  endDate: 'End date',
+  startTime: 'Start time',
+  endTime: 'End time',
+  timezone: 'Timezone',
+  venue: 'Venue',
+  eventType: 'Event type',
+  onlineLink: 'Online link'
+};
+
+// List the participant-facing changes between two versions of an event
+const describeChanges = (before, after) => {
+  return Object.entries(notifiedFields)
+    .filter(([field]) => String(before[field] || '') !== String(after[field] || ''))
+    .map(([field, label]) => ({
+      label,
+      from: before[field] instanceof Date ? before[field].toUTCString() : before[field],
+      to: after[field] instanceof Date ? after[field].toUTCString() : after[field]
+    }));
+};
+
+// Fields that make up when an event takes place
+const scheduleFields = ['startDate', 'endDate', 'startTime', 'endTime', 'timezone', 'registrationDeadline'];
+// Fields a venue booking depends on or sets besides the schedule
+const bookingFields = ['bookedVenue', 'venue', 'maxParticipants'];
+// Fields the server derives or keeps up to date, never taken from a request:
+// the schedule instants and series flag follow the dates and sessions,
+// counters follow registrations, views and feedback, and moderators are
+// approved coordinators (see /api/registrations/:id/approval)
+const serverFields = [
+  'startsAt', 'endsAt', 'isSeries', 'calendarSequence', 'venueConflict', 'moderators',
+  'currentParticipants', 'registrations', 'attendance', 'views', 'averageRating', 'totalRatings',
+  'notificationsSent', 'reminderSent', 'remindersSent', 'feedbackRequestSent',
+  'seatsLockedBy', 'seatsLockedUntil'
+];
+
+// Certificate template fields set only by the signature upload
+// (POST /api/certificates/event/:eventId/template/signature)
+const signatureFields = ['signatureKey', 'signatureImage'];
+
+// A request body without the fields the server keeps
+const withoutServerFields = (body) => {
+  const fields = { ...body };
+  serverFields.forEach(field => delete fields[field]);
+  if (fields.certificateTemplate && typeof fields.certificateTemplate === 'object') {
+    fields.certificateTemplate = { ...fields.certificateTemplate };
+    signatureFields.forEach(field => delete fields.certificateTemplate[field]);
+  }
+  return fields;
+};
+
+// Values the audience restrictions can take, as stored on users
+const userYears = ['1st', '2nd', '3rd', '4th', 'Masters 1st', 'Masters 2nd'];
+const userSemesters = ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th'];
+const userRoles = ['admin', 'faculty', 'participant'];
+
+// Validators for the audience restrictions, shared by create and update
+const audienceValidators = [
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be a boolean'),
+  body('allowedDepartments').optional().isArray().withMessage('allowedDepartments must be an array'),
+  body('allowedDepartments.*').isString().trim().notEmpty().withMessage('Departments must be non-empty strings'),
+  body('allowedYears').optional().isArray().withMessage('allowedYears must be an array'),
+  body('allowedYears.*').isIn(userYears).withMessage(`Years must be one of: ${userYears.join(', ')}`),
+  body('allowedSemesters').optional().isArray().withMessage('allowedSemesters must be an array'),
+  body('allowedSemesters.*').isIn(userSemesters).withMessage(`Semesters must be one of: ${userSemesters.join(', ')}`),
+  body('allowedRoles').optional().isArray().withMessage('allowedRoles must be an array'),
+  body('allowedRoles.*').isIn(userRoles).withMessage(`Roles must be one of: ${userRoles.join(', ')}`),
+  body('inviteOnly').optional().isBoolean().withMessage('inviteOnly must be a boolean')
+];
+
+// Validators for team entries, shared by create and update
+const teamValidators = [
+  body('teams').optional().isObject().withMessage('Teams must be an object'),
+  body('teams.enabled').optional().isBoolean().withMessage('teams.enabled must be a boolean'),
+  body('teams.minSize').optional().isInt({ min: 1, max: 50 }).withMessage('Minimum team size must be between 1 and 50'),
+  body('teams.maxSize').optional().isInt({ min: 1, max: 50 }).withMessage('Maximum team size must be between 1 and 50')
+];
+
+// Validators for the registration form builder, shared by create and update
+const formValidators = [
+  body('registrationForm').optional().isArray({ max: 30 }).withMessage('registrationForm must be a list of at most 30 fields'),
+  body('registrationForm.*.key').matches(/^[a-zA-Z][a-zA-Z0-9_]{0,39}$/).withMessage('Field keys must start with a letter and use only letters, digits and underscores'),
+  body('registrationForm.*.label').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Field labels must be between 1 and 200 characters'),
+  body('registrationForm.*.type').isIn(FORM_FIELD_TYPES).withMessage(`Field types must be one of: ${FORM_FIELD_TYPES.join(', ')}`),
+  body('registrationForm.*.required').optional().isBoolean().withMessage('required must be a boolean'),
+  body('registrationForm.*.helpText').optional().isString().trim().isLength({ max: 500 }).withMessage('Help text must be at most 500 characters'),
+  body('registrationForm.*.options').optional().isArray({ max: 50 }).withMessage('Options must be a list of at most 50 choices'),
+  body('registrationForm.*.options.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Options must be between 1 and 200 characters'),
+  body('registrationForm.*.multiple').optional().isBoolean().withMessage('multiple must be a boolean'),
+  body('registrationForm.*.minLength').optional().isInt({ min: 0, max: 2000 }).withMessage('minLength must be between 0 and 2000'),
+  body('registrationForm.*.maxLength').optional().isInt({ min: 1, max: 2000 }).withMessage('maxLength must be between 1 and 2000'),
+  body('registrationForm.*.pattern').optional().isString().isLength({ max: 200 }).withMessage('Patterns must be at most 200 characters'),
+  body('registrationForm.*.min').optional().isFloat().withMessage('min must be a number'),
+  body('registrationForm.*.max').optional().isFloat().withMessage('max must be a number'),
+  body('registrationForm.*.integer').optional().isBoolean().withMessage('integer must be a boolean'),
+  body('registrationForm.*.accept').optional().isArray().withMessage('accept must be an array'),
+  body('registrationForm.*.accept.*').isIn(['image', 'pdf']).withMessage('Files can be accepted as image or pdf'),
+  body('registrationForm.*.maxSizeMb').optional().isInt({ min: 1, max: MAX_FORM_FILE_MB }).withMessage(`File size limits must be between 1 and ${MAX_FORM_FILE_MB}MB`)
+];
+
+// Filter for the events the user may see in listings
+const visibleEvents = async (user) => {
+  const registeredEventIds = user
+    ? await Registration.distinct('event', { ...SEAT_HOLDER_FILTER, participant: user._id })
+    : [];
+  return visibleEventsFilter(user, registeredEventIds);
+};
+
+// Load an active event the user may see; null when it is missing or hidden from them
+const findViewableEvent = async (id, user) => {
+  const event = await Event.findOne({ _id: id, isActive: true });
+  if (!event) return null;
+  if (canViewEvent(event, user, { registered: await holdsSeat(event._id, user) })) return event;
+  return null;
+};
+
 const router = express.Router();
 
 // @route   GET /api/events
-// @desc    Get all published events with filtering and pagination
+// @desc    Get all published events with filtering and pagination (private events only for those who may see them)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
       category, 
@@ -30,7 +177,7 @@ router.get('/', async (req, res) => {
 
     const skip = (page - 1) * limit;
   // Show all events with new status values by default
-  let query = { isActive: true };
+  let query = { isActive: true, $and: [await visibleEvents(req.user)] };
 
     // Apply filters
     if (category) query.category = category;
@@ -56,24 +203,20 @@ router.get('/', async (req, res) => {
       .limit(parseInt(limit))
       .sort(sort);
 
-    // Categorize and update status based on real time date
+    // Stored status is kept up to date by the scheduler; the computed status
+    // covers the minute between scheduler runs
     const now = new Date();
     events = events.map(event => {
-      let newStatus = event.status;
-      if (event.endDate < now) {
-        newStatus = 'Past';
-      } else if (event.startDate > now) {
-        newStatus = 'Upcoming';
-      } else if (event.startDate <= now && event.endDate >= now) {
-        newStatus = 'Live';
-      }
-      // Only update if status is different
-      if (event.status !== newStatus) {
-        event.status = newStatus;
-        event.save();
+      let computedStatus = event.status;
+      if (event.endsAt < now) {
+        computedStatus = 'Past';
+      } else if (event.startsAt > now) {
+        computedStatus = 'Upcoming';
+      } else if (event.startsAt <= now && event.endsAt >= now) {
+        computedStatus = 'Live';
       }
       // Attach computed status for frontend
-      return { ...event.toObject(), computedStatus: newStatus };
+      return { ...event.toObject(), computedStatus };
     });
 
     const total = await Event.countDocuments(query);
@@ -106,8 +249,9 @@ router.get('/featured/current', async (req, res) => {
     // Featured logic: upcoming or ongoing, active, and either popular or recently created
     const query = {
       isActive: true,
+      isPublic: { $ne: false },
       status: { $in: ['published', 'ongoing', 'upcoming'] },
-      endDate: { $gte: now }
+      endsAt: { $gte: now }
     };
 
     const featuredEvents = await Event.find(query)
@@ -128,6 +272,7 @@ router.get('/featured/current', async (req, res) => {
 router.get('/upcoming', async (req, res) => {
   try {
     const events = await Event.findUpcoming()
+      .where('isPublic').ne(false)
       .populate('createdBy', 'fullName department')
       .limit(10);
 
@@ -150,6 +295,7 @@ router.get('/upcoming', async (req, res) => {
 router.get('/ongoing', async (req, res) => {
   try {
     const events = await Event.findOngoing()
+      .where('isPublic').ne(false)
       .populate('createdBy', 'fullName department');
 
     res.json({
@@ -174,14 +320,16 @@ router.get('/completed', async (req, res) => {
     const skip = (page - 1) * limit;
 
     const events = await Event.findCompleted()
+      .where('isPublic').ne(false)
       .populate('createdBy', 'fullName department')
       .skip(skip)
       .limit(parseInt(limit));
 
     const total = await Event.countDocuments({ 
-      endDate: { $lt: new Date() }, 
+      endsAt: { $lt: new Date() }, 
       status: { $in: ['published', 'completed'] }, 
-      isActive: true 
+      isActive: true,
+      isPublic: { $ne: false }
     });
 
     res.json({
@@ -241,16 +389,15 @@ router.get('/my-events', auth, requirePermission('create:events'), async (req, r
   }
 });
 
-// @route   GET /api/events/:id
-// @desc    Get event by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @route   GET /api/events/:id?invite=
+// @desc    Get event by ID; an invitation code opens a private event
+// @access  Public (private events only for those who may see them)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
       .populate('createdBy', 'fullName department email')
       .populate('organizers', 'fullName department')
-      .populate('moderators', 'fullName department')
-      .populate('participants.userId', 'fullName department email');
+      .populate('moderators', 'fullName department');
 
     if (!event) {
       return res.status(404).json({
@@ -259,7 +406,10 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    if (!event.isActive) {
+    // Private events look missing to anyone who may not see them
+    const registered = await holdsSeat(event._id, req.user);
+    const { invitation } = await resolveInvitation(event._id, req.query.invite, req.user);
+    if (!event.isActive || !canViewEvent(event, req.user, { registered, invited: Boolean(invitation) })) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
@@ -270,9 +420,14 @@ router.get('/:id', async (req, res) => {
     event.views++;
     await event.save();
 
+    const sessions = event.isSeries
+      ? await EventSession.find({ event: event._id }).sort({ startsAt: 1 })
+      : undefined;
+
     res.json({
       success: true,
-      event
+      event,
+      sessions
     });
   } catch (error) {
     console.error('Get event error:', error);
@@ -297,11 +452,26 @@ router.post('/', [
   body('endDate').isISO8601().withMessage('Valid end date required'),
   body('startTime').notEmpty().withMessage('Start time required'),
   body('endTime').notEmpty().withMessage('End time required'),
-  body('venue').trim().notEmpty().withMessage('Venue required'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be an IANA timezone such as Asia/Kolkata'),
+  body('bookedVenue').optional().isMongoId().withMessage('Invalid venue ID'),
+  body('allowVenueConflict').optional().isBoolean().withMessage('allowVenueConflict must be a boolean'),
+  body('venue').if(body('bookedVenue').not().exists()).trim().notEmpty().withMessage('Venue required'),
   body('maxParticipants').optional().isInt({ min: 0 }).withMessage('Max participants must be a positive number'),
   body('registrationDeadline').isISO8601().withMessage('Valid registration deadline required'),
   body('eventType').isIn(['offline', 'online', 'hybrid']).withMessage('Invalid event type'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('waitlistEnabled').optional().isBoolean().withMessage('waitlistEnabled must be a boolean'),
+  body('waitlistOfferWindowHours').optional().isInt({ min: 1 }).withMessage('Waitlist offer window must be at least 1 hour'),
+  ...audienceValidators,
+  ...teamValidators,
+  ...formValidators,
+  body('recurrence').optional().custom(value => typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+    .withMessage('Recurrence must be an RRULE string or a rule object'),
+  body('sessions').optional().isArray({ min: 1 }).withMessage('Sessions must be a non-empty array'),
+  body('sessions.*.startDate').isISO8601().withMessage('Valid session start date required'),
+  body('sessions.*.endDate').isISO8601().withMessage('Valid session end date required'),
+  body('sessions.*.startTime').notEmpty().withMessage('Session start time required'),
+  body('sessions.*.endTime').notEmpty().withMessage('Session end time required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -312,21 +482,55 @@ router.post('/', [
       });
     }
 
+    const { recurrence, sessions: sessionData, allowVenueConflict, ...fields } = withoutServerFields(req.body);
     const eventData = {
-    ...req.body,
+    ...fields,
     createdBy: req.user._id,
     organizers: [req.user._id]
     };
 
     const event = new Event(eventData);
-    await event.save();
+    // Recurring and multi-session events get their sessions planned up front
+    const sessions = planSeries(event, { recurrence, sessions: sessionData });
+    const scheduleError = event.applySchedule() || event.checkTeams() || event.checkRegistrationForm();
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+    // Only admins can knowingly double-book a venue
+    const venueConflicts = await withVenueLock(event.bookedVenue, async () => {
+      const conflicts = await bookVenue(event, {
+        sessions,
+        allowConflict: allowVenueConflict === true && req.user.role === 'admin'
+      });
+
+      await event.save();
+      if (sessions.length > 0) {
+        await EventSession.insertMany(sessions);
+      }
+      return conflicts;
+    });
 
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
-      event
+      event,
+      sessions: event.isSeries ? sessions : undefined,
+      venueConflicts: venueConflicts.length > 0 ? venueConflicts : undefined
     });
+
+    // Interested users can be many, so they are notified after responding
+    notifyNewEventMatches(event);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
     console.error('Create event error:', error);
     res.status(500).json({
       success: false,
@@ -349,11 +553,19 @@ router.put('/:id', [
   body('endDate').optional().isISO8601().withMessage('Valid end date required'),
   body('startTime').optional().notEmpty().withMessage('Start time required'),
   body('endTime').optional().notEmpty().withMessage('End time required'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be an IANA timezone such as Asia/Kolkata'),
+  body('bookedVenue').optional({ nullable: true }).isMongoId().withMessage('Invalid venue ID'),
+  body('allowVenueConflict').optional().isBoolean().withMessage('allowVenueConflict must be a boolean'),
   body('venue').optional().trim().notEmpty().withMessage('Venue required'),
   body('maxParticipants').optional().isInt({ min: 0 }).withMessage('Max participants must be a positive number'),
   body('registrationDeadline').optional().isISO8601().withMessage('Valid registration deadline required'),
   body('eventType').optional().isIn(['offline', 'online', 'hybrid']).withMessage('Invalid event type'),
-  body('tags').optional().isArray().withMessage('Tags must be an array')
+  body('tags').optional().isArray().withMessage('Tags must be an array'),
+  body('waitlistEnabled').optional().isBoolean().withMessage('waitlistEnabled must be a boolean'),
+  body('waitlistOfferWindowHours').optional().isInt({ min: 1 }).withMessage('Waitlist offer window must be at least 1 hour'),
+  ...audienceValidators,
+  ...teamValidators,
+  ...formValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -364,11 +576,130 @@ router.put('/:id', [
       });
     }
 
-    const event = await Event.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    const previous = await Event.findById(req.params.id).lean();
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Series dates follow their sessions, which are edited through /api/sessions
+    const editsSessions = ['recurrence', 'sessions', 'isSeries'].some(field => req.body[field] !== undefined);
+    const editsDates = ['startDate', 'endDate', 'startTime', 'endTime'].some(field => req.body[field] !== undefined);
+    if (editsSessions || (previous.isSeries && editsDates)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates, times and sessions of a recurring or multi-session event are edited through /api/sessions'
+      });
+    }
+
+    // The schedule instants and venueConflict are set from the fields below
+    const { allowVenueConflict, ...updates } = withoutServerFields(req.body);
+
+    // Template fields are set one by one so the uploaded signature is kept
+    if (updates.certificateTemplate && typeof updates.certificateTemplate === 'object') {
+      Object.entries(updates.certificateTemplate).forEach(([field, value]) => {
+        updates[`certificateTemplate.${field}`] = value;
+      });
+      delete updates.certificateTemplate;
+    }
+
+    // Check the schedule and venue booking as they will be once updated
+    const reschedules = scheduleFields.some(field => req.body[field] !== undefined);
+    const rebooks = reschedules || bookingFields.some(field => req.body[field] !== undefined);
+    const scheduled = Event.hydrate(previous);
+    [...scheduleFields, ...bookingFields]
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => scheduled.set(field, req.body[field]));
+
+    if (reschedules) {
+      const scheduleError = scheduled.applySchedule();
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError
+        });
+      }
+      updates.startsAt = scheduled.startsAt;
+      updates.endsAt = scheduled.endsAt;
+
+      // A new start needs new reminders
+      if (scheduled.startsAt && (!previous.startsAt || scheduled.startsAt.getTime() !== previous.startsAt.getTime())) {
+        updates.remindersSent = [];
+        updates.reminderSent = false;
+      }
+    }
+
+    // Team settings are checked as they will be once updated; teams that
+    // already entered must still fit
+    const changesTeams = req.body.teams !== undefined || req.body.category !== undefined;
+    if (changesTeams) {
+      const teams = ['enabled', 'minSize', 'maxSize'].reduce((settings, field) => {
+        settings[field] = req.body.teams && req.body.teams[field] !== undefined ? req.body.teams[field] : scheduled.teams[field];
+        return settings;
+      }, {});
+      if (req.body.category !== undefined) scheduled.category = req.body.category;
+      scheduled.set('teams', teams);
+      updates.teams = teams;
+
+      const activeTeams = await Team.find({ event: scheduled._id, status: { $in: ACTIVE_TEAM_STATUSES } }).select('members');
+      let teamsError = scheduled.checkTeams();
+      if (!teamsError && !teams.enabled && activeTeams.length > 0) {
+        teamsError = 'Withdraw the teams taking part before turning team entries off';
+      } else if (!teamsError && activeTeams.some(team => team.members.length > teams.maxSize)) {
+        teamsError = 'Some teams already have more members than the new maximum';
+      } else if (!teamsError && teams.enabled && !(previous.teams && previous.teams.enabled) &&
+        await Registration.exists({ event: scheduled._id, isActive: true })) {
+        teamsError = 'Team entries cannot be turned on once people have registered individually';
+      }
+      if (teamsError) {
+        return res.status(400).json({
+          success: false,
+          message: teamsError
+        });
+      }
+    }
+
+    // Answers given so far keep the questions as they were asked
+    if (req.body.registrationForm !== undefined) {
+      scheduled.set('registrationForm', req.body.registrationForm);
+      const formError = scheduled.checkRegistrationForm();
+      if (formError) {
+        return res.status(400).json({
+          success: false,
+          message: formError
+        });
+      }
+    }
+
+    // A later deadline reopens registration
+    if (req.body.registrationDeadline && new Date(req.body.registrationDeadline) > new Date()) {
+      updates.registrationClosed = false;
+    }
+
+    // The booking is checked and saved while holding the venue's lock
+    let venueConflicts = [];
+    const event = await withVenueLock(rebooks && scheduled.bookedVenue, async () => {
+      if (rebooks && (scheduled.bookedVenue || previous.bookedVenue)) {
+        const sessions = scheduled.isSeries ? await EventSession.find({ event: scheduled._id }) : [];
+        venueConflicts = await bookVenue(scheduled, {
+          sessions,
+          allowConflict: allowVenueConflict === true && req.user.role === 'admin'
+        });
+        Object.assign(updates, {
+          venue: scheduled.venue,
+          maxParticipants: scheduled.maxParticipants,
+          venueConflict: scheduled.venueConflict
+        });
+      }
+
+      return Event.findByIdAndUpdate(
+        req.params.id,
+        { $set: updates },
+        { new: true, runValidators: true }
+      );
+    });
 
     if (!event) {
       return res.status(404).json({
@@ -377,12 +708,53 @@ router.put('/:id', [
       });
     }
 
+    // Sessions keep their wall-clock times in the new timezone
+    if (event.isSeries && event.timezone !== previous.timezone) {
+      event.set(await applySeriesTimezone(event));
+    }
+
+    // Let registered participants know about cancellations and schedule changes
+    if (previous.isActive && !event.isActive) {
+      await Event.updateOne({ _id: event._id }, { $inc: { calendarSequence: 1 } });
+      publishToEvent(event._id, 'event', { action: 'cancelled' });
+      await notifyEventCancelled(event);
+    } else if (event.isActive) {
+      const changes = describeChanges(previous, event);
+      if (changes.length > 0) {
+        await Event.updateOne({ _id: event._id }, { $set: { notificationsSent: true }, $inc: { calendarSequence: 1 } });
+        publishToEvent(event._id, 'event', { action: 'updated', fields: changes.map(change => change.label) });
+        await notifyEventUpdated(event, changes);
+      }
+    }
+
+    // A new minimum size can complete or reopen forming teams
+    if (changesTeams && event.teams.enabled) {
+      const teams = await Team.find({ event: event._id, status: { $in: ['forming', 'pending'] } });
+      for (const team of teams) {
+        await syncTeamStatus(team);
+      }
+    }
+
+    // A higher capacity may free seats for the waitlist
+    await processWaitlist(event);
+    if (previous.maxParticipants !== event.maxParticipants) {
+      await syncEventCounters(event._id);
+    }
+
     res.json({
       success: true,
       message: 'Event updated successfully',
-      event
+      event,
+      venueConflicts: venueConflicts.length > 0 ? venueConflicts : undefined
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
     console.error('Update event error:', error);
     res.status(500).json({
       success: false,
@@ -396,9 +768,9 @@ router.put('/:id', [
 // @access  Private (Event owner or Admin)
 router.delete('/:id', auth, requireOwnershipOrAdmin(Event, 'id'), async (req, res) => {
   try {
-    const event = await Event.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: { isActive: false }, $inc: { calendarSequence: 1 } },
       { new: true }
     );
 
@@ -409,6 +781,10 @@ router.delete('/:id', auth, requireOwnershipOrAdmin(Event, 'id'), async (req, re
       });
     }
 
+    // Deleting is a cancellation for anyone registered
+    publishToEvent(event._id, 'event', { action: 'cancelled' });
+    await notifyEventCancelled(event);
+
     res.json({
       success: true,
       message: 'Event deleted successfully'
@@ -422,6 +798,46 @@ router.delete('/:id', auth, requireOwnershipOrAdmin(Event, 'id'), async (req, re
   }
 });
 
+// @route   POST /api/events/:id/poster
+// @desc    Upload or replace event poster
+// @access  Private (Event owner or Admin)
+router.post('/:id/poster', auth, requireOwnershipOrAdmin(Event, 'id'), uploadPoster, handleUploadError, processImage, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event || !event.isActive) {
+      await removeUpload(req.file.url);
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const previousImage = event.image;
+    event.image = req.file.url;
+    event.imageThumbnail = req.file.thumbnailUrl;
+    await event.save();
+
+    // Remove the poster that was replaced
+    if (previousImage && previousImage !== event.image) {
+      await removeUpload(previousImage);
+    }
+
+    res.json({
+      success: true,
+      message: 'Event poster uploaded successfully',
+      image: event.image,
+      imageThumbnail: event.imageThumbnail
+    });
+  } catch (error) {
+    console.error('Upload poster error:', error);
+    if (req.file) await removeUpload(req.file.url);
+    res.status(500).json({
+      success: false,
+      message: 'Server error uploading event poster'
+    });
+  }
+});
+
 // @route   POST /api/events/:id/publish
 // @desc    Publish event
 // @access  Private (Event owner or Admin)
@@ -463,26 +879,32 @@ router.post('/:id/publish', auth, requireOwnershipOrAdmin(Event, 'id'), async (r
 // @route   POST /api/events/:id/register
 // @desc    Register for event
 // @access  Private (Authenticated users)
-router.post('/:id/register', auth, canParticipateInEvent, async (req, res) => {
+router.post('/:id/register', auth, requireVerifiedEmail, async (req, res) => {
   try {
-    const event = req.event;
-    
-    // Register user for event
-    await event.registerUser(req.user._id);
-
-    // Update user's participated events
-    await User.findByIdAndUpdate(req.user._id, {
-      $push: {
-        participatedEvents: {
-          eventId: event._id,
-          status: 'registered'
-        }
-      }
+    const event = await Event.findById(req.params.id);
+
+    // Register user for event (or waitlist them when it is full)
+    const { registration, waitlisted, order } = await registerForEvent(event, req.user, {
+      inviteCode: req.body.inviteCode,
+      responses: req.body.responses
     });
 
+    let message = 'Successfully registered for event';
+    if (waitlisted) {
+      message = 'Event is full. You have been added to the waitlist';
+    } else if (registration.paymentStatus === 'awaiting_payment') {
+      message = 'Seat held. Complete the payment to confirm your registration';
+    }
+
     res.json({
       success: true,
-      message: 'Successfully registered for event',
+      message,
+      registration: {
+        id: registration._id,
+        status: registration.status,
+        paymentStatus: registration.paymentStatus
+      },
+      order: order ? order.toClient() : undefined,
       event: {
         id: event._id,
         title: event.title,
@@ -491,6 +913,13 @@ router.post('/:id/register', auth, canParticipateInEvent, async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        reasons: error.reasons
+      });
+    }
     console.error('Event registration error:', error);
     res.status(500).json({
       success: false,
@@ -504,21 +933,8 @@ router.post('/:id/register', auth, canParticipateInEvent, async (req, res) => {
 // @access  Private (Registered users)
 router.post('/:id/unregister', auth, isRegisteredForEvent, async (req, res) => {
   try {
-    const event = req.event;
-    const participant = req.participant;
-
-    // Remove user from event participants
-    event.participants = event.participants.filter(p => p.userId.toString() !== req.user._id.toString());
-    event.currentParticipants--;
-    event.registrations--;
-    await event.save();
-
-    // Remove event from user's participated events
-    await User.findByIdAndUpdate(req.user._id, {
-      $pull: {
-        participatedEvents: { eventId: event._id }
-      }
-    });
+    // Cancelling also offers the freed seat to the waitlist
+    await cancelRegistration(req.registration);
 
     res.json({
       success: true,
@@ -534,11 +950,11 @@ router.post('/:id/unregister', auth, isRegisteredForEvent, async (req, res) => {
 });
 
 // @route   POST /api/events/:id/attendance
-// @desc    Mark attendance for event
-// @access  Private (Event organizers or Admin)
-router.post('/:id/attendance', auth, requireOwnershipOrAdmin(Event, 'id'), async (req, res) => {
+// @desc    Mark attendance for event (per session with sessionId for recurring/multi-session events)
+// @access  Private (Event organizers, moderators or Admin)
+router.post('/:id/attendance', auth, requireOwnershipOrAdmin(Event, 'id', { allowModerators: true }), async (req, res) => {
   try {
-    const { userId } = req.body;
+    const { userId, sessionId } = req.body;
     
     if (!userId) {
       return res.status(400).json({
@@ -555,14 +971,30 @@ router.post('/:id/attendance', auth, requireOwnershipOrAdmin(Event, 'id'), async
       });
     }
 
-    // Mark attendance
-    await event.markAttendance(userId);
+    // Recurring and multi-session events take attendance per session
+    if (event.isSeries) {
+      if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session ID required for a recurring or multi-session event'
+        });
+      }
+      await markSessionAttendance(event, sessionId, userId, req.user._id);
+    } else {
+      await markAttendance(event, userId, req.user._id);
+    }
 
     res.json({
       success: true,
       message: 'Attendance marked successfully'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Mark attendance error:', error);
     res.status(500).json({
       success: false,
@@ -571,13 +1003,148 @@ router.post('/:id/attendance', auth, requireOwnershipOrAdmin(Event, 'id'), async
   }
 });
 
-// @route   GET /api/events/:id/participants
-// @desc    Get event participants
-// @access  Private (Event organizers or Admin)
-router.get('/:id/participants', auth, requireOwnershipOrAdmin(Event, 'id'), async (req, res) => {
+// HTTP status and message for each ticket check-in outcome
+const checkInResponses = {
+  checked_in: { statusCode: 200, message: 'Checked in successfully' },
+  duplicate: { statusCode: 409, message: 'Ticket has already been checked in' },
+  wrong_event: { statusCode: 400, message: 'Ticket is for a different event' },
+  not_registered: { statusCode: 400, message: 'Ticket holder is not a confirmed registrant for this event' },
+  invalid: { statusCode: 400, message: 'Invalid ticket' }
+};
+
+// @route   POST /api/events/:id/check-in
+// @desc    Check in an attendee by scanning their ticket QR code
+// @access  Private (Event organizers, moderators or Admin)
+router.post('/:id/check-in', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'id', { allowModerators: true }),
+  body('token').isString().notEmpty().withMessage('Ticket token is required')
+], async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id)
-      .populate('participants.userId', 'fullName email department year semester');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const result = await checkInTicket(event, req.body.token, { scannedBy: req.user._id });
+    const { statusCode, message } = checkInResponses[result.status];
+
+    if (result.status === 'checked_in') {
+      await syncEventCounters(event._id);
+    }
+
+    if (result.registration) {
+      await result.registration.populate('participant', 'fullName email department');
+    }
+
+    res.status(statusCode).json({
+      success: result.status === 'checked_in',
+      status: result.status,
+      message,
+      participant: result.registration ? result.registration.participant : undefined,
+      checkedInAt: result.registration ? result.registration.attendanceDate : undefined
+    });
+  } catch (error) {
+    console.error('Ticket check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking in ticket'
+    });
+  }
+});
+
+// @route   POST /api/events/:id/check-in/batch
+// @desc    Upload ticket scans collected offline on a scanning device
+// @access  Private (Event organizers, moderators or Admin)
+router.post('/:id/check-in/batch', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'id', { allowModerators: true }),
+  body('scans').isArray({ min: 1, max: 500 }).withMessage('Scans must be a list of 1 to 500 entries'),
+  body('scans.*.token').isString().notEmpty().withMessage('Each scan needs a ticket token'),
+  body('scans.*.scannedAt').optional().isISO8601().withMessage('Scan time must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const now = new Date();
+    const scans = req.body.scans.map((scan, index) => {
+      // Device clocks can run ahead; never record a check-in in the future
+      const scannedAt = scan.scannedAt ? new Date(scan.scannedAt) : now;
+      return { index, token: scan.token, scannedAt: scannedAt > now ? now : scannedAt };
+    });
+
+    // Earliest scan wins when the same ticket was scanned more than once
+    const ordered = [...scans].sort((a, b) => a.scannedAt - b.scannedAt);
+
+    const results = new Array(scans.length);
+    const summary = { checked_in: 0, duplicate: 0, wrong_event: 0, not_registered: 0, invalid: 0 };
+
+    for (const scan of ordered) {
+      const result = await checkInTicket(event, scan.token, {
+        scannedBy: req.user._id,
+        scannedAt: scan.scannedAt,
+        method: 'offline'
+      });
+      summary[result.status]++;
+      results[scan.index] = {
+        index: scan.index,
+        status: result.status,
+        message: checkInResponses[result.status].message,
+        registration: result.registration ? result.registration._id : undefined,
+        checkedInAt: result.registration ? result.registration.attendanceDate : undefined
+      };
+    }
+
+    if (summary.checked_in > 0) {
+      await syncEventCounters(event._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${summary.checked_in} of ${scans.length} scans checked in`,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Batch check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing check-in batch'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/participants?format=csv
+// @desc    Get event participants with their form answers; format=csv downloads them as a spreadsheet
+// @access  Private (Event organizers, moderators or Admin)
+router.get('/:id/participants', auth, requireOwnershipOrAdmin(Event, 'id', { allowModerators: true }), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
 
     if (!event) {
       return res.status(404).json({
@@ -586,9 +1153,43 @@ router.get('/:id/participants', auth, requireOwnershipOrAdmin(Event, 'id'), asyn
       });
     }
 
+    const participants = await Registration.find({
+      event: event._id,
+      ...SEAT_HOLDER_FILTER
+    })
+      .populate('participant', 'fullName email scholarNumber department year semester')
+      .populate('invitation', 'code kind label')
+      .populate('team', 'name status captain')
+      .sort({ registrationDate: 1 });
+
+    if (req.query.format === 'csv') {
+      const columns = formColumns(event, participants);
+      const header = ['Name', 'Email', 'Scholar number', 'Department', 'Year', 'Semester', 'Registration status',
+        'Payment status', 'Registered at', 'Attended', 'Team', 'Invitation', ...columns.map(column => column.label)];
+      const rows = await Promise.all(participants.map(async registration => [
+        registration.participant.fullName,
+        registration.participant.email,
+        registration.participant.scholarNumber,
+        registration.participant.department,
+        registration.participant.year,
+        registration.participant.semester,
+        registration.status,
+        registration.paymentStatus,
+        registration.registrationDate.toISOString(),
+        registration.attended ? 'yes' : 'no',
+        registration.team ? registration.team.name : '',
+        registration.invitation ? registration.invitation.label || registration.invitation.code : '',
+        ...(await formatAnswers(registration, columns))
+      ]));
+      return sendCsv(res, toCsv([header, ...rows]), `participants-${event._id}.csv`);
+    }
+
     res.json({
       success: true,
-      participants: event.participants
+      participants: await Promise.all(participants.map(async registration => ({
+        ...registration.toObject(),
+        formResponses: await withFileUrls(registration.formResponses)
+      })))
     });
   } catch (error) {
     console.error('Get participants error:', error);
@@ -599,12 +1200,93 @@ router.get('/:id/participants', auth, requireOwnershipOrAdmin(Event, 'id'), asyn
   }
 });
 
+// @route   GET /api/events/:id/ics
+// @desc    Download an event as an iCalendar file
+// @access  Public (private events only for those who may see them)
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+  try {
+    const event = await findViewableEvent(req.params.id, req.user);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const sessions = event.isSeries ? await findSessionsByEvent([event._id]) : new Map();
+    sendCalendar(res, buildCalendar([event], { name: event.title, sessions }), `event-${event._id}.ics`);
+  } catch (error) {
+    console.error('Get event calendar error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error getting event calendar'
+    });
+  }
+});
+
+// @route   GET /api/events/:id/eligibility?invite=
+// @desc    Whether the current user may register for an event (with the invitation code, if given), and why not
+// @access  Private (Authenticated users)
+router.get('/:id/eligibility', auth, async (req, res) => {
+  try {
+    const event = await Event.findOne({ _id: req.params.id, isActive: true });
+    const registration = event
+      ? await Registration.findOne({ event: event._id, participant: req.user._id, isActive: true })
+      : null;
+    const registered = Boolean(registration && registration.registrationType !== 'coordinator' &&
+      SEAT_STATUSES.includes(registration.status));
+    const { invitation, reason } = event ? await resolveInvitation(event._id, req.query.invite, req.user) : {};
+    const invited = Boolean(invitation);
+
+    if (!event || !canViewEvent(event, req.user, { registered, invited })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { eligible, reasons } = checkEligibility(event, req.user, { registered, invited });
+    if (reason) reasons.unshift(reason);
+
+    res.json({
+      success: true,
+      eligible: eligible && !reason,
+      reasons,
+      audience: {
+        isPublic: event.isPublic !== false,
+        inviteOnly: event.inviteOnly,
+        ...describeAudience(event)
+      },
+      registrationStatus: registration && registration.status !== 'cancelled' ? registration.status : null
+    });
+  } catch (error) {
+    console.error('Get event eligibility error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error checking event eligibility'
+    });
+  }
+});
+
 // @route   GET /api/events/:id/related
 // @desc    Get related events
 // @access  Public
-router.get('/:id/related', async (req, res) => {
+router.get('/:id/related', optionalAuth, async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = await findViewableEvent(req.params.id, req.user);
     
     if (!event) {
       return res.status(404).json({
@@ -617,6 +1299,7 @@ router.get('/:id/related', async (req, res) => {
     const relatedEvents = await Event.find({
       _id: { $ne: req.params.id },
       isActive: true,
+      isPublic: { $ne: false },
       $or: [
         { category: event.category },
         { tags: { $in: event.tags || [] } }
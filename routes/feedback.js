@@ -4,6 +4,8 @@ const Feedback = require('../models/Feedback');
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
 const { auth, requireFaculty } = require('../middleware/auth');
+const { notifyFeedbackReviewed } = require('../utils/notifications');
+const { publishToEventStaff } = require('../utils/realtime');
 const router = express.Router();
 
 // @route   POST /api/feedback
@@ -43,7 +45,7 @@ router.post('/', [
       return res.status(404).json({ message: 'Event not found or inactive' });
     }
 
-    if (event.status !== 'completed') {
+    if (event.status !== 'Past') {
       return res.status(400).json({ message: 'Feedback can only be submitted for completed events' });
     }
 
@@ -91,6 +93,17 @@ router.post('/', [
       { path: 'participant', select: 'fullName' }
     ]);
 
+    publishToEventStaff(eventId, 'feedback', {
+      action: 'created',
+      feedback: {
+        _id: feedback._id,
+        rating: feedback.rating,
+        comments: feedback.comments,
+        participant: feedback.isAnonymous ? null : feedback.participant,
+        createdAt: feedback.createdAt
+      }
+    });
+
     res.status(201).json({
       message: 'Feedback submitted successfully and pending approval',
       feedback
@@ -268,6 +281,7 @@ router.put('/:id/approve', [
     if (adminNotes) feedback.adminNotes = adminNotes;
 
     await feedback.save();
+    await notifyFeedbackReviewed(feedback);
 
     await feedback.populate([
       { path: 'event', select: 'title date' },
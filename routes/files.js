@@ -0,0 +1,30 @@
+const express = require('express');
+const { getStorage } = require('../utils/storage');
+const router = express.Router();
+
+// @route   GET /api/files/*
+// @desc    Serve a private file of the local storage driver through a signed URL
+// @access  Public (valid signature required)
+router.get('/*', async (req, res) => {
+  try {
+    const storage = getStorage('local');
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Link is invalid or has expired' });
+    }
+
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.sendFile(storage.resolvePath(key));
+  } catch (error) {
+    console.error('Get file error:', error);
+    res.status(500).json({ message: 'Server error getting file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { auth, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { createInvitation, invitationUrl } = require('../utils/invitations');
+const { notifyInvitation } = require('../utils/notifications');
+const router = express.Router();
+
+// Most recipients one send request may invite
+const MAX_RECIPIENTS = 100;
+
+// Invitation as shown to organizers, with its link and whether it still works
+const describeInvitation = (invitation) => {
+  let state = 'active';
+  if (!invitation.isActive) state = 'revoked';
+  else if (invitation.isExpired()) state = 'expired';
+  else if (invitation.isUsedUp()) state = 'used_up';
+
+  return { ...invitation.toObject(), url: invitationUrl(invitation), state };
+};
+
+const invitationValidators = [
+  body('label').optional().isString().trim().isLength({ max: 120 }).withMessage('Label must be up to 120 characters'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('maxUses must be a positive number'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date required')
+    .custom(value => new Date(value) > new Date()).withMessage('Expiry must be in the future')
+];
+
+// Load an invitation, answering 404/403 when the user may not manage its event
+const loadManagedInvitation = async (req, res) => {
+  const invitation = await Invitation.findById(req.params.id);
+  const event = invitation ? await Event.findById(invitation.event) : null;
+  if (!invitation || !event) {
+    res.status(404).json({ message: 'Invitation not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && !event.isOrganizer(req.user)) {
+    res.status(403).json({ message: 'Not authorized to manage this event\'s invitations' });
+    return null;
+  }
+
+  return { invitation, event };
+};
+
+// @route   GET /api/invitations/event/:eventId
+// @desc    List an event's invitations with who redeemed them
+// @access  Private (Event organizers or Admin)
+router.get('/event/:eventId', auth, requireOwnershipOrAdmin(Event, 'eventId'), async (req, res) => {
+  try {
+    const filter = { event: req.params.eventId };
+    if (req.query.kind) filter.kind = req.query.kind;
+
+    const invitations = await Invitation.find(filter)
+      .populate('user', 'fullName email')
+      .populate('createdBy', 'fullName')
+      .populate('redemptions.user', 'fullName email department year')
+      .populate('redemptions.registration', 'status paymentStatus attended')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      invitations: invitations.map(describeInvitation),
+      totalRedemptions: invitations.reduce((total, invitation) => total + invitation.redemptions.length, 0)
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error getting invitations' });
+  }
+});
+
+// @route   POST /api/invitations/event/:eventId
+// @desc    Create an invitation code or shareable link
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('kind').optional().isIn(['code', 'link']).withMessage('Kind must be "code" or "link"'),
+  ...invitationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const { kind = 'code', label, maxUses, expiresAt } = req.body;
+    const invitation = await createInvitation({
+      event: event._id,
+      kind,
+      label,
+      maxUses: maxUses || undefined,
+      expiresAt: expiresAt || undefined,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Invitation created successfully',
+      invitation: describeInvitation(invitation)
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error creating invitation' });
+  }
+});
+
+// @route   POST /api/invitations/event/:eventId/send
+// @desc    Send single-use personal invitations to email addresses and/or users
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId/send', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('emails').optional().isArray().withMessage('Emails must be an array'),
+  body('emails.*').isEmail().normalizeEmail().withMessage('Invalid email address'),
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID'),
+  body('message').optional().isString().trim().isLength({ max: 1000 }).withMessage('Message must be up to 1000 characters'),
+  ...invitationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { emails = [], userIds = [], label, expiresAt, message } = req.body;
+    if (emails.length + userIds.length === 0) {
+      return res.status(400).json({ message: 'Add at least one email address or user' });
+    }
+    if (emails.length + userIds.length > MAX_RECIPIENTS) {
+      return res.status(400).json({ message: `At most ${MAX_RECIPIENTS} people can be invited at once` });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    // Recipients by email; addresses that belong to an account are linked to it
+    const users = await User.find({
+      isActive: true,
+      $or: [{ _id: { $in: userIds } }, { email: { $in: emails } }]
+    }).select('fullName email');
+    const recipients = new Map(emails.map(email => [email, null]));
+    users.forEach(user => recipients.set(user.email, user));
+
+    // People who already hold a working personal invitation are not invited twice
+    const existing = await Invitation.find({
+      event: event._id,
+      kind: 'personal',
+      isActive: true,
+      email: { $in: [...recipients.keys()] }
+    });
+    const alreadyInvited = new Set(existing
+      .filter(invitation => !invitation.isExpired() && !invitation.isUsedUp())
+      .map(invitation => invitation.email));
+
+    const sent = [];
+    for (const [email, user] of recipients) {
+      if (alreadyInvited.has(email)) continue;
+
+      const invitation = await createInvitation({
+        event: event._id,
+        kind: 'personal',
+        label,
+        email,
+        user: user ? user._id : undefined,
+        maxUses: 1,
+        expiresAt: expiresAt || undefined,
+        sentAt: new Date(),
+        createdBy: req.user._id
+      });
+      await notifyInvitation(invitation, event, { inviter: req.user, message, url: invitationUrl(invitation) });
+      sent.push(invitation);
+    }
+
+    res.status(201).json({
+      message: `${sent.length} invitation(s) sent`,
+      invitations: sent.map(describeInvitation),
+      alreadyInvited: [...alreadyInvited],
+      unknownUsers: userIds.filter(id => !users.some(user => user._id.toString() === id))
+    });
+  } catch (error) {
+    console.error('Send invitations error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error sending invitations' });
+  }
+});
+
+// @route   PUT /api/invitations/:id
+// @desc    Change an invitation's label, usage cap or expiry, or turn it back on
+// @access  Private (Event organizers or Admin)
+router.put('/:id', [
+  auth,
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ...invitationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadManagedInvitation(req, res);
+    if (!loaded) return;
+    const { invitation } = loaded;
+
+    const { label, maxUses, expiresAt, isActive } = req.body;
+    if (maxUses && parseInt(maxUses) < invitation.uses) {
+      return res.status(400).json({ message: `The invitation has already been used ${invitation.uses} time(s)` });
+    }
+
+    if (label !== undefined) invitation.label = label;
+    if (maxUses !== undefined) invitation.maxUses = maxUses || undefined;
+    if (expiresAt !== undefined) invitation.expiresAt = expiresAt || undefined;
+    if (isActive !== undefined) invitation.isActive = isActive;
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation updated successfully',
+      invitation: describeInvitation(invitation)
+    });
+  } catch (error) {
+    console.error('Update invitation error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    res.status(500).json({ message: 'Server error updating invitation' });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke an invitation; registrations made with it stay
+// @access  Private (Event organizers or Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadManagedInvitation(req, res);
+    if (!loaded) return;
+    const { invitation } = loaded;
+
+    invitation.isActive = false;
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+    res.status(500).json({ message: 'Server error revoking invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const { auth } = require('../middleware/auth');
+const { fakePaymentsAllowed, getPaymentProvider } = require('../utils/payments');
+const { startCheckout, handlePaymentNotification } = require('../utils/checkout');
+const { releaseExpiredPaymentHolds } = require('../utils/registrations');
+const router = express.Router();
+
+// @route   POST /api/payments/webhook/:provider
+// @desc    Receive payment notifications from a provider (raw JSON body, signature verified)
+// @access  Public (valid signature required)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || !provider.verifyWebhook(req.body, req.headers)) {
+      return res.status(400).json({ message: 'Invalid webhook signature' });
+    }
+
+    const notification = provider.parseWebhook(req.body);
+    if (notification.type) {
+      await handlePaymentNotification(provider.name, notification);
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    // A non-2xx answer makes the provider retry the delivery
+    res.status(500).json({ message: 'Server error handling payment webhook' });
+  }
+});
+
+// @route   GET /api/payments/orders/my
+// @desc    Get the current user's orders
+// @access  Private
+router.get('/orders/my', auth, async (req, res) => {
+  try {
+    const orders = await Order.find({ participant: req.user._id })
+      .populate('event', 'title startDate')
+      .sort({ createdAt: -1 });
+
+    res.json(orders.map(order => order.toClient()));
+  } catch (error) {
+    console.error('Get my orders error:', error);
+    res.status(500).json({ message: 'Server error getting orders' });
+  }
+});
+
+// @route   GET /api/payments/orders/:id
+// @desc    Get an order (poll after checkout to see whether the payment went through)
+// @access  Private (Order owner)
+router.get('/orders/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || order.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const registration = await Registration.findById(order.registration).select('status paymentStatus paymentDueAt');
+
+    res.json({
+      order: order.toClient(),
+      registration
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error getting order' });
+  }
+});
+
+// @route   POST /api/payments/registrations/:registrationId/checkout
+// @desc    Get or restart the checkout for a registration awaiting payment
+// @access  Private (Registration owner)
+router.post('/registrations/:registrationId/checkout', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId);
+    if (!registration || registration.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    if (!registration.isActive || registration.paymentStatus !== 'awaiting_payment') {
+      return res.status(400).json({ message: 'This registration is not awaiting payment' });
+    }
+
+    // The hold may have run out since the registration was made
+    if (registration.paymentDueAt && registration.paymentDueAt <= new Date()) {
+      await releaseExpiredPaymentHolds(registration.event);
+      return res.status(400).json({ message: 'The payment window has closed and the seat was released' });
+    }
+
+    const event = await Event.findById(registration.event);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const order = await startCheckout(registration, event);
+
+    res.json({
+      message: 'Checkout ready',
+      order: order.toClient()
+    });
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error starting checkout' });
+  }
+});
+
+// @route   POST /api/payments/fake/orders/:id/complete
+// @desc    Simulate the provider confirming or failing a payment (only with ALLOW_FAKE_PAYMENTS=true)
+// @access  Private (Order owner)
+router.post('/fake/orders/:id/complete', [
+  auth,
+  body('outcome').optional().isIn(['success', 'failure']).withMessage('Outcome must be success or failure')
+], async (req, res) => {
+  try {
+    if (!fakePaymentsAllowed()) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order || order.provider !== 'fake' || order.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Go through the same signed webhook path a real provider would use
+    const provider = getPaymentProvider('fake');
+    const { rawBody, headers } = provider.buildWebhook({
+      type: req.body.outcome === 'failure' ? 'payment.failed' : 'payment.succeeded',
+      orderId: order.providerOrderId,
+      reason: req.body.outcome === 'failure' ? 'Declined by the fake provider' : undefined
+    });
+    if (!provider.verifyWebhook(rawBody, headers)) {
+      throw new Error('Fake webhook signature mismatch');
+    }
+    const updated = await handlePaymentNotification('fake', provider.parseWebhook(rawBody));
+
+    res.json({
+      message: 'Payment simulated',
+      order: updated.toClient()
+    });
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error simulating payment' });
+  }
+});
+
+module.exports = router;
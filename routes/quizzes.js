@@ -0,0 +1,452 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const { auth, requireOwnershipOrAdmin } = require('../middleware/auth');
+const router = express.Router();
+
+// Fields organizers can set when creating or updating a quiz
+const quizFields = ['title', 'description', 'questions', 'timeLimitMinutes', 'maxAttempts', 'passingScore', 'requirePassForCertificate', 'isPublished'];
+
+// Validators shared by create and update (title and questions differ in whether they are required)
+const quizValidators = [
+  body('questions.*.type').optional().isIn(['single', 'multiple', 'short']).withMessage('Invalid question type'),
+  body('questions.*.prompt').optional().trim().notEmpty().withMessage('Question prompt is required'),
+  body('timeLimitMinutes').optional().isInt({ min: 1, max: 600 }).withMessage('Time limit must be between 1 and 600 minutes'),
+  body('maxAttempts').optional().isInt({ min: 1, max: 20 }).withMessage('Max attempts must be between 1 and 20'),
+  body('passingScore').optional().isFloat({ min: 0, max: 100 }).withMessage('Passing score must be a percentage'),
+  body('requirePassForCertificate').optional().isBoolean().withMessage('requirePassForCertificate must be a boolean'),
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be a boolean')
+];
+
+// Best submitted score becomes the registration's quizScore
+const updateQuizScore = async (attempt) => {
+  const [best] = await QuizAttempt.find({
+    quiz: attempt.quiz,
+    participant: attempt.participant,
+    status: { $in: ['submitted', 'expired'] }
+  }).sort({ percentage: -1 }).limit(1);
+
+  await Registration.updateOne(
+    { _id: attempt.registration },
+    { $set: { quizScore: best ? best.percentage : 0 } }
+  );
+};
+
+// Close an attempt whose time ran out without a submission (once, even when
+// several requests find it overdue)
+const expireAttempt = async (attempt, quiz) => {
+  const result = quiz.grade([]);
+  const expired = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    {
+      $set: {
+        status: 'expired',
+        submittedAt: attempt.expiresAt,
+        answers: result.answers,
+        score: 0,
+        maxScore: result.maxScore,
+        percentage: 0,
+        passed: false
+      }
+    },
+    { new: true }
+  );
+  if (expired) await updateQuizScore(expired);
+};
+
+// Running attempt as returned to its participant
+const attemptView = (attempt) => ({ id: attempt._id, startedAt: attempt.startedAt, expiresAt: attempt.expiresAt });
+
+// @route   POST /api/quizzes/event/:eventId
+// @desc    Create the quiz for an event
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('questions').isArray({ min: 1 }).withMessage('A quiz needs at least one question'),
+  ...quizValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!event.hasQuiz) {
+      return res.status(400).json({ message: 'This event does not have a quiz enabled' });
+    }
+
+    if (await Quiz.exists({ event: event._id })) {
+      return res.status(400).json({ message: 'This event already has a quiz' });
+    }
+
+    const quiz = new Quiz({ event: event._id, createdBy: req.user._id });
+    for (const field of quizFields) {
+      if (req.body[field] !== undefined) quiz[field] = req.body[field];
+    }
+    await quiz.save();
+
+    res.status(201).json({
+      message: 'Quiz created successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Create quiz error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error creating quiz' });
+  }
+});
+
+// @route   PUT /api/quizzes/event/:eventId
+// @desc    Update an event's quiz
+// @access  Private (Event organizers or Admin)
+router.put('/event/:eventId', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+  body('questions').optional().isArray({ min: 1 }).withMessage('A quiz needs at least one question'),
+  ...quizValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const quiz = await Quiz.findOne({ event: req.params.eventId });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    // Changing questions after people answered would make their scores meaningless
+    if (req.body.questions !== undefined && await QuizAttempt.exists({ quiz: quiz._id })) {
+      return res.status(400).json({ message: 'Questions cannot be changed once attempts have been made' });
+    }
+
+    for (const field of quizFields) {
+      if (req.body[field] !== undefined) quiz[field] = req.body[field];
+    }
+    await quiz.save();
+
+    res.json({
+      message: 'Quiz updated successfully',
+      quiz
+    });
+  } catch (error) {
+    console.error('Update quiz error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error updating quiz' });
+  }
+});
+
+// @route   DELETE /api/quizzes/event/:eventId
+// @desc    Delete an event's quiz and its attempts
+// @access  Private (Event organizers or Admin)
+router.delete('/event/:eventId', auth, requireOwnershipOrAdmin(Event, 'eventId'), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ event: req.params.eventId });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    await QuizAttempt.deleteMany({ quiz: quiz._id });
+    await Registration.updateMany({ event: quiz.event }, { $unset: { quizScore: '' } });
+    await quiz.deleteOne();
+
+    res.json({ message: 'Quiz deleted successfully' });
+  } catch (error) {
+    console.error('Delete quiz error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/event/:eventId/manage
+// @desc    Get an event's quiz including the answers
+// @access  Private (Event organizers or Admin)
+router.get('/event/:eventId/manage', auth, requireOwnershipOrAdmin(Event, 'eventId'), async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ event: req.params.eventId });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const attempts = await QuizAttempt.countDocuments({ quiz: quiz._id, status: { $ne: 'in_progress' } });
+
+    res.json({ quiz, attempts });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error getting quiz' });
+  }
+});
+
+// @route   GET /api/quizzes/event/:eventId
+// @desc    Get an event's quiz (without answers) and the user's attempts
+// @access  Private
+router.get('/event/:eventId', auth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ event: req.params.eventId, isPublished: true });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, participant: req.user._id })
+      .select('status startedAt expiresAt submittedAt score maxScore percentage passed')
+      .sort({ startedAt: -1 });
+
+    const { questions, ...details } = quiz.toParticipantView();
+
+    res.json({
+      quiz: { ...details, questionCount: questions.length },
+      attempts,
+      attemptsRemaining: Math.max(0, quiz.maxAttempts - attempts.length)
+    });
+  } catch (error) {
+    console.error('Get quiz error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error getting quiz' });
+  }
+});
+
+// @route   POST /api/quizzes/event/:eventId/attempts
+// @desc    Start a timed quiz attempt
+// @access  Private (Participants who attended the event)
+router.post('/event/:eventId/attempts', auth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ event: req.params.eventId, isPublished: true });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    const registration = await Registration.findOne({
+      event: quiz.event,
+      participant: req.user._id,
+      isActive: true,
+      attended: true
+    });
+    if (!registration) {
+      return res.status(403).json({ message: 'Only participants who attended the event can take the quiz' });
+    }
+
+    // Resume an attempt that is still running
+    const running = await QuizAttempt.findOne({ quiz: quiz._id, participant: req.user._id, status: 'in_progress' });
+    if (running) {
+      if (!running.isOverdue()) {
+        return res.json({
+          message: 'Quiz attempt in progress',
+          attempt: attemptView(running),
+          quiz: quiz.toParticipantView()
+        });
+      }
+      await expireAttempt(running, quiz);
+    }
+
+    const attemptsUsed = await QuizAttempt.countDocuments({ quiz: quiz._id, participant: req.user._id });
+    if (attemptsUsed >= quiz.maxAttempts) {
+      return res.status(400).json({ message: 'No quiz attempts remaining' });
+    }
+
+    const now = new Date();
+    let attempt;
+    try {
+      attempt = await QuizAttempt.create({
+        quiz: quiz._id,
+        event: quiz.event,
+        participant: req.user._id,
+        registration: registration._id,
+        startedAt: now,
+        expiresAt: new Date(now.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+      });
+    } catch (createError) {
+      // Another request started an attempt first; resume that one
+      if (createError.code !== 11000) throw createError;
+      const started = await QuizAttempt.findOne({ quiz: quiz._id, participant: req.user._id, status: 'in_progress' });
+      if (!started) throw createError;
+      return res.json({
+        message: 'Quiz attempt in progress',
+        attempt: attemptView(started),
+        quiz: quiz.toParticipantView()
+      });
+    }
+
+    res.status(201).json({
+      message: 'Quiz attempt started',
+      attempt: attemptView(attempt),
+      quiz: quiz.toParticipantView()
+    });
+  } catch (error) {
+    console.error('Start quiz attempt error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error starting quiz attempt' });
+  }
+});
+
+// @route   POST /api/quizzes/attempts/:attemptId/submit
+// @desc    Submit answers for a quiz attempt and get it graded
+// @access  Private (Attempt owner)
+router.post('/attempts/:attemptId/submit', [
+  auth,
+  body('answers').isArray().withMessage('Answers must be a list'),
+  body('answers.*.questionId').isMongoId().withMessage('Each answer needs a question ID'),
+  body('answers.*.selectedOptions').optional().isArray().withMessage('Selected options must be a list'),
+  body('answers.*.textAnswer').optional().isString().isLength({ max: 1000 }).withMessage('Text answers cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempt = await QuizAttempt.findById(req.params.attemptId);
+    if (!attempt || attempt.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(400).json({ message: 'This quiz attempt has already been submitted' });
+    }
+
+    const quiz = await Quiz.findById(attempt.quiz);
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (attempt.isOverdue()) {
+      await expireAttempt(attempt, quiz);
+      return res.status(400).json({ message: 'Time limit exceeded. The attempt was closed with a score of 0' });
+    }
+
+    // Only the first submission of an attempt is graded
+    const result = quiz.grade(req.body.answers);
+    const submitted = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress' },
+      { $set: { status: 'submitted', submittedAt: new Date(), ...result } },
+      { new: true, runValidators: true }
+    );
+    if (!submitted) {
+      return res.status(400).json({ message: 'This quiz attempt has already been submitted' });
+    }
+    await updateQuizScore(submitted);
+
+    res.json({
+      message: result.passed ? 'Quiz passed' : 'Quiz submitted',
+      result: {
+        score: result.score,
+        maxScore: result.maxScore,
+        percentage: result.percentage,
+        passed: result.passed,
+        passingScore: quiz.passingScore
+      }
+    });
+  } catch (error) {
+    console.error('Submit quiz attempt error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz attempt not found' });
+    }
+    res.status(500).json({ message: 'Server error submitting quiz attempt' });
+  }
+});
+
+// @route   GET /api/quizzes/event/:eventId/leaderboard
+// @desc    Get the best score per participant, highest first (ties go to the faster attempt)
+// @access  Private (unpublished quizzes: event organizers or Admin)
+router.get('/event/:eventId/leaderboard', auth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findOne({ event: req.params.eventId });
+    if (!quiz) {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+
+    if (!quiz.isPublished && req.user.role !== 'admin') {
+      const event = await Event.findById(quiz.event).select('createdBy organizers');
+      if (!event || !event.isOrganizer(req.user)) {
+        return res.status(404).json({ message: 'Quiz not found' });
+      }
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const leaderboard = await QuizAttempt.aggregate([
+      { $match: { quiz: quiz._id, status: 'submitted' } },
+      { $addFields: { durationMs: { $subtract: ['$submittedAt', '$startedAt'] } } },
+      { $sort: { percentage: -1, durationMs: 1 } },
+      {
+        $group: {
+          _id: '$participant',
+          percentage: { $first: '$percentage' },
+          score: { $first: '$score' },
+          maxScore: { $first: '$maxScore' },
+          durationMs: { $first: '$durationMs' },
+          submittedAt: { $first: '$submittedAt' }
+        }
+      },
+      { $sort: { percentage: -1, durationMs: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'participant'
+        }
+      },
+      { $unwind: '$participant' },
+      {
+        $project: {
+          _id: 0,
+          participant: {
+            _id: '$participant._id',
+            fullName: '$participant.fullName',
+            department: '$participant.department'
+          },
+          percentage: 1,
+          score: 1,
+          maxScore: 1,
+          durationSeconds: { $round: [{ $divide: ['$durationMs', 1000] }, 0] },
+          submittedAt: 1
+        }
+      }
+    ]);
+
+    res.json({
+      quiz: { id: quiz._id, title: quiz.title, passingScore: quiz.passingScore },
+      leaderboard: leaderboard.map((entry, index) => ({ rank: index + 1, ...entry }))
+    });
+  } catch (error) {
+    console.error('Get quiz leaderboard error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Quiz not found' });
+    }
+    res.status(500).json({ message: 'Server error getting leaderboard' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { auth } = require('../middleware/auth');
+const { channels, send, addClient, removeClient } = require('../utils/realtime');
+const router = express.Router();
+
+// EventSource cannot send an Authorization header, so clients trade their
+// access token for a short-lived stream ticket passed in the query string
+const STREAM_TICKET_TYPE = 'stream';
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+// Keep proxies from closing idle streams and notice revoked sessions
+const HEARTBEAT_MS = 25 * 1000;
+
+// Most events a single stream can follow
+const MAX_STREAM_EVENTS = 20;
+
+// Check that the user and session behind a ticket are still allowed in
+const loadStreamUser = async ({ userId, sessionId }) => {
+  const [user, session] = await Promise.all([
+    User.findById(userId).select('fullName role isActive'),
+    Session.findById(sessionId)
+  ]);
+
+  if (!user || !user.isActive || !session || !session.isValid() || session.user.toString() !== user._id.toString()) {
+    return null;
+  }
+  return user;
+};
+
+// Work out the channels a user may listen on for the requested events:
+// staff get the event's staff channel too, everyone else only public events
+// or events they are registered for
+const resolveChannels = async (user, eventIds) => {
+  const subscribed = [channels.user(user._id)];
+  if (eventIds.length === 0) return { subscribed, events: [] };
+
+  const [events, registeredEventIds] = await Promise.all([
+    Event.find({ _id: { $in: eventIds }, isActive: true }).select('createdBy organizers moderators isPublic'),
+    Registration.distinct('event', { event: { $in: eventIds }, participant: user._id, isActive: true })
+  ]);
+  const registered = new Set(registeredEventIds.map(id => id.toString()));
+
+  const followed = [];
+  for (const event of events) {
+    const isStaff = user.role === 'admin' || event.isStaff(user);
+
+    if (isStaff) {
+      subscribed.push(channels.event(event._id), channels.eventStaff(event._id));
+    } else if (event.isPublic || registered.has(event._id.toString())) {
+      subscribed.push(channels.event(event._id));
+    } else {
+      continue;
+    }
+
+    followed.push({ event: event._id, staff: isStaff });
+  }
+
+  return { subscribed, events: followed };
+};
+
+// @route   POST /api/realtime/ticket
+// @desc    Get a short-lived ticket for opening the live update stream
+// @access  Private
+router.post('/ticket', auth, async (req, res) => {
+  try {
+    const ticket = jwt.sign(
+      { typ: STREAM_TICKET_TYPE, userId: req.user._id.toString(), sessionId: req.authSession._id.toString() },
+      process.env.JWT_SECRET,
+      { expiresIn: STREAM_TICKET_TTL_SECONDS }
+    );
+
+    res.json({ ticket, expiresIn: STREAM_TICKET_TTL_SECONDS });
+  } catch (error) {
+    console.error('Create stream ticket error:', error);
+    res.status(500).json({ message: 'Server error creating stream ticket' });
+  }
+});
+
+// @route   GET /api/realtime/stream?ticket=...&events=id1,id2
+// @desc    Server-Sent Events stream of notifications, seat counts, registrations,
+//          check-ins and feedback for the current user and the listed events
+// @access  Private (stream ticket)
+router.get('/stream', async (req, res) => {
+  try {
+    let payload;
+    try {
+      payload = jwt.verify(String(req.query.ticket || ''), process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Stream ticket is invalid or has expired' });
+    }
+    if (payload.typ !== STREAM_TICKET_TYPE) {
+      return res.status(401).json({ message: 'Stream ticket is invalid or has expired' });
+    }
+
+    const user = await loadStreamUser(payload);
+    if (!user) {
+      return res.status(401).json({ message: 'Session has expired or was revoked. Please login again.' });
+    }
+
+    const eventIds = String(req.query.events || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    if (eventIds.length > MAX_STREAM_EVENTS) {
+      return res.status(400).json({ message: `A stream can follow at most ${MAX_STREAM_EVENTS} events` });
+    }
+    if (eventIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid event ID' });
+    }
+
+    const { subscribed, events } = await resolveChannels(user, eventIds);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = addClient(res, { user, channels: subscribed });
+    send(res, { type: 'ready', data: { events } });
+
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await loadStreamUser(payload))) {
+          send(res, { type: 'end', data: { reason: 'Session has expired or was revoked' } });
+          res.end();
+          return;
+        }
+        res.write(': ping\n\n');
+      } catch (error) {
+        console.error('Stream heartbeat error:', error);
+      }
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      removeClient(client);
+    });
+  } catch (error) {
+    console.error('Open stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error opening stream' });
+    }
+  }
+});
+
+module.exports = router;
@@ -3,16 +3,37 @@ const { body, validationResult, query } = require('express-validator');
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const { auth, requireFaculty } = require('../middleware/auth');
+const { auth, requireFaculty, requireVerifiedEmail, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { processWaitlist } = require('../utils/waitlist');
+const {
+  registerForEvent,
+  acceptWaitlistOffer,
+  updateRegistrationStatus,
+  cancelRegistration,
+  applyAsCoordinator,
+  decideCoordinatorApplication
+} = require('../utils/registrations');
+const { createTicketToken, createTicketQrCode } = require('../utils/tickets');
+const { storeFormFile } = require('../utils/registrationForms');
+const { canViewEvent, checkEligibility } = require('../utils/eligibility');
+const { resolveInvitation } = require('../utils/invitations');
+const { uploadFormFile, handleUploadError } = require('../middleware/upload');
 const router = express.Router();
 
 // @route   POST /api/registrations
-// @desc    Register for an event
+// @desc    Register for an event, or apply to coordinate it (registrationType 'coordinator' with a reason)
 // @access  Private
 router.post('/', [
   auth,
+  requireVerifiedEmail,
   body('eventId').isMongoId().withMessage('Valid event ID is required'),
-  body('registrationType').isIn(['participant', 'coordinator']).withMessage('Invalid registration type')
+  body('registrationType').isIn(['participant', 'coordinator']).withMessage('Invalid registration type'),
+  body('reason')
+    .if(body('registrationType').equals('coordinator'))
+    .isString().trim().isLength({ min: 10, max: 1000 })
+    .withMessage('Tell the organizers why you want to coordinate (10 to 1000 characters)'),
+  body('inviteCode').optional().isString().trim().notEmpty().withMessage('Invalid invitation code'),
+  body('responses').optional().isObject().withMessage('Responses must be an object keyed by form field')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -20,48 +41,21 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { eventId, registrationType } = req.body;
-    const userId = req.user._id;
+    const { eventId, registrationType, inviteCode, responses, reason } = req.body;
 
-    // Check if event exists and is active
     const event = await Event.findById(eventId);
-    if (!event || !event.isActive) {
-      return res.status(404).json({ message: 'Event not found or inactive' });
-    }
 
-    // Check if event is full
-    if (event.maxParticipants > 0 && event.currentParticipants >= event.maxParticipants) {
-      return res.status(400).json({ message: 'Event is full' });
+    // Coordinators apply and wait for the organizers' approval
+    if (registrationType === 'coordinator') {
+      const application = await applyAsCoordinator(event, req.user, reason);
+      await application.populate('event', 'title date venue');
+      return res.status(201).json({
+        message: 'Application sent. The organizers will review it',
+        registration: application
+      });
     }
 
-    // Check if registration deadline has passed
-    if (new Date() > event.registrationDeadline) {
-      return res.status(400).json({ message: 'Registration deadline has passed' });
-    }
-
-    // Check if user is already registered
-    const existingRegistration = await Registration.findOne({
-      event: eventId,
-      participant: userId
-    });
-
-    if (existingRegistration) {
-      return res.status(400).json({ message: 'Already registered for this event' });
-    }
-
-    // Create registration
-    const registration = new Registration({
-      event: eventId,
-      participant: userId,
-      registrationType,
-      status: 'pending'
-    });
-
-    await registration.save();
-
-    // Update event participant count
-    event.currentParticipants += 1;
-    await event.save();
+    const { registration, waitlisted, order } = await registerForEvent(event, req.user, { inviteCode, responses });
 
     // Populate event details for response
     await registration.populate([
@@ -69,16 +63,96 @@ router.post('/', [
       { path: 'participant', select: 'fullName email' }
     ]);
 
+    if (waitlisted) {
+      return res.status(201).json({
+        message: 'Event is full. You have been added to the waitlist',
+        registration,
+        waitlistPosition: await Registration.getWaitlistPosition(registration)
+      });
+    }
+
+    if (registration.paymentStatus === 'awaiting_payment') {
+      return res.status(201).json({
+        message: 'Seat held. Complete the payment to confirm your registration',
+        registration,
+        order: order ? order.toClient() : undefined
+      });
+    }
+
     res.status(201).json({
       message: 'Registration successful',
       registration
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, reasons: error.reasons });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
   }
 });
 
+// @route   POST /api/registrations/event/:eventId/files
+// @desc    Upload a file for a file field of the event's registration form, replacing the previous upload for the field; send the returned fileKey as the answer
+// @access  Private (People who can register for the event)
+router.post('/event/:eventId/files', auth, requireVerifiedEmail, uploadFormFile, handleUploadError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found or inactive' });
+    }
+
+    // Only people who could register with the file may upload it
+    const { invitation, reason } = await resolveInvitation(event._id, req.body.inviteCode, req.user);
+    if (reason) {
+      return res.status(403).json({ message: reason.message, reasons: [reason] });
+    }
+    const invited = Boolean(invitation);
+    if (!canViewEvent(event, req.user, { invited })) {
+      return res.status(404).json({ message: 'Event not found or inactive' });
+    }
+    if (event.registrationClosed || new Date() > event.registrationDeadline) {
+      return res.status(400).json({ message: 'Registration deadline has passed' });
+    }
+    const { eligible, reasons } = checkEligibility(event, req.user, { invited });
+    if (!eligible) {
+      return res.status(403).json({
+        message: `Not eligible for this event: ${reasons.map(entry => entry.message).join('; ')}`,
+        reasons
+      });
+    }
+    if (await Registration.exists({ event: event._id, participant: req.user._id, isActive: true, status: { $ne: 'cancelled' } })) {
+      return res.status(400).json({ message: 'Already registered for this event' });
+    }
+
+    const field = event.registrationForm.find(formField => formField.key === req.body.field);
+    if (!field || field.type !== 'file') {
+      return res.status(400).json({ message: 'The registration form has no file field with this key' });
+    }
+
+    const { fileKey, message } = await storeFormFile(event, req.user, field, req.file);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    res.status(201).json({
+      message: 'File uploaded. Send the fileKey as the answer to the field when registering',
+      field: field.key,
+      fileKey
+    });
+  } catch (error) {
+    console.error('Upload registration file error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error uploading file' });
+  }
+});
+
 // @route   GET /api/registrations/my
 // @desc    Get user's registrations
 // @access  Private
@@ -121,6 +195,7 @@ router.get('/event/:eventId', [auth, requireFaculty], async (req, res) => {
 
     const registrations = await Registration.find(filter)
       .populate('participant', 'fullName email department year semester phoneNumber')
+      .populate('team', 'name status')
       .sort({ registrationDate: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -174,25 +249,12 @@ router.put('/:id/status', [
       return res.status(403).json({ message: 'Not authorized to update this registration' });
     }
 
-    const oldStatus = registration.status;
-    registration.status = status;
-    if (notes) registration.coordinatorNotes = notes;
-
-    await registration.save();
-
-    // Update event participant count if status changed
-    if (oldStatus !== status) {
-      const event = await Event.findById(registration.event._id);
-      if (event) {
-        if (oldStatus === 'confirmed' && status !== 'confirmed') {
-          event.currentParticipants = Math.max(0, event.currentParticipants - 1);
-        } else if (oldStatus !== 'confirmed' && status === 'confirmed') {
-          event.currentParticipants += 1;
-        }
-        await event.save();
-      }
+    if (registration.registrationType === 'coordinator') {
+      return res.status(400).json({ message: 'Coordinator applications are decided through PUT /api/registrations/:id/approval' });
     }
 
+    await updateRegistrationStatus(registration, status, notes);
+
     await registration.populate([
       { path: 'event', select: 'title date venue' },
       { path: 'participant', select: 'fullName email department' }
@@ -204,6 +266,9 @@ router.put('/:id/status', [
     });
   } catch (error) {
     console.error('Update registration status error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     if (error.kind === 'ObjectId') {
       return res.status(404).json({ message: 'Registration not found' });
     }
@@ -211,6 +276,82 @@ router.put('/:id/status', [
   }
 });
 
+// @route   GET /api/registrations/event/:eventId/coordinators?status=
+// @desc    Coordinator applications for an event, with the applicants' reasons and decisions
+// @access  Private (Event organizers or Admin)
+router.get('/event/:eventId/coordinators', auth, requireOwnershipOrAdmin(Event, 'eventId'), async (req, res) => {
+  try {
+    const filter = { event: req.params.eventId, registrationType: 'coordinator' };
+    if (req.query.status) filter['coordinatorApproval.status'] = req.query.status;
+
+    const applications = await Registration.find(filter)
+      .populate('participant', 'fullName email department year semester')
+      .populate('coordinatorApproval.decidedBy', 'fullName')
+      .sort({ registrationDate: -1 });
+
+    res.json({ applications });
+  } catch (error) {
+    console.error('Get coordinator applications error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error getting coordinator applications' });
+  }
+});
+
+// @route   PUT /api/registrations/:id/approval
+// @desc    Approve or reject a coordinator application, or revoke an approved coordinator, with a reason
+// @access  Private (Event organizers or Admin)
+router.put('/:id/approval', [
+  auth,
+  body('status').isIn(['approved', 'rejected', 'revoked']).withMessage('Status must be approved, rejected or revoked'),
+  body('reason').isString().trim().isLength({ min: 3, max: 1000 }).withMessage('A reason of 3 to 1000 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const registration = await Registration.findById(req.params.id).populate('event');
+    if (!registration || !registration.event) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    if (req.user.role !== 'admin' && !registration.event.isOrganizer(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to decide on this application' });
+    }
+
+    await decideCoordinatorApplication(registration, req.body.status, {
+      decidedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    await registration.populate([
+      { path: 'event', select: 'title date venue' },
+      { path: 'participant', select: 'fullName email department' }
+    ]);
+
+    res.json({
+      message: {
+        approved: 'Coordinator approved and added to the event moderators',
+        rejected: 'Coordinator application rejected',
+        revoked: 'Coordinator removed from the event moderators'
+      }[req.body.status],
+      registration
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Coordinator approval error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error deciding on the application' });
+  }
+});
+
 // @route   DELETE /api/registrations/:id
 // @desc    Cancel registration
 // @access  Private
@@ -230,22 +371,11 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if event has already started
-    if (new Date() >= registration.event.date) {
+    if (new Date() >= registration.event.startsAt) {
       return res.status(400).json({ message: 'Cannot cancel registration for an event that has already started' });
     }
 
-    // Update event participant count
-    if (registration.status === 'confirmed') {
-      const event = await Event.findById(registration.event._id);
-      if (event) {
-        event.currentParticipants = Math.max(0, event.currentParticipants - 1);
-        await event.save();
-      }
-    }
-
-    // Soft delete registration
-    registration.isActive = false;
-    await registration.save();
+    await cancelRegistration(registration);
 
     res.json({ message: 'Registration cancelled successfully' });
   } catch (error) {
@@ -257,6 +387,150 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/registrations/:id/ticket
+// @desc    Get the signed check-in ticket (token and QR code) for a confirmed registration
+// @access  Private (Registration owner)
+router.get('/:id/ticket', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id)
+      .populate('event', 'title startDate endDate endsAt venue');
+    if (!registration || registration.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    if (!registration.isActive || registration.status !== 'confirmed' || registration.registrationType === 'coordinator') {
+      return res.status(400).json({ message: 'Tickets are only issued for confirmed registrations' });
+    }
+
+    const token = await createTicketToken(registration, registration.event);
+
+    res.json({
+      registration: registration._id,
+      event: registration.event,
+      checkedIn: registration.attended,
+      checkedInAt: registration.attended ? registration.attendanceDate : undefined,
+      token,
+      qrCode: await createTicketQrCode(token)
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error getting ticket' });
+  }
+});
+
+// @route   GET /api/registrations/:id/waitlist
+// @desc    Get waitlist position and seat offer for a registration
+// @access  Private (Registration owner)
+router.get('/:id/waitlist', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    if (!registration || registration.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    // Expired offers move the line forward before we answer
+    await processWaitlist(registration.event);
+    await registration.populate('event', 'title startDate venue maxParticipants');
+
+    if (registration.status !== 'waitlisted' || !registration.isActive) {
+      return res.json({
+        status: registration.status,
+        onWaitlist: false
+      });
+    }
+
+    const waitingCount = await Registration.countDocuments({
+      event: registration.event._id,
+      status: 'waitlisted',
+      isActive: true,
+      offerExpiresAt: { $exists: false }
+    });
+
+    res.json({
+      status: registration.status,
+      onWaitlist: true,
+      event: registration.event,
+      position: await Registration.getWaitlistPosition(registration),
+      waitingCount,
+      offer: registration.hasActiveOffer()
+        ? { offeredAt: registration.offeredAt, expiresAt: registration.offerExpiresAt }
+        : null
+    });
+  } catch (error) {
+    console.error('Get waitlist position error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error getting waitlist position' });
+  }
+});
+
+// @route   POST /api/registrations/:id/accept-offer
+// @desc    Accept a seat offered from the waitlist
+// @access  Private (Registration owner)
+router.post('/:id/accept-offer', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    if (!registration || registration.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    const { order } = await acceptWaitlistOffer(registration);
+
+    await registration.populate([
+      { path: 'event', select: 'title date venue' },
+      { path: 'participant', select: 'fullName email' }
+    ]);
+
+    res.json({
+      message: registration.paymentStatus === 'awaiting_payment'
+        ? 'Seat accepted. Complete the payment to confirm your registration'
+        : 'Seat accepted. Your registration is now pending confirmation',
+      registration,
+      order: order ? order.toClient() : undefined
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Accept waitlist offer error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error accepting seat offer' });
+  }
+});
+
+// @route   POST /api/registrations/:id/decline-offer
+// @desc    Decline a seat offered from the waitlist
+// @access  Private (Registration owner)
+router.post('/:id/decline-offer', auth, async (req, res) => {
+  try {
+    const registration = await Registration.findById(req.params.id);
+    if (!registration || registration.participant.toString() !== req.user._id.toString()) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    if (!registration.isActive || !registration.hasActiveOffer()) {
+      return res.status(400).json({ message: 'There is no open seat offer for this registration' });
+    }
+
+    // Cancelling hands the seat to the next person in line
+    await cancelRegistration(registration, 'Waitlist offer declined');
+
+    res.json({ message: 'Seat offer declined' });
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+    res.status(500).json({ message: 'Server error declining seat offer' });
+  }
+});
+
 // @route   GET /api/registrations/stats/event/:eventId
 // @desc    Get registration statistics for an event (Faculty/Admin only)
 // @access  Private (Faculty/Admin)
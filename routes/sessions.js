@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const Registration = require('../models/Registration');
+const { auth, optionalAuth, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { addSession, updateSessions, cancelSessions, replaceRecurrence } = require('../utils/sessions');
+const { SEAT_HOLDER_FILTER, holdsSeat } = require('../utils/registrations');
+const { canViewEvent } = require('../utils/eligibility');
+const { toRRule } = require('../utils/recurrence');
+const router = express.Router();
+
+const sessionValidators = [
+  body('title').optional().isString().trim().isLength({ max: 200 }).withMessage('Title must be up to 200 characters'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  body('startTime').optional().trim().notEmpty().withMessage('Start time cannot be empty'),
+  body('endTime').optional().trim().notEmpty().withMessage('End time cannot be empty'),
+  body('venue').optional().isString().trim()
+];
+
+const scopeValidator = (location) => location('scope').optional().isIn(['this', 'following'])
+  .withMessage('Scope must be "this" or "following"');
+
+// Load a session and its event, answering 404/403 when the user may not manage them
+const loadManagedSession = async (req, res) => {
+  const session = await EventSession.findById(req.params.id);
+  const event = session ? await Event.findById(session.event) : null;
+  if (!session || !event) {
+    res.status(404).json({ message: 'Session not found' });
+    return null;
+  }
+
+  if (req.user.role !== 'admin' && !event.isOrganizer(req.user)) {
+    res.status(403).json({ message: 'Not authorized to manage this event\'s sessions' });
+    return null;
+  }
+
+  return { session, event };
+};
+
+// @route   GET /api/sessions/event/:eventId
+// @desc    Get the sessions of an event
+// @access  Public (private events only for those who may see them)
+router.get('/event/:eventId', optionalAuth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive ||
+      !canViewEvent(event, req.user, { registered: await holdsSeat(event._id, req.user) })) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const sessions = await EventSession.find({ event: event._id }).sort({ startsAt: 1 });
+
+    res.json({
+      isSeries: event.isSeries,
+      recurrence: event.recurrence && event.recurrence.frequency
+        ? { ...event.recurrence.toObject(), rrule: toRRule(event.recurrence) }
+        : null,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error getting sessions' });
+  }
+});
+
+// @route   POST /api/sessions/event/:eventId
+// @desc    Add a session (a single event becomes a multi-session event)
+// @access  Private (Event organizers or Admin)
+router.post('/event/:eventId', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate').isISO8601().withMessage('Valid end date required'),
+  body('startTime').trim().notEmpty().withMessage('Start time required'),
+  body('endTime').trim().notEmpty().withMessage('End time required'),
+  ...sessionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const session = await addSession(event, req.body);
+
+    res.status(201).json({
+      message: 'Session added successfully',
+      session
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    console.error('Add session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error adding session' });
+  }
+});
+
+// @route   PUT /api/sessions/event/:eventId/recurrence
+// @desc    Replace the recurrence rule for all future occurrences
+// @access  Private (Event organizers or Admin)
+router.put('/event/:eventId/recurrence', [
+  auth,
+  requireOwnershipOrAdmin(Event, 'eventId'),
+  body('recurrence').custom(value => typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+    .withMessage('Recurrence must be an RRULE string or a rule object'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const summary = await replaceRecurrence(event, req.body.recurrence, { startDate: req.body.startDate });
+    const sessions = await EventSession.find({ event: event._id }).sort({ startsAt: 1 });
+
+    res.json({
+      message: 'Recurrence updated successfully',
+      ...summary,
+      sessions
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    console.error('Update recurrence error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error updating recurrence' });
+  }
+});
+
+// @route   PUT /api/sessions/:id
+// @desc    Edit this occurrence or all following occurrences (scope: this | following)
+// @access  Private (Event organizers or Admin)
+router.put('/:id', [
+  auth,
+  scopeValidator(body),
+  ...sessionValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadManagedSession(req, res);
+    if (!loaded) return;
+
+    if (loaded.session.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled sessions cannot be edited' });
+    }
+
+    const sessions = await updateSessions(loaded.session, req.body, req.body.scope || 'this');
+
+    res.json({
+      message: 'Session updated successfully',
+      sessions
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    console.error('Update session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error updating session' });
+  }
+});
+
+// @route   DELETE /api/sessions/:id?scope=this|following
+// @desc    Cancel this occurrence or all following occurrences
+// @access  Private (Event organizers or Admin)
+router.delete('/:id', [
+  auth,
+  scopeValidator(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadManagedSession(req, res);
+    if (!loaded) return;
+
+    const cancelled = await cancelSessions(loaded.session, req.query.scope || 'this');
+
+    res.json({
+      message: cancelled.length === 1 ? 'Session cancelled' : `${cancelled.length} sessions cancelled`,
+      cancelled: cancelled.map(session => session._id)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    console.error('Cancel session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error cancelling session' });
+  }
+});
+
+// @route   GET /api/sessions/:id/attendance
+// @desc    Get who attended a session
+// @access  Private (Event organizers or Admin)
+router.get('/:id/attendance', auth, async (req, res) => {
+  try {
+    const loaded = await loadManagedSession(req, res);
+    if (!loaded) return;
+
+    const registrations = await Registration.find({ 'sessionAttendance.session': loaded.session._id })
+      .populate('participant', 'fullName email department year semester');
+
+    const attendees = registrations.map(registration => {
+      const record = registration.sessionAttendance.find(entry => entry.session.equals(loaded.session._id));
+      return {
+        registration: registration._id,
+        participant: registration.participant,
+        attendedAt: record.attendedAt,
+        checkedInBy: record.checkedInBy
+      };
+    });
+
+    const registered = await Registration.countDocuments({ ...SEAT_HOLDER_FILTER, event: loaded.event._id });
+
+    res.json({
+      session: loaded.session,
+      attendees,
+      attendance: attendees.length,
+      registered
+    });
+  } catch (error) {
+    console.error('Get session attendance error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error getting session attendance' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,707 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Registration = require('../models/Registration');
+const { auth, requireVerifiedEmail, requireOwnershipOrAdmin } = require('../middleware/auth');
+const {
+  SEAT_STATUSES,
+  registrationError,
+  registerForEvent,
+  updateRegistrationStatus,
+  cancelRegistration,
+  markAttendance
+} = require('../utils/registrations');
+const {
+  ACTIVE_TEAM_STATUSES,
+  isTeamNameTaken,
+  createTeam,
+  claimTeamSpot,
+  releaseTeamSpot,
+  syncTeamStatus,
+  describeTeam,
+  teamsToCsv
+} = require('../utils/teams');
+const { notifyTeamInvitation } = require('../utils/notifications');
+const { formColumns, formatAnswers } = require('../utils/registrationForms');
+const { sendCsv } = require('../utils/csv');
+const router = express.Router();
+
+const MEMBER_FIELDS = 'fullName email scholarNumber department year';
+
+const teamName = () => body('name').trim().isLength({ min: 2, max: 80 }).withMessage('Team name must be between 2 and 80 characters');
+
+// Answer with the status a registrationError carries, or 500
+const sendError = (res, error, label, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message, reasons: error.reasons });
+  }
+  console.error(`${label} error:`, error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Team not found' });
+  }
+  return res.status(500).json({ message: fallback });
+};
+
+// Load a team and its event with what the user may do with it
+const loadTeam = async (req, res) => {
+  const team = await Team.findById(req.params.id);
+  const event = team ? await Event.findById(team.event) : null;
+  if (!team || !event) {
+    res.status(404).json({ message: 'Team not found' });
+    return null;
+  }
+
+  return {
+    team,
+    event,
+    manages: req.user.role === 'admin' || event.isOrganizer(req.user),
+    moderates: event.isModerator(req.user),
+    captain: team.isCaptain(req.user)
+  };
+};
+
+// The members' registrations for the teams, keyed by team
+const findTeamRegistrations = async (teams) => {
+  const registrations = await Registration.find({ team: { $in: teams.map(team => team._id) } });
+  return (team) => registrations.filter(registration => registration.team.equals(team._id));
+};
+
+// Take a place in the team and register the user with it (options as for
+// registerForEvent). Members joining a team the organizers already confirmed
+// are confirmed straight away.
+const joinTeam = async (team, event, user, { inviteCode, responses } = {}) => {
+  if (!ACTIVE_TEAM_STATUSES.includes(team.status)) {
+    throw registrationError(400, 'This team is no longer taking members');
+  }
+  if (!(await claimTeamSpot(team, user, event.teams.maxSize))) {
+    throw registrationError(400, team.hasMember(user) ? 'You are already in this team' : 'This team is full');
+  }
+
+  let result;
+  try {
+    result = await registerForEvent(event, user, { inviteCode, responses, team });
+  } catch (error) {
+    await releaseTeamSpot(team, user);
+    throw error;
+  }
+
+  const joined = await syncTeamStatus(team._id);
+  const { registration } = result;
+  if (joined.status === 'confirmed' && registration.status === 'pending' && registration.paymentStatus !== 'awaiting_payment') {
+    await updateRegistrationStatus(registration, 'confirmed');
+  }
+
+  return { team: joined, ...result };
+};
+
+// @route   GET /api/teams/my
+// @desc    Teams the user is in and pending invitations to teams
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const [teams, invitations] = await Promise.all([
+      Team.find({ 'members.user': req.user._id, status: { $in: ACTIVE_TEAM_STATUSES } })
+        .populate('event', 'title startDate startsAt venue')
+        .populate('members.user', 'fullName')
+        .sort({ createdAt: -1 }),
+      Team.find({
+        status: { $in: ACTIVE_TEAM_STATUSES },
+        invites: {
+          $elemMatch: { status: 'pending', $or: [{ user: req.user._id }, { email: req.user.email }] }
+        }
+      })
+        .select('name event captain status')
+        .populate('event', 'title startDate startsAt venue')
+        .populate('captain', 'fullName')
+    ]);
+
+    res.json({ teams, invitations });
+  } catch (error) {
+    sendError(res, error, 'Get my teams', 'Server error getting teams');
+  }
+});
+
+// @route   GET /api/teams/event/:eventId?status=&format=csv
+// @desc    An event's teams with members, registration status and attendance; format=csv downloads the roster
+// @access  Private (Event organizers, moderators or Admin)
+router.get('/event/:eventId', auth, requireOwnershipOrAdmin(Event, 'eventId', { allowModerators: true }), async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('title teams registrationForm');
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const filter = { event: event._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const teams = await Team.find(filter)
+      .populate('members.user', MEMBER_FIELDS)
+      .populate('captain', 'fullName email')
+      .sort({ name: 1 });
+    const registrationsOf = await findTeamRegistrations(teams);
+    const described = teams.map(team => describeTeam(team, registrationsOf(team)));
+
+    if (req.query.format === 'csv') {
+      const registrations = teams.flatMap(registrationsOf);
+      const columns = formColumns(event, registrations);
+      const answers = new Map(await Promise.all(registrations.map(async registration => [
+        registration._id.toString(),
+        await formatAnswers(registration, columns)
+      ])));
+      return sendCsv(res, teamsToCsv(described, { columns, answers }), `teams-${event._id}.csv`);
+    }
+
+    res.json({
+      teams: described,
+      settings: event.teams,
+      summary: ACTIVE_TEAM_STATUSES.concat(['rejected', 'withdrawn']).reduce((counts, status) => {
+        counts[status] = teams.filter(team => team.status === status).length;
+        return counts;
+      }, {})
+    });
+  } catch (error) {
+    console.error('Get event teams error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    res.status(500).json({ message: 'Server error getting teams' });
+  }
+});
+
+// @route   POST /api/teams/event/:eventId
+// @desc    Create a team; the creator becomes its captain and is registered for the event
+// @access  Private
+router.post('/event/:eventId', [
+  auth,
+  requireVerifiedEmail,
+  teamName(),
+  body('inviteCode').optional().isString().trim().notEmpty().withMessage('Invalid invitation code'),
+  body('responses').optional().isObject().withMessage('Responses must be an object keyed by form field')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+    if (!event || !event.isActive) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+    if (!event.teams || !event.teams.enabled) {
+      return res.status(400).json({ message: 'This event does not take team entries' });
+    }
+    if (await isTeamNameTaken(event._id, req.body.name)) {
+      return res.status(400).json({ message: 'A team with this name is already taking part' });
+    }
+
+    const team = await createTeam(event, req.user, req.body.name);
+    let result;
+    try {
+      result = await registerForEvent(event, req.user, {
+        inviteCode: req.body.inviteCode,
+        responses: req.body.responses,
+        team
+      });
+    } catch (error) {
+      await Team.deleteOne({ _id: team._id });
+      throw error;
+    }
+    await syncTeamStatus(team);
+
+    res.status(201).json({
+      message: `Team created. Share the code ${team.joinCode} or invite members to join`,
+      team,
+      registration: result.registration,
+      order: result.order ? result.order.toClient() : undefined
+    });
+  } catch (error) {
+    sendError(res, error, 'Create team', 'Server error creating team');
+  }
+});
+
+// @route   POST /api/teams/join
+// @desc    Join a team with its join code (registers the user for the event)
+// @access  Private
+router.post('/join', [
+  auth,
+  requireVerifiedEmail,
+  body('code').isString().trim().notEmpty().withMessage('Team code is required'),
+  body('inviteCode').optional().isString().trim().notEmpty().withMessage('Invalid invitation code'),
+  body('responses').optional().isObject().withMessage('Responses must be an object keyed by form field')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findOne({ joinCode: req.body.code.trim().toUpperCase() });
+    const event = team ? await Event.findById(team.event) : null;
+    if (!team || !event) {
+      return res.status(404).json({ message: 'No team has this code' });
+    }
+
+    const { team: joined, registration, order } = await joinTeam(team, event, req.user, {
+      inviteCode: req.body.inviteCode,
+      responses: req.body.responses
+    });
+
+    // Joining answers any invitation the user had to the team
+    await Team.updateOne(
+      { _id: team._id },
+      { $set: { 'invites.$[invite].status': 'accepted' } },
+      { arrayFilters: [{ $or: [{ 'invite.user': req.user._id }, { 'invite.email': req.user.email }], 'invite.status': 'pending' }] }
+    );
+
+    res.json({
+      message: `You joined ${joined.name}`,
+      team: joined,
+      registration,
+      order: order ? order.toClient() : undefined
+    });
+  } catch (error) {
+    sendError(res, error, 'Join team', 'Server error joining team');
+  }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Get a team (members, invitees and event staff)
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, manages } = loaded;
+
+    const member = team.hasMember(req.user);
+    if (!member && !manages && !team.findInvite(req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view this team' });
+    }
+
+    await team.populate([
+      { path: 'members.user', select: MEMBER_FIELDS },
+      { path: 'captain', select: 'fullName email' },
+      { path: 'event', select: 'title startDate startsAt venue teams' }
+    ]);
+    const registrations = await Registration.find({ team: team._id });
+    const described = describeTeam(team, registrations);
+
+    // The code and invite list are for the team and the organizers
+    if (!member && !manages) {
+      delete described.joinCode;
+      delete described.invites;
+    }
+
+    res.json({ team: described });
+  } catch (error) {
+    sendError(res, error, 'Get team', 'Server error getting team');
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Rename the team or hand the captaincy to another member
+// @access  Private (Team captain or event organizers)
+router.put('/:id', [
+  auth,
+  teamName().optional(),
+  body('captain').optional().isMongoId().withMessage('Invalid captain ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, manages, captain } = loaded;
+
+    if (!captain && !manages) {
+      return res.status(403).json({ message: 'Only the captain can change the team' });
+    }
+    if (!ACTIVE_TEAM_STATUSES.includes(team.status)) {
+      return res.status(400).json({ message: 'This team is no longer taking part' });
+    }
+
+    if (req.body.name !== undefined) {
+      if (await isTeamNameTaken(team.event, req.body.name, { excludeTeam: team._id })) {
+        return res.status(400).json({ message: 'A team with this name is already taking part' });
+      }
+      team.name = req.body.name;
+    }
+    if (req.body.captain !== undefined) {
+      if (!team.hasMember(req.body.captain)) {
+        return res.status(400).json({ message: 'The new captain must be a member of the team' });
+      }
+      team.captain = req.body.captain;
+    }
+    await team.save();
+
+    res.json({
+      message: 'Team updated successfully',
+      team
+    });
+  } catch (error) {
+    sendError(res, error, 'Update team', 'Server error updating team');
+  }
+});
+
+// @route   POST /api/teams/:id/invites
+// @desc    Invite people to the team by email or scholar number
+// @access  Private (Team captain)
+router.post('/:id/invites', [
+  auth,
+  body('emails').optional().isArray().withMessage('Emails must be an array'),
+  body('emails.*').isEmail().normalizeEmail().withMessage('Invalid email address'),
+  body('scholarNumbers').optional().isArray().withMessage('Scholar numbers must be an array'),
+  body('scholarNumbers.*').isString().trim().notEmpty().withMessage('Invalid scholar number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event, captain } = loaded;
+
+    if (!captain) {
+      return res.status(403).json({ message: 'Only the captain can invite members' });
+    }
+    if (!ACTIVE_TEAM_STATUSES.includes(team.status)) {
+      return res.status(400).json({ message: 'This team is no longer taking members' });
+    }
+
+    const { emails = [], scholarNumbers = [] } = req.body;
+    if (emails.length + scholarNumbers.length === 0) {
+      return res.status(400).json({ message: 'Add at least one email address or scholar number' });
+    }
+    if (emails.length + scholarNumbers.length > event.teams.maxSize) {
+      return res.status(400).json({ message: `At most ${event.teams.maxSize} people can be invited at once` });
+    }
+
+    const users = await User.find({
+      isActive: true,
+      $or: [{ email: { $in: emails } }, { scholarNumber: { $in: scholarNumbers } }]
+    }).select('fullName email scholarNumber');
+
+    // Scholar numbers only work for people with an account; emails work for anyone
+    const notFound = scholarNumbers.filter(number => !users.some(user => user.scholarNumber === number));
+    const recipients = new Map(emails.map(email => [email, { email }]));
+    users.forEach(user => recipients.set(user.email, { email: user.email, scholarNumber: user.scholarNumber, user: user._id }));
+
+    const skipped = [];
+    const invited = [];
+    for (const recipient of recipients.values()) {
+      const alreadyInvited = team.invites.some(invite => invite.status === 'pending' && invite.email === recipient.email);
+      if ((recipient.user && team.hasMember(recipient.user)) || alreadyInvited) {
+        skipped.push(recipient.email);
+        continue;
+      }
+      team.invites.push(recipient);
+      invited.push(team.invites[team.invites.length - 1]);
+    }
+    await team.save();
+
+    for (const invite of invited) {
+      await notifyTeamInvitation(team, invite, event, req.user);
+    }
+
+    res.status(201).json({
+      message: `${invited.length} invitation(s) sent`,
+      invites: invited,
+      skipped,
+      notFound
+    });
+  } catch (error) {
+    sendError(res, error, 'Invite team members', 'Server error inviting team members');
+  }
+});
+
+// @route   DELETE /api/teams/:id/invites/:inviteId
+// @desc    Withdraw a pending invitation
+// @access  Private (Team captain)
+router.delete('/:id/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, captain } = loaded;
+
+    if (!captain) {
+      return res.status(403).json({ message: 'Only the captain can withdraw invitations' });
+    }
+
+    const invite = team.invites.id(req.params.inviteId);
+    if (!invite || invite.status !== 'pending') {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    invite.deleteOne();
+    await team.save();
+
+    res.json({ message: 'Invitation withdrawn' });
+  } catch (error) {
+    sendError(res, error, 'Withdraw team invitation', 'Server error withdrawing invitation');
+  }
+});
+
+// @route   POST /api/teams/:id/accept
+// @desc    Accept an invitation to the team (registers the user for the event)
+// @access  Private
+router.post('/:id/accept', [
+  auth,
+  requireVerifiedEmail,
+  body('inviteCode').optional().isString().trim().notEmpty().withMessage('Invalid invitation code'),
+  body('responses').optional().isObject().withMessage('Responses must be an object keyed by form field')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event } = loaded;
+
+    const invite = team.findInvite(req.user);
+    if (!invite) {
+      return res.status(404).json({ message: 'You have no pending invitation to this team' });
+    }
+
+    const { team: joined, registration, order } = await joinTeam(team, event, req.user, {
+      inviteCode: req.body.inviteCode,
+      responses: req.body.responses
+    });
+    await Team.updateOne(
+      { _id: team._id, 'invites._id': invite._id },
+      { $set: { 'invites.$.status': 'accepted', 'invites.$.user': req.user._id } }
+    );
+
+    res.json({
+      message: `You joined ${joined.name}`,
+      team: joined,
+      registration,
+      order: order ? order.toClient() : undefined
+    });
+  } catch (error) {
+    sendError(res, error, 'Accept team invitation', 'Server error accepting invitation');
+  }
+});
+
+// @route   POST /api/teams/:id/decline
+// @desc    Decline an invitation to the team
+// @access  Private
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team } = loaded;
+
+    const invite = team.findInvite(req.user);
+    if (!invite) {
+      return res.status(404).json({ message: 'You have no pending invitation to this team' });
+    }
+
+    invite.status = 'declined';
+    invite.user = req.user._id;
+    await team.save();
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    sendError(res, error, 'Decline team invitation', 'Server error declining invitation');
+  }
+});
+
+// @route   POST /api/teams/:id/leave
+// @desc    Leave the team; this cancels the user's registration
+// @access  Private (Team members)
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event } = loaded;
+
+    const registration = await Registration.findOne({ team: team._id, participant: req.user._id, isActive: true });
+    if (!team.hasMember(req.user) || !registration) {
+      return res.status(400).json({ message: 'You are not a member of this team' });
+    }
+    if (new Date() >= event.startsAt) {
+      return res.status(400).json({ message: 'Cannot leave a team once the event has started' });
+    }
+
+    await cancelRegistration(registration, `Left team ${team.name}`);
+
+    res.json({ message: `You left ${team.name}` });
+  } catch (error) {
+    sendError(res, error, 'Leave team', 'Server error leaving team');
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a member; this cancels their registration
+// @access  Private (Team captain or event organizers)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, manages, captain } = loaded;
+
+    if (!captain && !manages) {
+      return res.status(403).json({ message: 'Only the captain or the organizers can remove members' });
+    }
+    if (team.isCaptain(req.params.userId)) {
+      return res.status(400).json({ message: 'Hand the captaincy to another member first' });
+    }
+
+    const registration = await Registration.findOne({ team: team._id, participant: req.params.userId, isActive: true });
+    if (!team.hasMember(req.params.userId) || !registration) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    await cancelRegistration(registration, `Removed from team ${team.name}`);
+
+    res.json({ message: 'Member removed from the team' });
+  } catch (error) {
+    sendError(res, error, 'Remove team member', 'Server error removing team member');
+  }
+});
+
+// @route   DELETE /api/teams/:id
+// @desc    Withdraw the team; every member's registration is cancelled
+// @access  Private (Team captain or event organizers)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event, manages, captain } = loaded;
+
+    if (!captain && !manages) {
+      return res.status(403).json({ message: 'Only the captain or the organizers can withdraw the team' });
+    }
+    if (!ACTIVE_TEAM_STATUSES.includes(team.status)) {
+      return res.status(400).json({ message: 'This team is no longer taking part' });
+    }
+    if (!manages && new Date() >= event.startsAt) {
+      return res.status(400).json({ message: 'Cannot withdraw a team once the event has started' });
+    }
+
+    // Withdrawn first, so the cancellations below leave the member list as it was
+    team.status = 'withdrawn';
+    await team.save();
+
+    const registrations = await Registration.find({ team: team._id, isActive: true });
+    for (const registration of registrations) {
+      await cancelRegistration(registration, `Team ${team.name} withdrew`);
+    }
+
+    res.json({ message: 'Team withdrawn' });
+  } catch (error) {
+    sendError(res, error, 'Withdraw team', 'Server error withdrawing team');
+  }
+});
+
+// @route   PUT /api/teams/:id/status
+// @desc    Confirm or reject a team; its members' registrations follow
+// @access  Private (Event organizers or Admin)
+router.put('/:id/status', [
+  auth,
+  body('status').isIn(['confirmed', 'rejected']).withMessage('Status must be "confirmed" or "rejected"'),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event, manages } = loaded;
+
+    if (!manages) {
+      return res.status(403).json({ message: 'Not authorized to update this team' });
+    }
+    if (!ACTIVE_TEAM_STATUSES.includes(team.status)) {
+      return res.status(400).json({ message: 'This team is no longer taking part' });
+    }
+
+    const { status, notes } = req.body;
+    if (status === 'confirmed' && team.members.length < event.teams.minSize) {
+      return res.status(400).json({ message: `Teams need at least ${event.teams.minSize} members to be confirmed` });
+    }
+
+    team.status = status;
+    if (notes) team.coordinatorNotes = notes;
+    await team.save();
+
+    // Members whose payment is outstanding are confirmed once they pay
+    const registrations = await Registration.find({ team: team._id, isActive: true, status: { $in: SEAT_STATUSES } });
+    for (const registration of registrations) {
+      if (status === 'confirmed' && (registration.status === 'confirmed' || registration.paymentStatus === 'awaiting_payment')) {
+        continue;
+      }
+      await updateRegistrationStatus(registration, status, notes);
+    }
+
+    res.json({
+      message: `Team ${status}`,
+      team
+    });
+  } catch (error) {
+    sendError(res, error, 'Update team status', 'Server error updating team status');
+  }
+});
+
+// @route   POST /api/teams/:id/attendance
+// @desc    Mark the team (or the listed userIds of it) as attended
+// @access  Private (Event organizers, moderators or Admin)
+router.post('/:id/attendance', [
+  auth,
+  body('userIds').optional().isArray().withMessage('userIds must be an array'),
+  body('userIds.*').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const loaded = await loadTeam(req, res);
+    if (!loaded) return;
+    const { team, event, manages, moderates } = loaded;
+
+    if (!manages && !moderates) {
+      return res.status(403).json({ message: 'Not authorized to mark attendance for this team' });
+    }
+
+    const userIds = req.body.userIds || team.members.map(member => member.user.toString());
+    const results = [];
+    for (const userId of userIds) {
+      if (!team.hasMember(userId)) {
+        results.push({ user: userId, marked: false, message: 'Not a member of this team' });
+        continue;
+      }
+      try {
+        await markAttendance(event, userId, req.user._id);
+        results.push({ user: userId, marked: true });
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        results.push({ user: userId, marked: false, message: error.message });
+      }
+    }
+
+    res.json({
+      message: `${results.filter(result => result.marked).length} member(s) marked as attended`,
+      results
+    });
+  } catch (error) {
+    sendError(res, error, 'Mark team attendance', 'Server error marking attendance');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
 const { auth, requireAdmin, requireFaculty } = require('../middleware/auth');
 const router = express.Router();
 
@@ -193,9 +195,10 @@ router.delete('/:id', [auth, requireFaculty], async (req, res) => {
       return res.status(403).json({ message: 'Faculty cannot deactivate admin accounts' });
     }
 
-    // Soft delete - mark as inactive
+    // Soft delete - mark as inactive and sign out everywhere
     user.isActive = false;
     await user.save();
+    await Session.revokeAllForUser(user._id);
 
     res.json({ message: 'User deactivated successfully' });
   } catch (error) {
@@ -232,6 +235,153 @@ router.post('/:id/reactivate', [auth, requireAdmin], async (req, res) => {
   }
 });
 
+// @route   GET /api/users/security/login-history
+// @desc    Search login attempts across all accounts (Admin only)
+// @access  Private (Admin)
+router.get('/security/login-history', [
+  auth,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('email').optional().trim(),
+  query('ipAddress').optional().trim(),
+  query('success').optional().isBoolean().withMessage('success must be a boolean'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, email, ipAddress, success, startDate, endDate } = req.query;
+
+    const filter = {};
+    if (email) filter.email = email.toLowerCase();
+    if (ipAddress) filter.ipAddress = ipAddress;
+    if (success !== undefined) filter.success = success === 'true';
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const attempts = await LoginAttempt.find(filter)
+      .populate('user', 'fullName email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.json({
+      attempts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalAttempts: total,
+        hasNext: skip + attempts.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Search login history error:', error);
+    res.status(500).json({ message: 'Server error getting login history' });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift a lockout (Admin only)
+// @access  Private (Admin)
+router.post('/:id/unlock', [auth, requireAdmin], async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    res.json({ message: 'User account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error unlocking user' });
+  }
+});
+
+// @route   GET /api/users/:id/login-history
+// @desc    Get login history for a user (Admin only)
+// @access  Private (Admin)
+router.get('/:id/login-history', [
+  auth,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('success').optional().isBoolean().withMessage('success must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { page = 1, limit = 20, success } = req.query;
+
+    const user = await User.findById(id).select('fullName email failedLoginAttempts lockUntil lastLogin');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filter = { user: user._id };
+    if (success !== undefined) filter.success = success === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const attempts = await LoginAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.json({
+      user: {
+        id: user._id,
+        fullName: user.fullName,
+        email: user.email,
+        lastLogin: user.lastLogin,
+        failedLoginAttempts: user.failedLoginAttempts,
+        isLocked: user.isLocked(),
+        lockUntil: user.lockUntil
+      },
+      attempts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalAttempts: total,
+        hasNext: skip + attempts.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error getting login history' });
+  }
+});
+
 // @route   GET /api/users/stats/overview
 // @desc    Get user statistics overview (Admin/Faculty only)
 // @access  Private (Admin/Faculty)
@@ -377,6 +527,10 @@ router.post('/bulk/update-status', [
       { $set: { isActive } }
     );
 
+    if (!isActive) {
+      await Promise.all(userIds.map(id => Session.revokeAllForUser(id)));
+    }
+
     res.json({
       message: `Successfully ${isActive ? 'activated' : 'deactivated'} ${result.modifiedCount} users`,
       modifiedCount: result.modifiedCount
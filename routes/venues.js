@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Venue = require('../models/Venue');
+const Event = require('../models/Event');
+const { auth, requireAdmin } = require('../middleware/auth');
+const { describeBooking, findVenueBookings } = require('../utils/venues');
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Default and longest range of an availability request
+const AVAILABILITY_DEFAULT_DAYS = 30;
+const AVAILABILITY_MAX_DAYS = 180;
+
+// Fields admins can set on a venue
+const venueFields = ['name', 'building', 'capacity', 'facilities', 'accessibility', 'description'];
+
+const pickVenueFields = (data) => {
+  return venueFields.reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validators shared by create and update (name and capacity differ in whether they are required)
+const venueValidators = [
+  body('building').optional().isString().trim().isLength({ max: 120 }).withMessage('Building must be up to 120 characters'),
+  body('facilities').optional().isArray().withMessage('Facilities must be an array'),
+  body('facilities.*').isString().trim().notEmpty().withMessage('Facilities must be non-empty strings'),
+  body('accessibility.wheelchairAccessible').optional().isBoolean().withMessage('wheelchairAccessible must be a boolean'),
+  body('accessibility.hearingLoop').optional().isBoolean().withMessage('hearingLoop must be a boolean'),
+  body('accessibility.notes').optional().isString().isLength({ max: 500 }).withMessage('Accessibility notes must be up to 500 characters'),
+  body('description').optional().isString().isLength({ max: 1000 }).withMessage('Description must be up to 1000 characters')
+];
+
+// Active events still to come that booked the venue
+const upcomingBookingsFilter = (venueId) => ({ bookedVenue: venueId, isActive: true, endsAt: { $gt: new Date() } });
+
+// @route   GET /api/venues
+// @desc    List venues (filters: building, minCapacity, facility, accessible, search)
+// @access  Public
+router.get('/', [
+  query('minCapacity').optional().isInt({ min: 1 }).withMessage('minCapacity must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 50, building, minCapacity, facility, accessible, search } = req.query;
+
+    const filter = { isActive: true };
+    if (building) filter.building = building;
+    if (minCapacity) filter.capacity = { $gte: parseInt(minCapacity) };
+    if (facility) {
+      filter.facilities = { $all: facility.split(',').map(value => value.trim().toLowerCase()).filter(Boolean) };
+    }
+    if (accessible === 'true') filter['accessibility.wheelchairAccessible'] = true;
+    if (search) filter.name = new RegExp(escapeRegExp(search), 'i');
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [venues, total] = await Promise.all([
+      Venue.find(filter).sort({ building: 1, name: 1 }).skip(skip).limit(parseInt(limit)),
+      Venue.countDocuments(filter)
+    ]);
+
+    res.json({
+      venues,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalVenues: total,
+        hasNext: skip + venues.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get venues error:', error);
+    res.status(500).json({ message: 'Server error getting venues' });
+  }
+});
+
+// @route   GET /api/venues/:id
+// @desc    Get a venue
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    const venue = await Venue.findOne({ _id: req.params.id, isActive: true });
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    res.json({ venue });
+  } catch (error) {
+    console.error('Get venue error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    res.status(500).json({ message: 'Server error getting venue' });
+  }
+});
+
+// @route   GET /api/venues/:id/availability?from=&to=
+// @desc    Bookings of a venue in a time range (default the next 30 days, at most 180)
+// @access  Public
+router.get('/:id/availability', [
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + AVAILABILITY_DEFAULT_DAYS * DAY);
+    if (to <= from) {
+      return res.status(400).json({ message: 'The end of the range must be after its start' });
+    }
+    if (to - from > AVAILABILITY_MAX_DAYS * DAY) {
+      return res.status(400).json({ message: `The range can be at most ${AVAILABILITY_MAX_DAYS} days` });
+    }
+
+    const venue = await Venue.findOne({ _id: req.params.id, isActive: true });
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const bookings = await findVenueBookings(venue._id, from, to);
+
+    res.json({
+      venue,
+      from,
+      to,
+      available: bookings.length === 0,
+      bookings: bookings.map(describeBooking)
+    });
+  } catch (error) {
+    console.error('Get venue availability error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    res.status(500).json({ message: 'Server error getting venue availability' });
+  }
+});
+
+// @route   POST /api/venues
+// @desc    Create a venue
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  requireAdmin,
+  body('name').trim().isLength({ min: 2, max: 120 }).withMessage('Name must be between 2 and 120 characters'),
+  body('capacity').isInt({ min: 1 }).withMessage('Capacity must be a positive number'),
+  ...venueValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.create({ ...pickVenueFields(req.body), createdBy: req.user._id });
+
+    res.status(201).json({
+      message: 'Venue created successfully',
+      venue
+    });
+  } catch (error) {
+    console.error('Create venue error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A venue with this name already exists in the building' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    res.status(500).json({ message: 'Server error creating venue' });
+  }
+});
+
+// @route   PUT /api/venues/:id
+// @desc    Update a venue
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth,
+  requireAdmin,
+  body('name').optional().trim().isLength({ min: 2, max: 120 }).withMessage('Name must be between 2 and 120 characters'),
+  body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive number'),
+  ...venueValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const venue = await Venue.findOne({ _id: req.params.id, isActive: true });
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    // Upcoming events must still fit
+    if (req.body.capacity !== undefined) {
+      const overCapacity = await Event.countDocuments({
+        ...upcomingBookingsFilter(venue._id),
+        maxParticipants: { $gt: parseInt(req.body.capacity) }
+      });
+      if (overCapacity > 0) {
+        return res.status(400).json({
+          message: `${overCapacity} upcoming event(s) booked here allow more participants than the new capacity`
+        });
+      }
+    }
+
+    venue.set(pickVenueFields(req.body));
+    await venue.save();
+
+    // Events show the venue's label
+    if (req.body.name !== undefined || req.body.building !== undefined) {
+      await Event.updateMany(upcomingBookingsFilter(venue._id), { $set: { venue: venue.getLabel() } });
+    }
+
+    res.json({
+      message: 'Venue updated successfully',
+      venue
+    });
+  } catch (error) {
+    console.error('Update venue error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A venue with this name already exists in the building' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors)[0].message });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    res.status(500).json({ message: 'Server error updating venue' });
+  }
+});
+
+// @route   DELETE /api/venues/:id
+// @desc    Retire a venue; only possible once no upcoming event books it
+// @access  Private (Admin only)
+router.delete('/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const venue = await Venue.findOne({ _id: req.params.id, isActive: true });
+    if (!venue) {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+
+    const upcoming = await Event.countDocuments(upcomingBookingsFilter(venue._id));
+    if (upcoming > 0) {
+      return res.status(400).json({ message: `${upcoming} upcoming event(s) are booked here; move them first` });
+    }
+
+    venue.isActive = false;
+    await venue.save();
+
+    res.json({ message: 'Venue deleted successfully' });
+  } catch (error) {
+    console.error('Delete venue error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Venue not found' });
+    }
+    res.status(500).json({ message: 'Server error deleting venue' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// Give every event a timezone and the start/end instants worked out from its
+// dates and times, and do the same for event sessions. Events stored before
+// they had a timezone are read in DEFAULT_TIMEZONE, or the one given.
+//
+// Usage: node scripts/migrate-event-times.js [--dry-run] [--timezone=Area/City]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const { syncSeriesDates } = require('../utils/sessions');
+const {
+  defaultTimezone,
+  isValidTimezone,
+  zonedDateTime,
+  scheduleInstants,
+  calendarDayIn
+} = require('../utils/timezones');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const parseArgs = (argv) => {
+  const timezoneArg = argv.find(arg => arg.startsWith('--timezone='));
+  return {
+    dryRun: argv.includes('--dry-run'),
+    timezone: timezoneArg ? timezoneArg.slice('--timezone='.length) : defaultTimezone()
+  };
+};
+
+// Dates sent as "2026-11-02" were stored at UTC midnight and keep that day.
+// Anything else was sent with a time or offset, so take the day it was in the
+// event's timezone.
+const calendarDay = (stored, timezone) => {
+  const date = new Date(stored);
+  return date.getTime() % DAY === 0 ? date : calendarDayIn(date, timezone);
+};
+
+// Normalized dates and start/end instants of an event or session. Unreadable
+// times make it last from the start of its first day to the end of its last.
+const scheduleFor = (doc, timezone) => {
+  const startDate = calendarDay(doc.startDate, timezone);
+  const endDate = calendarDay(doc.endDate, timezone);
+  const { startsAt, endsAt } = scheduleInstants({ ...doc, startDate, endDate }, timezone);
+  const midnight = { hours: 0, minutes: 0 };
+
+  return {
+    startDate,
+    endDate,
+    startsAt: startsAt || zonedDateTime(startDate, midnight, timezone),
+    endsAt: endsAt || zonedDateTime(new Date(endDate.getTime() + DAY), midnight, timezone),
+    allDay: !startsAt || !endsAt
+  };
+};
+
+// Count and report schedules that need an organizer to look at them
+const checkSchedule = (label, schedule, registrationDeadline, summary) => {
+  if (schedule.allDay) {
+    summary.allDay++;
+    console.warn(`${label}: times could not be read, stored as all-day`);
+  }
+  if (schedule.endsAt <= schedule.startsAt) {
+    summary.invalid++;
+    console.warn(`${label}: ends before it starts`);
+  }
+  if (registrationDeadline && registrationDeadline > schedule.startsAt) {
+    summary.lateDeadlines++;
+    console.warn(`${label}: registration deadline is after the start`);
+  }
+};
+
+const migrate = async ({ dryRun, timezone }) => {
+  const summary = { events: 0, sessions: 0, series: 0, allDay: 0, invalid: 0, lateDeadlines: 0, failed: 0 };
+  const timezones = new Map();
+  const seriesIds = new Set();
+
+  // Raw documents, so the save hooks and setters leave the stored values alone
+  const events = Event.collection.find({
+    $or: [{ timezone: { $exists: false } }, { startsAt: { $exists: false } }]
+  });
+  for await (const event of events) {
+    try {
+      const eventTimezone = event.timezone || timezone;
+      timezones.set(event._id.toString(), eventTimezone);
+      const updates = { timezone: eventTimezone };
+
+      // A series takes its start and end from its sessions, below
+      if (event.isSeries) {
+        seriesIds.add(event._id.toString());
+      } else {
+        const schedule = scheduleFor(event, eventTimezone);
+        checkSchedule(`Event ${event._id}`, schedule, event.registrationDeadline, summary);
+        const { allDay, ...times } = schedule;
+        Object.assign(updates, times);
+      }
+
+      if (!dryRun) {
+        await Event.collection.updateOne({ _id: event._id }, { $set: updates });
+      }
+      summary.events++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed to migrate event ${event._id}:`, error.message);
+    }
+  }
+
+  const sessions = EventSession.collection.find({ startsAt: { $exists: false } });
+  for await (const session of sessions) {
+    try {
+      const eventId = session.event.toString();
+      if (!timezones.has(eventId)) {
+        const event = await Event.collection.findOne({ _id: session.event }, { projection: { timezone: 1 } });
+        timezones.set(eventId, (event && event.timezone) || timezone);
+      }
+
+      const schedule = scheduleFor(session, timezones.get(eventId));
+      checkSchedule(`Session ${session._id} of event ${eventId}`, schedule, null, summary);
+
+      if (!dryRun) {
+        const { allDay, ...times } = schedule;
+        await EventSession.collection.updateOne({ _id: session._id }, { $set: times });
+      }
+      seriesIds.add(eventId);
+      summary.sessions++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed to migrate session ${session._id}:`, error.message);
+    }
+  }
+
+  if (dryRun) return summary;
+
+  for (const eventId of seriesIds) {
+    await syncSeriesDates(eventId);
+    summary.series++;
+  }
+
+  return summary;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!isValidTimezone(args.timezone)) {
+    console.error(`Unknown timezone: ${args.timezone}`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const summary = await migrate(args);
+    console.log('Event time migration finished:', summary);
+    if (summary.failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Event time migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+// Move registrations kept in the legacy Event.participants and
+// User.participatedEvents arrays into the Registration collection, then
+// recompute every event's registration counters.
+//
+// Usage: node scripts/migrate-registrations.js [--dry-run] [--keep-legacy]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Registration = require('../models/Registration');
+const { syncEventCounters } = require('../utils/registrations');
+
+const parseArgs = (argv) => ({
+  dryRun: argv.includes('--dry-run'),
+  keepLegacy: argv.includes('--keep-legacy')
+});
+
+// Legacy statuses were registered / attended / completed / cancelled
+const fromLegacy = (entry) => {
+  const attended = entry.attendanceMarked || ['attended', 'completed'].includes(entry.status);
+  return {
+    status: entry.status === 'cancelled' ? 'cancelled' : 'confirmed',
+    attended: !!attended
+  };
+};
+
+// Collect legacy entries from both arrays, merged per event and user
+const collectLegacyEntries = async () => {
+  const entries = new Map();
+  const entryFor = (eventId, userId) => {
+    const key = `${eventId}:${userId}`;
+    if (!entries.has(key)) {
+      entries.set(key, { event: eventId, participant: userId, status: 'confirmed', attended: false });
+    }
+    return entries.get(key);
+  };
+
+  // The fields are gone from the schemas, so read the raw collections
+  const events = Event.collection.find({ 'participants.0': { $exists: true } }, { projection: { participants: 1 } });
+  for await (const event of events) {
+    for (const p of event.participants) {
+      if (!p.userId) continue;
+      const entry = entryFor(event._id, p.userId);
+      const legacy = fromLegacy(p);
+      entry.status = legacy.status;
+      entry.attended = entry.attended || legacy.attended;
+      entry.registrationDate = p.registrationDate;
+      entry.attendanceDate = p.attendanceDate;
+      entry.quizScore = p.quizScore;
+      entry.certificateIssued = !!p.certificateIssued;
+      entry.certificateIssuedDate = p.certificateIssuedDate;
+    }
+  }
+
+  const users = User.collection.find({ 'participatedEvents.0': { $exists: true } }, { projection: { participatedEvents: 1 } });
+  for await (const user of users) {
+    for (const p of user.participatedEvents) {
+      if (!p.eventId) continue;
+      const entry = entryFor(p.eventId, user._id);
+      const legacy = fromLegacy(p);
+      // The event side is authoritative for status; the user side only adds attendance
+      if (!entry.registrationDate) {
+        entry.status = legacy.status;
+        entry.registrationDate = p.participationDate;
+      }
+      entry.attended = entry.attended || legacy.attended;
+      if (p.feedback) entry.feedback = p.feedback;
+    }
+  }
+
+  return [...entries.values()];
+};
+
+// Create the registration, or fill in what an existing one is missing
+const reconcile = async (entry, { dryRun }) => {
+  const existing = await Registration.findOne({ event: entry.event, participant: entry.participant });
+
+  if (!existing) {
+    if (!dryRun) {
+      await Registration.create({
+        event: entry.event,
+        participant: entry.participant,
+        registrationType: 'participant',
+        status: entry.attended ? 'confirmed' : entry.status,
+        registrationDate: entry.registrationDate || new Date(),
+        attended: entry.attended,
+        attendanceDate: entry.attendanceDate,
+        quizScore: entry.quizScore,
+        certificateIssued: entry.certificateIssued || false,
+        certificateIssuedDate: entry.certificateIssuedDate,
+        feedback: entry.feedback,
+        isActive: entry.attended || entry.status !== 'cancelled'
+      });
+    }
+    return 'created';
+  }
+
+  const updates = {};
+  if (entry.attended && !existing.attended) {
+    // Attending confirms the registration, whatever the collection said before
+    Object.assign(updates, {
+      attended: true,
+      attendanceDate: entry.attendanceDate || existing.attendanceDate || new Date(),
+      status: 'confirmed',
+      isActive: true
+    });
+  }
+  if (entry.quizScore != null && existing.quizScore == null) updates.quizScore = entry.quizScore;
+  if (entry.certificateIssued && !existing.certificateIssued) {
+    updates.certificateIssued = true;
+    updates.certificateIssuedDate = entry.certificateIssuedDate;
+  }
+  if (entry.feedback && !existing.feedback) updates.feedback = entry.feedback;
+
+  if (Object.keys(updates).length === 0) return 'unchanged';
+
+  if (!dryRun) {
+    await Registration.updateOne({ _id: existing._id }, { $set: updates });
+  }
+  return 'updated';
+};
+
+const migrate = async ({ dryRun, keepLegacy }) => {
+  const summary = { created: 0, updated: 0, unchanged: 0, failed: 0, events: 0 };
+
+  const entries = await collectLegacyEntries();
+  for (const entry of entries) {
+    try {
+      const result = await reconcile(entry, { dryRun });
+      summary[result]++;
+      if (result !== 'unchanged') {
+        console.log(`${dryRun ? '[dry run] ' : ''}${result} registration for event ${entry.event} user ${entry.participant}`);
+      }
+    } catch (error) {
+      summary.failed++;
+      console.error(`Failed to migrate registration for event ${entry.event} user ${entry.participant}:`, error.message);
+    }
+  }
+
+  if (dryRun) return summary;
+
+  // Counters on every event are recomputed, not only the migrated ones
+  for await (const event of Event.find().select('_id').lean().cursor()) {
+    await syncEventCounters(event._id);
+    summary.events++;
+  }
+
+  // Only drop the legacy arrays once everything made it across
+  if (!keepLegacy && summary.failed === 0) {
+    await Event.collection.updateMany({ participants: { $exists: true } }, { $unset: { participants: '' } });
+    await User.collection.updateMany({ participatedEvents: { $exists: true } }, { $unset: { participatedEvents: '' } });
+  }
+
+  return summary;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const summary = await migrate(args);
+    console.log('Registration migration finished:', summary);
+    if (summary.failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Registration migration error:', error);
+  process.exit(1);
+});
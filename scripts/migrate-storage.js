@@ -0,0 +1,168 @@
+// Move uploaded files from one storage driver to another: public uploads of
+// events and users get their stored URLs rewritten, private files (signatures,
+// certificates and registration form uploads) are stored by key and only
+// copied.
+//
+// Usage: node scripts/migrate-storage.js --from local --to s3 [--dry-run] [--delete-source]
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Certificate = require('../models/Certificate');
+const Registration = require('../models/Registration');
+const FormUpload = require('../models/FormUpload');
+const { contentTypeFor, createStorage } = require('../utils/storage');
+
+// Document fields holding upload URLs, per model
+const targets = [
+  { model: Event, fields: ['image', 'imageThumbnail'] },
+  { model: User, fields: ['profileImage', 'profileImageThumbnail'] }
+];
+
+// Document paths holding storage keys, per model; the keys stay the same
+const keyTargets = [
+  { model: Event, path: 'certificateTemplate.signatureKey' },
+  { model: Certificate, path: 'fileKey' },
+  { model: Registration, path: 'formResponses.value.fileKey' },
+  { model: FormUpload, path: 'fileKey' }
+];
+
+// Values at a dotted path, looking inside arrays along the way
+const valuesAt = (value, segments) => {
+  if (Array.isArray(value)) return value.flatMap(entry => valuesAt(entry, segments));
+  if (segments.length === 0) return typeof value === 'string' && value ? [value] : [];
+  if (!value || typeof value !== 'object') return [];
+  return valuesAt(value[segments[0]], segments.slice(1));
+};
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--delete-source') args.deleteSource = true;
+  }
+  return args;
+};
+
+// Copy one file and return its URL on the target driver (null if the URL is not ours)
+const migrateFile = async (url, source, target, { dryRun }) => {
+  const key = source.keyFromUrl(url);
+  if (!key) return null;
+
+  if (!dryRun) {
+    const body = await source.get(key);
+    await target.put(key, body, { contentType: contentTypeFor(key) });
+  }
+
+  return { key, url: target.getUrl(key) };
+};
+
+// Copy one file stored by key
+const copyFile = async (key, source, target, { dryRun }) => {
+  if (!dryRun) {
+    const body = await source.get(key);
+    await target.put(key, body, { contentType: contentTypeFor(key) });
+  }
+};
+
+const migrate = async ({ from, to, dryRun, deleteSource }) => {
+  const source = createStorage(from);
+  const target = createStorage(to);
+  const summary = { documents: 0, files: 0, skipped: 0, failed: 0 };
+  const migratedKeys = [];
+
+  for (const { model, fields } of targets) {
+    const query = { $or: fields.map(field => ({ [field]: { $nin: ['', null] } })) };
+    const cursor = model.find(query).select(fields.join(' ')).lean().cursor();
+
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      const updates = {};
+
+      for (const field of fields) {
+        if (!doc[field]) continue;
+
+        try {
+          const result = await migrateFile(doc[field], source, target, { dryRun });
+          if (!result) {
+            summary.skipped++;
+            continue;
+          }
+          updates[field] = result.url;
+          migratedKeys.push(result.key);
+          summary.files++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`Failed to migrate ${model.modelName} ${doc._id} ${field} (${doc[field]}):`, error.message);
+        }
+      }
+
+      if (Object.keys(updates).length > 0) {
+        summary.documents++;
+        console.log(`${dryRun ? '[dry run] ' : ''}${model.modelName} ${doc._id}:`, updates);
+        if (!dryRun) {
+          // updateOne skips the save hooks (the Event hook would recompute status)
+          await model.updateOne({ _id: doc._id }, { $set: updates });
+        }
+      }
+    }
+  }
+
+  // The same file can be listed twice (an upload and the answer using it)
+  const copiedKeys = new Set();
+  for (const { model, path: keyPath } of keyTargets) {
+    const cursor = model.find({ [keyPath]: { $exists: true } }).select(keyPath).lean().cursor();
+
+    for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+      for (const key of valuesAt(doc, keyPath.split('.'))) {
+        if (copiedKeys.has(key)) continue;
+        copiedKeys.add(key);
+
+        try {
+          await copyFile(key, source, target, { dryRun });
+          migratedKeys.push(key);
+          summary.files++;
+          console.log(`${dryRun ? '[dry run] ' : ''}${model.modelName} ${doc._id}: ${key}`);
+        } catch (error) {
+          summary.failed++;
+          console.error(`Failed to migrate ${model.modelName} ${doc._id} ${keyPath} (${key}):`, error.message);
+        }
+      }
+    }
+  }
+
+  // Only remove originals once every document points at the new backend
+  if (deleteSource && !dryRun && summary.failed === 0) {
+    for (const key of migratedKeys) {
+      await source.remove(key);
+    }
+  }
+
+  return summary;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.from || !args.to || args.from === args.to) {
+    console.error('Usage: node scripts/migrate-storage.js --from <local|s3> --to <local|s3> [--dry-run] [--delete-source]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const summary = await migrate(args);
+    console.log('Storage migration finished:', summary);
+    if (summary.failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Storage migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Run one scheduled job immediately (respects the job lock).
+//
+// Usage: node scripts/run-job.js <job-name>
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', 'config.env') });
+
+const { registerDefaultJobs } = require('../utils/jobs');
+const { runJob, getJobNames } = require('../utils/scheduler');
+
+const run = async () => {
+  registerDefaultJobs();
+
+  const name = process.argv[2];
+  if (!name || !getJobNames().includes(name)) {
+    console.error(`Usage: node scripts/run-job.js <${getJobNames().join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const { ran, result, error } = await runJob(name);
+    if (!ran) {
+      console.log(`Job ${name} is already running on another instance`);
+    } else if (error) {
+      process.exitCode = 1;
+    } else {
+      console.log(`Job ${name} finished:`, result);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Run job error:', error);
+  process.exit(1);
+});
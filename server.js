@@ -4,6 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config({ path: './config.env' });
+const { resolveRoots } = require('./utils/storage/local');
+
+// Fail at startup rather than on the first email when mail is misconfigured
+require('./utils/mailer').getTransport();
 
 const app = express();
 
@@ -14,6 +18,8 @@ app.use(cors({
   methods: ["GET", "POST", "PUT", "DELETE"],
   credentials: true
 }));
+// Payment webhooks are verified against the exact bytes that were signed
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -24,8 +30,8 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Static files
-app.use('/uploads', express.static('uploads'));
+// Static files (public uploads of the local storage driver)
+app.use('/uploads', express.static(resolveRoots().publicRoot));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI, {
@@ -42,6 +48,17 @@ app.use('/api/registrations', require('./routes/registrations'));
 app.use('/api/feedback', require('./routes/feedback'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/quizzes', require('./routes/quizzes'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/realtime', require('./routes/realtime'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/sessions', require('./routes/sessions'));
+app.use('/api/venues', require('./routes/venues'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/teams', require('./routes/teams'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -54,6 +71,13 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
+// Background jobs (status transitions, reminders, email retries, ...). Every
+// instance may run the scheduler; job locks keep each run to one instance.
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  require('./utils/jobs').registerDefaultJobs();
+  require('./utils/scheduler').startScheduler();
+}
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,158 @@
+// iCalendar (RFC 5545) export of events for single downloads and subscription feeds
+
+const PRODUCT_ID = '-//EventSphere//Events//EN';
+
+// Feeds keep events that ended within this window so recent changes still show
+const FEED_HISTORY_DAYS = 90;
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Stable across updates so calendar apps replace the entry instead of adding one
+const eventUid = (event) => `event-${event._id}@eventsphere`;
+const sessionUid = (session) => `session-${session._id}@eventsphere`;
+
+// Escape a TEXT value
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to 75 octets, continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 20261019T093000Z
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// 20261019 (calendar date the event was entered for)
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+// DTSTART / DTEND properties of an event or session, in UTC so every
+// calendar app shows them in the right timezone. Entries whose start and end
+// were never worked out (unreadable times) become all-day entries.
+const eventPeriod = (period) => {
+  if (period.startsAt && period.endsAt) {
+    return [`DTSTART:${formatUtc(period.startsAt)}`, `DTEND:${formatUtc(period.endsAt)}`];
+  }
+
+  // DTEND of an all-day entry is exclusive
+  const dayAfterEnd = new Date(period.endDate);
+  dayAfterEnd.setUTCDate(dayAfterEnd.getUTCDate() + 1);
+  return [`DTSTART;VALUE=DATE:${formatDate(period.startDate)}`, `DTEND;VALUE=DATE:${formatDate(dayAfterEnd)}`];
+};
+
+// VEVENT lines for an event, or for each session of a series when its
+// sessions are given; inactive events and cancelled sessions are published
+// as cancelled
+const eventLines = (event, { now = new Date(), sessions } = {}) => {
+  const url = `${clientUrl()}/events/${event._id}`;
+  const description = [event.shortDescription || event.description, event.onlineLink ? `Join online: ${event.onlineLink}` : null, url]
+    .filter(Boolean)
+    .join('\n\n');
+
+  const entry = ({ uid, sequence, period, summary, venue, updatedAt, cancelled }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    updatedAt ? `LAST-MODIFIED:${formatUtc(updatedAt)}` : null,
+    `SEQUENCE:${sequence}`,
+    ...eventPeriod(period),
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    venue ? `LOCATION:${escapeText(venue)}` : null,
+    event.category ? `CATEGORIES:${escapeText(event.category)}` : null,
+    `URL:${url}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ].filter(Boolean);
+
+  if (event.isSeries && sessions && sessions.length > 0) {
+    return sessions.flatMap(session => entry({
+      uid: sessionUid(session),
+      sequence: (event.calendarSequence || 0) + (session.calendarSequence || 0),
+      period: session,
+      summary: session.title ? `${event.title}: ${session.title}` : event.title,
+      venue: session.venue || event.venue,
+      updatedAt: session.updatedAt,
+      cancelled: !event.isActive || session.status === 'cancelled'
+    }));
+  }
+
+  return entry({
+    uid: eventUid(event),
+    sequence: event.calendarSequence || 0,
+    period: event,
+    summary: event.title,
+    venue: event.venue,
+    updatedAt: event.updatedAt,
+    cancelled: !event.isActive
+  });
+};
+
+// Build a complete calendar document. name is shown by subscribing apps;
+// sessions maps event IDs to the sessions of series events.
+const buildCalendar = (events, { name, now = new Date(), sessions = new Map() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(event => eventLines(event, { now, sessions: sessions.get(event._id.toString()) })),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Oldest end date a feed still includes
+const feedCutoff = (now = new Date()) => new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+// Send a calendar document
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+};
+
+module.exports = {
+  eventUid,
+  sessionUid,
+  buildCalendar,
+  feedCutoff,
+  sendCalendar
+};
@@ -0,0 +1,200 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+const Certificate = require('../models/Certificate');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const { getStorage } = require('./storage');
+const { detectImageType } = require('./images');
+
+// Event dates are calendar days stored at UTC midnight
+const dateFormat = { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' };
+
+// "on 5 March 2026" or "from 5 March 2026 to 7 March 2026"
+const formatEventDates = (startDate, endDate) => {
+  const start = new Date(startDate).toLocaleDateString('en-GB', dateFormat);
+  const end = endDate ? new Date(endDate).toLocaleDateString('en-GB', dateFormat) : start;
+  return start === end ? `on ${start}` : `from ${start} to ${end}`;
+};
+
+// Replace {{name}}, {{event}}, {{dates}} and {{team}} in template text
+const fillTemplate = (text, values) => {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => (field in values ? values[field] : match));
+};
+
+const getVerificationUrl = (certificateId) => {
+  return `${process.env.CLIENT_URL || 'http://localhost:3000'}/certificates/verify/${certificateId}`;
+};
+
+// Store an uploaded organizer signature privately as PNG (PDFKit only embeds
+// PNG and JPEG). Resolves to { signatureKey }, or { message } when the file is
+// not a readable image.
+const storeSignature = async (event, file) => {
+  if (!detectImageType(file.buffer)) {
+    return { message: 'Uploaded file is not a valid JPEG, PNG, GIF or WebP image' };
+  }
+
+  let png;
+  try {
+    png = await sharp(file.buffer).png().toBuffer();
+  } catch (error) {
+    return { message: 'Uploaded image is corrupted or unreadable' };
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const signatureKey = `private/signatures/${event._id}/signature-${uniqueSuffix}.png`;
+  await getStorage().put(signatureKey, png, { contentType: 'image/png' });
+  return { signatureKey };
+};
+
+// Whether key names a file under prefix (and not, through '..', elsewhere)
+const isKeyUnder = (key, prefix) => {
+  return typeof key === 'string' && key.startsWith(prefix) && path.posix.normalize(key) === key;
+};
+
+// Load the organizer signature of an event's template as PNG; only files
+// stored as signatures are read. Signatures uploaded before they were kept
+// private are read from their public URL.
+const loadSignature = async (event) => {
+  const template = event.certificateTemplate;
+  try {
+    const storage = getStorage();
+    if (template.signatureKey) {
+      if (!isKeyUnder(template.signatureKey, `private/signatures/${event._id}/`)) return null;
+      return await storage.get(template.signatureKey);
+    }
+
+    const key = template.signatureImage ? storage.keyFromUrl(template.signatureImage) : null;
+    if (!isKeyUnder(key, 'signatures/')) return null;
+    return await sharp(await storage.get(key)).png().toBuffer();
+  } catch (error) {
+    console.error('Load certificate signature error:', error);
+    return null;
+  }
+};
+
+// Render a certificate as a landscape A4 PDF
+// (teamName: the recipient's team at a team event)
+const renderCertificate = async ({ template, recipientName, teamName, eventTitle, startDate, endDate, certificateId, signature }) => {
+  const verificationUrl = getVerificationUrl(certificateId);
+  const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 1, width: 120 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+
+    // Border
+    doc.lineWidth(3).rect(25, 25, width - 50, height - 50).stroke('#1f3a68');
+    doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke('#1f3a68');
+
+    doc.fillColor('#1f3a68').font('Helvetica-Bold').fontSize(34)
+      .text(template.title, 50, 90, { align: 'center', width: width - 100 });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('This certificate is presented to', 50, 160, { align: 'center', width: width - 100 });
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(28)
+      .text(recipientName, 50, 190, { align: 'center', width: width - 100 });
+
+    if (teamName) {
+      doc.fillColor('#1f3a68').font('Helvetica').fontSize(14)
+        .text(`Team ${teamName}`, 50, 228, { align: 'center', width: width - 100 });
+    }
+
+    const body = fillTemplate(template.bodyText, {
+      name: recipientName,
+      event: eventTitle,
+      dates: formatEventDates(startDate, endDate),
+      team: teamName || ''
+    });
+    doc.fillColor('#333333').font('Helvetica').fontSize(15)
+      .text(body, 120, teamName ? 262 : 250, { align: 'center', width: width - 240 });
+
+    // Signature block
+    const signatureX = width - 340;
+    const lineY = height - 140;
+    if (signature) {
+      doc.image(signature, signatureX + 35, lineY - 65, { fit: [200, 60], align: 'center', valign: 'bottom' });
+    }
+    doc.lineWidth(1).moveTo(signatureX, lineY).lineTo(signatureX + 270, lineY).stroke('#333333');
+    if (template.signatoryName) {
+      doc.fillColor('#000000').font('Helvetica-Bold').fontSize(12)
+        .text(template.signatoryName, signatureX, lineY + 8, { align: 'center', width: 270 });
+    }
+    if (template.signatoryTitle) {
+      doc.fillColor('#555555').font('Helvetica').fontSize(10)
+        .text(template.signatoryTitle, signatureX, lineY + 24, { align: 'center', width: 270 });
+    }
+
+    // Verification details
+    doc.image(qrCode, 60, height - 175, { width: 90 });
+    doc.fillColor('#555555').font('Helvetica').fontSize(9)
+      .text(`Certificate ID: ${certificateId}`, 160, height - 120)
+      .text(`Verify at ${verificationUrl}`, 160, height - 106);
+
+    doc.end();
+  });
+};
+
+// Issue the certificate for an attended registration. Resolves to
+// { certificate, created }; an already issued certificate is returned as is.
+const issueCertificate = async (registration, event, issuedBy) => {
+  const existing = await Certificate.findOne({ registration: registration._id });
+  if (existing) {
+    return { certificate: existing, created: false };
+  }
+
+  await registration.populate('participant', 'fullName');
+  const team = registration.team ? await Team.findById(registration.team).select('name') : null;
+
+  const certificateId = Certificate.generateCertificateId();
+  const pdf = await renderCertificate({
+    template: event.certificateTemplate,
+    recipientName: registration.participant.fullName,
+    teamName: team ? team.name : undefined,
+    eventTitle: event.title,
+    startDate: event.startDate,
+    endDate: event.endDate,
+    certificateId,
+    signature: await loadSignature(event)
+  });
+
+  const fileKey = `private/certificates/${certificateId}.pdf`;
+  await getStorage().put(fileKey, pdf, { contentType: 'application/pdf' });
+
+  const certificate = await Certificate.create({
+    certificateId,
+    registration: registration._id,
+    event: event._id,
+    participant: registration.participant._id,
+    recipientName: registration.participant.fullName,
+    teamName: team ? team.name : undefined,
+    eventTitle: event.title,
+    eventStartDate: event.startDate,
+    eventEndDate: event.endDate,
+    fileKey,
+    issuedBy
+  });
+
+  await Registration.updateOne(
+    { _id: registration._id },
+    { $set: { certificateIssued: true, certificateIssuedDate: certificate.issuedAt } }
+  );
+
+  return { certificate, created: true };
+};
+
+module.exports = {
+  formatEventDates,
+  fillTemplate,
+  getVerificationUrl,
+  renderCertificate,
+  storeSignature,
+  issueCertificate
+};
@@ -0,0 +1,209 @@
+const Order = require('../models/Order');
+const Registration = require('../models/Registration');
+const { getPaymentProvider } = require('./payments');
+const { notifyRegistrationStatus } = require('./notifications');
+const { publishRegistration } = require('./realtime');
+
+// How long an unpaid registration keeps its seat (PAYMENT_HOLD_MINUTES, default 30)
+const getPaymentHoldMs = () => {
+  return parseInt(process.env.PAYMENT_HOLD_MINUTES || '30') * 60 * 1000;
+};
+
+// Event cost in the currency's smallest unit
+const toMinorUnits = (cost) => Math.round(cost * 100);
+
+// Get the open order for a registration awaiting payment, or create one
+const startCheckout = async (registration, event) => {
+  const existing = await Order.findOne({ registration: registration._id, status: 'created' }).sort({ createdAt: -1 });
+  if (existing && existing.isOpen()) {
+    return existing;
+  }
+
+  const provider = getPaymentProvider();
+  const amount = toMinorUnits(event.cost);
+  const currency = (event.currency || 'INR').toUpperCase();
+
+  const { providerOrderId, checkout } = await provider.createOrder({
+    amount,
+    currency,
+    receipt: registration._id.toString(),
+    notes: { registration: registration._id.toString(), event: event._id.toString() }
+  });
+
+  const order = await Order.create({
+    registration: registration._id,
+    event: event._id,
+    participant: registration.participant._id || registration.participant,
+    amount,
+    currency,
+    provider: provider.name,
+    providerOrderId,
+    checkout,
+    expiresAt: registration.paymentDueAt
+  });
+
+  await Registration.updateOne({ _id: registration._id }, { $set: { order: order._id } });
+
+  return order;
+};
+
+// Move an order from one of the given statuses with a single atomic update.
+// Resolves to the updated order, or null when another notification already
+// moved it (so each transition is applied once, even for parallel deliveries).
+const transitionOrder = (order, fromStatuses, update) => {
+  return Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: fromStatuses } },
+    update,
+    { new: true }
+  );
+};
+
+// Refund a paid order in full. Resolves to the updated order.
+const refundOrder = async (order, reason) => {
+  const claimed = await transitionOrder(order, ['paid'], {
+    $set: { status: 'refund_pending', refund: { amount: order.amount, reason, requestedAt: new Date() } }
+  });
+  if (!claimed) {
+    return order;
+  }
+
+  order = claimed;
+  const provider = getPaymentProvider(order.provider);
+
+  try {
+    const refund = await provider.refund({
+      providerPaymentId: order.providerPaymentId,
+      amount: order.amount,
+      reason
+    });
+    order.refund.providerRefundId = refund.providerRefundId;
+    if (refund.status === 'succeeded') {
+      order.status = 'refunded';
+      order.refund.refundedAt = new Date();
+    }
+  } catch (error) {
+    console.error(`Refund error for order ${order._id}:`, error);
+    order.status = 'refund_failed';
+  }
+
+  await order.save();
+  await Registration.updateOne({ _id: order.registration, order: order._id }, { $set: { paymentStatus: order.status } });
+
+  return order;
+};
+
+// Refund whatever was paid for a registration (no-op when nothing was paid)
+const refundRegistration = async (registration, reason) => {
+  if (registration.paymentStatus !== 'paid' || !registration.order) {
+    return null;
+  }
+
+  const order = await Order.findById(registration.order);
+  if (!order) return null;
+
+  const refunded = await refundOrder(order, reason);
+  registration.paymentStatus = refunded.status;
+  return refunded;
+};
+
+// Cancel the open orders of a registration that is no longer held
+const cancelOpenOrders = (registrationIds, status = 'cancelled') => {
+  return Order.updateMany(
+    { registration: { $in: registrationIds }, status: 'created' },
+    { $set: { status } }
+  );
+};
+
+// Find the order a provider notification refers to
+const findNotificationOrder = (providerName, notification) => {
+  if (notification.providerOrderId) {
+    return Order.findOne({ provider: providerName, providerOrderId: notification.providerOrderId });
+  }
+  if (notification.providerPaymentId) {
+    return Order.findOne({ provider: providerName, providerPaymentId: notification.providerPaymentId });
+  }
+  return null;
+};
+
+// Apply a verified provider notification ({ type, providerOrderId, ... }).
+// Notifications can arrive more than once, at the same time and in any
+// order, so every step only moves an order forward and claims it atomically.
+const handlePaymentNotification = async (providerName, notification) => {
+  let order = await findNotificationOrder(providerName, notification);
+  if (!order) {
+    return null;
+  }
+
+  switch (notification.type) {
+    case 'payment.succeeded': {
+      // Razorpay reports one payment several times (payment.captured, order.paid)
+      const paid = await transitionOrder(order, ['created', 'failed', 'expired', 'cancelled'], {
+        $set: { status: 'paid', providerPaymentId: notification.providerPaymentId, paidAt: new Date() },
+        $unset: { failureReason: '' }
+      });
+      if (!paid) break;
+      order = paid;
+
+      // Confirm the seat, unless the hold ran out or was cancelled meanwhile
+      const registration = await Registration.findOneAndUpdate(
+        { _id: order.registration, status: 'pending', paymentStatus: 'awaiting_payment', isActive: true },
+        { $set: { status: 'confirmed', paymentStatus: 'paid', order: order._id }, $unset: { paymentDueAt: '' } },
+        { new: true }
+      );
+
+      if (registration) {
+        publishRegistration('registration', registration, 'paid');
+        await notifyRegistrationStatus(registration);
+      } else {
+        await refundOrder(order, 'Registration was no longer held when the payment completed');
+      }
+      break;
+    }
+
+    case 'payment.failed': {
+      // The seat stays held until paymentDueAt so the buyer can retry
+      const failed = await transitionOrder(order, ['created'], {
+        $set: { status: 'failed', failureReason: notification.failureReason || 'Payment failed' }
+      });
+      if (failed) order = failed;
+      break;
+    }
+
+    case 'refund.succeeded': {
+      const refunded = await transitionOrder(order, ['refund_pending', 'refund_failed'], {
+        $set: {
+          status: 'refunded',
+          'refund.refundedAt': new Date(),
+          ...(notification.providerRefundId ? { 'refund.providerRefundId': notification.providerRefundId } : {})
+        }
+      });
+      if (!refunded) break;
+      order = refunded;
+      await Registration.updateOne({ _id: order.registration, order: order._id }, { $set: { paymentStatus: 'refunded' } });
+      break;
+    }
+
+    case 'refund.failed': {
+      const failed = await transitionOrder(order, ['refund_pending'], { $set: { status: 'refund_failed' } });
+      if (!failed) break;
+      order = failed;
+      await Registration.updateOne({ _id: order.registration, order: order._id }, { $set: { paymentStatus: 'refund_failed' } });
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return order;
+};
+
+module.exports = {
+  getPaymentHoldMs,
+  toMinorUnits,
+  startCheckout,
+  refundOrder,
+  refundRegistration,
+  cancelOpenOrders,
+  handlePaymentNotification
+};
@@ -0,0 +1,21 @@
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows (arrays of values) as CSV text, for spreadsheet downloads
+const toCsv = (rows) => rows.map(row => row.map(csvField).join(',')).join('\r\n');
+
+// Send CSV text as a file download
+const sendCsv = (res, csv, filename) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(csv);
+};
+
+module.exports = {
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,130 @@
+// Who may see and register for an event. Public events are open to everyone;
+// allowedDepartments / allowedYears / allowedSemesters / allowedRoles narrow
+// the audience (an empty list means no restriction). Private events are shown
+// only to their staff, admins, people registered for them or holding an
+// invitation and, when they have audience restrictions, the users matching
+// them. Invite-only events also need an invitation to register.
+
+const list = (values) => values.join(', ');
+
+// Audience restrictions: the event field, the user field it checks and why it failed
+const AUDIENCE_RULES = [
+  {
+    field: 'allowedDepartments',
+    userField: 'department',
+    code: 'department',
+    message: (allowed, value) => `Only open to the ${list(allowed)} department${allowed.length > 1 ? 's' : ''}` +
+      (value ? ` (your department is ${value})` : ' (your profile has no department)')
+  },
+  {
+    field: 'allowedYears',
+    userField: 'year',
+    code: 'year',
+    message: (allowed, value) => `Only open to ${list(allowed)} year students` +
+      (value ? ` (you are in ${value} year)` : ' (your profile has no year)')
+  },
+  {
+    field: 'allowedSemesters',
+    userField: 'semester',
+    code: 'semester',
+    message: (allowed, value) => `Only open to students in semester ${list(allowed)}` +
+      (value ? ` (you are in semester ${value})` : ' (your profile has no semester)')
+  },
+  {
+    field: 'allowedRoles',
+    userField: 'role',
+    code: 'role',
+    message: (allowed, value) => `Only open to ${list(allowed)} accounts (yours is ${value})`
+  }
+];
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rules the event actually restricts
+const activeRules = (event) => AUDIENCE_RULES.filter(rule => (event[rule.field] || []).length > 0);
+
+// { code, message } for each audience restriction the user does not meet
+const audienceReasons = (event, user) => {
+  return activeRules(event)
+    .filter(rule => {
+      const value = user[rule.userField];
+      return !value || !event[rule.field].some(allowed => normalize(allowed) === normalize(value));
+    })
+    .map(rule => ({ code: rule.code, message: rule.message(event[rule.field], user[rule.userField]) }));
+};
+
+const managesEvent = (event, user) => user.role === 'admin' || event.isStaff(user);
+
+// Whether the user may see the event. registered: the user holds a seat;
+// invited: they have a usable invitation.
+const canViewEvent = (event, user, { registered = false, invited = false } = {}) => {
+  if (event.isPublic !== false || invited) return true;
+  if (!user) return false;
+  if (managesEvent(event, user) || registered) return true;
+
+  return activeRules(event).length > 0 && audienceReasons(event, user).length === 0;
+};
+
+// Whether the user may register, with every reason they may not
+const checkEligibility = (event, user, { registered = false, invited = false } = {}) => {
+  if (!user) {
+    return { eligible: false, reasons: [{ code: 'login_required', message: 'Log in to register for this event' }] };
+  }
+
+  const reasons = audienceReasons(event, user);
+  const privateOnly = event.isPublic === false && activeRules(event).length === 0;
+  if (privateOnly && !canViewEvent(event, user, { registered, invited })) {
+    reasons.unshift({ code: 'private', message: 'This event is private' });
+  }
+  if (event.inviteOnly && !invited && !registered && !managesEvent(event, user)) {
+    reasons.unshift({ code: 'invite_required', message: 'This event is invite-only; register with your invitation code' });
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// Mongo filter for the events a user may see in listings.
+// registeredEventIds: events the user holds a seat for.
+const visibleEventsFilter = (user, registeredEventIds = []) => {
+  const publicEvents = { isPublic: { $ne: false } };
+  if (!user) return publicEvents;
+  if (user.role === 'admin') return {};
+
+  // Private events with audience restrictions, all of which the user meets
+  const restricted = { $or: AUDIENCE_RULES.map(rule => ({ [`${rule.field}.0`]: { $exists: true } })) };
+  const matching = AUDIENCE_RULES.map(rule => {
+    const unrestricted = { [`${rule.field}.0`]: { $exists: false } };
+    const value = user[rule.userField];
+    return value
+      ? { $or: [unrestricted, { [rule.field]: new RegExp(`^\\s*${escapeRegExp(String(value).trim())}\\s*$`, 'i') }] }
+      : unrestricted;
+  });
+
+  return {
+    $or: [
+      publicEvents,
+      { createdBy: user._id },
+      { organizers: user._id },
+      { moderators: user._id },
+      { _id: { $in: registeredEventIds } },
+      { $and: [restricted, ...matching] }
+    ]
+  };
+};
+
+// The event's audience restrictions, for clients
+const describeAudience = (event) => ({
+  departments: event.allowedDepartments || [],
+  years: event.allowedYears || [],
+  semesters: event.allowedSemesters || [],
+  roles: event.allowedRoles || []
+});
+
+module.exports = {
+  canViewEvent,
+  checkEligibility,
+  visibleEventsFilter,
+  describeAudience
+};
@@ -0,0 +1,6 @@
+const { queueEmail, processOutbox } = require('./outbox');
+
+module.exports = {
+  queueEmail,
+  processOutbox
+};
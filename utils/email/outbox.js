@@ -0,0 +1,74 @@
+const EmailOutbox = require('../../models/EmailOutbox');
+const { sendMail } = require('../mailer');
+const { renderTemplate } = require('./templates');
+
+// Sends stuck in 'sending' longer than this are assumed to have crashed
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Wait before retry n: 1, 2, 4, 8... minutes, at most an hour
+const retryDelayMs = (attempts) => Math.min(60 * 1000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+
+// Claim an email for sending so no other worker sends it too
+const claim = (filter) => {
+  return EmailOutbox.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Send a claimed email and record the outcome. Resolves to true when sent.
+const deliver = async (email) => {
+  try {
+    await sendMail({ to: email.to, subject: email.subject, text: email.text, html: email.html });
+    email.set({ status: 'sent', sentAt: new Date(), lockedAt: undefined, lastError: undefined });
+    await email.save();
+    return true;
+  } catch (error) {
+    const exhausted = email.attempts >= email.maxAttempts;
+    email.set({
+      status: exhausted ? 'failed' : 'pending',
+      nextAttemptAt: new Date(Date.now() + retryDelayMs(email.attempts)),
+      lockedAt: undefined,
+      lastError: error.message
+    });
+    await email.save();
+    console.error(`Email ${email._id} (${email.template}) attempt ${email.attempts} failed:`, error.message);
+    return false;
+  }
+};
+
+// Store a rendered template in the outbox and try to send it straight away.
+// Delivery happens in the background; failures are retried by processOutbox.
+const queueEmail = async (template, data, { to, user, event } = {}) => {
+  const { subject, text, html } = renderTemplate(template, data);
+  const email = await EmailOutbox.create({ to, template, subject, text, html, user, event });
+
+  claim({ _id: email._id })
+    .then(claimed => claimed && deliver(claimed))
+    .catch(error => console.error('Email delivery error:', error));
+
+  return email;
+};
+
+// Send every email that is due, oldest first. Resolves to { sent, failed }.
+const processOutbox = async ({ limit = 50 } = {}) => {
+  await EmailOutbox.updateMany(
+    { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+  );
+
+  const summary = { sent: 0, failed: 0 };
+  for (let i = 0; i < limit; i++) {
+    const email = await claim({});
+    if (!email) break;
+    if (await deliver(email)) summary.sent++;
+    else summary.failed++;
+  }
+  return summary;
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox
+};
@@ -0,0 +1,224 @@
+// Email templates. Each takes the template data and returns { subject, text, html }.
+const { formatInTimezone } = require('../timezones');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? new Date(date).toUTCString() : '');
+
+// Start of an event in its own timezone
+const formatEventStart = (event) => (event.startsAt ? formatInTimezone(event.startsAt, event.timezone) : formatDate(event.startDate));
+
+// Shared HTML frame; paragraphs are plain text and get escaped here
+const layout = ({ name, paragraphs, link }) => {
+  const body = paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('');
+  const button = link
+    ? `<p><a href="${escapeHtml(link.url)}" style="display:inline-block;padding:10px 18px;background:#1f3a68;color:#ffffff;text-decoration:none;border-radius:4px">${escapeHtml(link.label)}</a></p>`
+    : '';
+
+  return `<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;color:#333333">` +
+    `<h2 style="color:#1f3a68">EventSphere</h2>` +
+    `<p>Hi ${escapeHtml(name)},</p>${body}${button}` +
+    `<p style="color:#888888;font-size:12px">You are receiving this email because of your activity on EventSphere.</p>` +
+    `</div>`;
+};
+
+// Plain-text version of the same message
+const plain = ({ name, paragraphs, link }) => {
+  return [`Hi ${name},`, ...paragraphs, link ? `${link.label}: ${link.url}` : null]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+const render = (subject, content) => ({
+  subject,
+  text: plain(content),
+  html: layout(content)
+});
+
+const eventLink = (event) => ({ label: 'View event', url: `${clientUrl()}/events/${event.id}` });
+const registrationLink = (registration) => ({ label: 'View registration', url: `${clientUrl()}/registrations/${registration.id}` });
+
+const statusMessages = {
+  pending: 'Your registration has been received and is awaiting confirmation by the organizers.',
+  confirmed: 'Your registration is confirmed. We look forward to seeing you there!',
+  rejected: 'Unfortunately your registration was not accepted.',
+  cancelled: 'Your registration has been cancelled.',
+  waitlisted: 'The event is currently full, so you have been added to the waitlist. We will email you if a seat opens up.'
+};
+
+const templates = {
+  registrationCreated: ({ name, event, registration }) => {
+    const paragraphs = [`Thanks for registering for ${event.title} (${formatEventStart(event)}, ${event.venue}).`];
+
+    if (registration.paymentStatus === 'awaiting_payment') {
+      paragraphs.push(`Your seat is held until ${formatDate(registration.paymentDueAt)}. Complete the payment before then to confirm your registration.`);
+    } else {
+      paragraphs.push(statusMessages[registration.status] || '');
+    }
+
+    const subject = registration.status === 'waitlisted'
+      ? `You're on the waitlist for ${event.title}`
+      : `Registration received: ${event.title}`;
+
+    return render(subject, { name, paragraphs, link: registrationLink(registration) });
+  },
+
+  registrationStatusChanged: ({ name, event, registration, notes }) => {
+    const paragraphs = [`The status of your registration for ${event.title} is now "${registration.status}".`];
+    if (statusMessages[registration.status]) paragraphs.push(statusMessages[registration.status]);
+    if (notes) paragraphs.push(`Note from the organizers: ${notes}`);
+
+    return render(`Registration ${registration.status}: ${event.title}`, {
+      name,
+      paragraphs,
+      link: registrationLink(registration)
+    });
+  },
+
+  waitlistOffer: ({ name, event, registration }) => render(`A seat opened up for ${event.title}`, {
+    name,
+    paragraphs: [
+      `A seat is now available for ${event.title}.`,
+      `Accept it before ${formatDate(registration.offerExpiresAt)} or it will be offered to the next person on the waitlist.`
+    ],
+    link: { label: 'Accept your seat', url: `${clientUrl()}/registrations/${registration.id}` }
+  }),
+
+  eventUpdated: ({ name, event, changes }) => render(`Event updated: ${event.title}`, {
+    name,
+    paragraphs: [
+      `The organizers have updated ${event.title}:`,
+      ...changes.map(change => `${change.label}: ${change.from || '-'} → ${change.to || '-'}`)
+    ],
+    link: eventLink(event)
+  }),
+
+  eventCancelled: ({ name, event }) => render(`Event cancelled: ${event.title}`, {
+    name,
+    paragraphs: [
+      `We're sorry to let you know that ${event.title}, scheduled for ${formatEventStart(event)}, has been cancelled.`
+    ]
+  }),
+
+  eventReminder: ({ name, event, startsIn }) => render(`Reminder: ${event.title} starts ${startsIn}`, {
+    name,
+    paragraphs: [
+      `This is a reminder that ${event.title} starts ${startsIn} (${formatEventStart(event)}) at ${event.venue}.`,
+      'Bring your ticket QR code for check-in.'
+    ],
+    link: eventLink(event)
+  }),
+
+  feedbackRequest: ({ name, event }) => render(`How was ${event.title}?`, {
+    name,
+    paragraphs: [
+      `Thanks for attending ${event.title}. We'd love to hear what you thought.`,
+      'Your feedback takes a minute and helps organizers make the next event better.'
+    ],
+    link: { label: 'Give feedback', url: `${clientUrl()}/events/${event.id}/feedback` }
+  }),
+
+  feedbackReviewed: ({ name, event, approved, notes }) => render(
+    approved ? `Your feedback for ${event.title} is published` : `Your feedback for ${event.title} was not published`,
+    {
+      name,
+      paragraphs: [
+        approved
+          ? `Thank you for your feedback on ${event.title}. It has been approved and is now visible to others.`
+          : `Thank you for your feedback on ${event.title}. The organizers decided not to publish it.`,
+        notes ? `Note from the organizers: ${notes}` : null
+      ].filter(Boolean),
+      link: eventLink(event)
+    }
+  ),
+
+  newEventMatch: ({ name, event, matched }) => render(`New event: ${event.title}`, {
+    name,
+    paragraphs: [
+      `${event.title} (${formatEventStart(event)}, ${event.venue}) was just published.`,
+      `We thought you might be interested because you follow ${matched.join(', ')}.`,
+      'You can turn off new event emails in your notification preferences.'
+    ],
+    link: eventLink(event)
+  }),
+
+  eventInvitation: ({ name, event, invitation, inviter, message }) => render(`You're invited to ${event.title}`, {
+    name,
+    paragraphs: [
+      `${inviter || 'The organizers'} invited you to ${event.title} (${formatEventStart(event)}, ${event.venue}).`,
+      message ? `"${message}"` : null,
+      `Register with the invitation code ${invitation.code}` +
+        (invitation.expiresAt ? ` before ${formatDate(invitation.expiresAt)}.` : '.')
+    ].filter(Boolean),
+    link: { label: 'View invitation', url: invitation.url }
+  }),
+
+  teamInvitation: ({ name, event, team, captain }) => render(`Join ${team.name} for ${event.title}`, {
+    name,
+    paragraphs: [
+      `${captain} invited you to join the team ${team.name} for ${event.title} (${formatEventStart(event)}, ${event.venue}).`,
+      `Accept the invitation, or join with the team code ${team.joinCode}. Joining registers you for the event.`
+    ],
+    link: { label: 'View team', url: `${clientUrl()}/teams/${team.id}` }
+  }),
+
+  coordinatorApplication: ({ name, event, applicant, reason }) => render(`${applicant} applied to coordinate ${event.title}`, {
+    name,
+    paragraphs: [
+      `${applicant} applied to coordinate ${event.title} (${formatEventStart(event)}).`,
+      `Their reason: ${reason}`,
+      'Approved coordinators can check attendees in and see the participant list.'
+    ],
+    link: { label: 'Review applications', url: `${clientUrl()}/events/${event.id}/coordinators` }
+  }),
+
+  coordinatorDecision: ({ name, event, registration, decision, reason }) => {
+    const paragraphs = {
+      approved: [`Your application to coordinate ${event.title} was approved. You can now check attendees in and see the participant list.`],
+      rejected: [`Your application to coordinate ${event.title} was not accepted.`],
+      revoked: [`You are no longer a coordinator of ${event.title}.`]
+    }[decision];
+    if (reason) paragraphs.push(`Note from the organizers: ${reason}`);
+
+    const subject = decision === 'approved'
+      ? `You're a coordinator of ${event.title}`
+      : `Coordinator update: ${event.title}`;
+    return render(subject, { name, paragraphs, link: registrationLink(registration) });
+  },
+
+  emailVerification: ({ name, url }) => render('Verify your EventSphere email', {
+    name,
+    paragraphs: ['Please confirm your email address using the link below. It expires in 24 hours.'],
+    link: { label: 'Verify email', url }
+  }),
+
+  passwordReset: ({ name, url }) => render('EventSphere password reset', {
+    name,
+    paragraphs: [
+      'Use the link below to reset your password. It expires in one hour.',
+      'If you did not request this, you can ignore this email.'
+    ],
+    link: { label: 'Reset password', url }
+  })
+};
+
+// Render a template by name
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
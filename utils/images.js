@@ -0,0 +1,33 @@
+const sharp = require('sharp');
+
+// File signatures of the image formats we accept
+const signatures = [
+  { type: 'jpeg', test: (header) => header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF },
+  { type: 'png', test: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+  { type: 'gif', test: (header) => ['GIF87a', 'GIF89a'].includes(header.toString('ascii', 0, 6)) },
+  { type: 'webp', test: (header) => header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Number of leading bytes needed to recognise any supported format
+const SIGNATURE_LENGTH = 12;
+
+// Detect the image format from the file content, or null if it is not a supported image
+const detectImageType = (header) => {
+  if (!header || header.length < SIGNATURE_LENGTH) return null;
+  const match = signatures.find(signature => signature.test(header));
+  return match ? match.type : null;
+};
+
+// Resize an image into a thumbnail buffer, keeping its original format
+const createThumbnail = (input, { width, height, format }) => {
+  return sharp(input, { animated: format === 'gif' })
+    .rotate()
+    .resize({ width, height, fit: height ? 'cover' : 'inside', withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer();
+};
+
+module.exports = {
+  detectImageType,
+  createThumbnail
+};
@@ -0,0 +1,105 @@
+const Invitation = require('../models/Invitation');
+const { generateCode } = require('./tokens');
+
+// Typed-in codes are short; link and personal codes only travel in URLs
+const CODE_LENGTHS = { code: 8, link: 20, personal: 20 };
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Create an invitation with a fresh code, retrying on the rare duplicate
+const createInvitation = async (data) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await Invitation.create({ ...data, code: generateCode(CODE_LENGTHS[data.kind || 'code']) });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// Link that opens the event with the invitation filled in
+const invitationUrl = (invitation) => {
+  return `${clientUrl()}/events/${invitation.event._id || invitation.event}?invite=${invitation.code}`;
+};
+
+// Why the user cannot use the invitation ({ code, message }), or null when they can.
+// Without a user only the invitation itself is checked (e.g. to view the event).
+const invitationProblem = (invitation, user) => {
+  if (!invitation || !invitation.isActive) {
+    return { code: 'invite_invalid', message: 'This invitation code is not valid' };
+  }
+  if (user && invitation.hasRedeemed(user)) return null;
+  if (invitation.isExpired()) {
+    return { code: 'invite_expired', message: 'This invitation has expired' };
+  }
+  if (invitation.isUsedUp()) {
+    return { code: 'invite_used_up', message: 'This invitation has already been used' };
+  }
+
+  const addressedToUser = invitation.user && user && invitation.user.toString() === user._id.toString();
+  const addressedToEmail = invitation.email && user && invitation.email === user.email;
+  if (user && invitation.kind === 'personal' && !addressedToUser && !addressedToEmail) {
+    return { code: 'invite_not_for_you', message: 'This invitation was sent to someone else' };
+  }
+  return null;
+};
+
+// Look up the invitation a code stands for at an event.
+// Resolves to { invitation } when it can be used, { reason } when it cannot
+// and {} when no code was given.
+const resolveInvitation = async (eventId, code, user) => {
+  if (!code) return {};
+
+  const invitation = await Invitation.findOne({ event: eventId, code: String(code).trim().toUpperCase() });
+  const reason = invitationProblem(invitation, user);
+  return reason ? { reason } : { invitation };
+};
+
+// Count a registration against the invitation. Uses are claimed atomically so
+// a code cannot be used more often than allowed; someone who already
+// redeemed it (and cancelled) can use it again without using up another.
+// Resolves to false when the invitation stopped being usable meanwhile.
+const redeemInvitation = async (invitation, user, registration) => {
+  if (invitation.hasRedeemed(user)) {
+    await Invitation.updateOne(
+      { _id: invitation._id, 'redemptions.user': user._id },
+      { $set: { 'redemptions.$.registration': registration._id, 'redemptions.$.redeemedAt': new Date() } }
+    );
+    return true;
+  }
+
+  const now = new Date();
+  const claimed = await Invitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      isActive: true,
+      'redemptions.user': { $ne: user._id },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { redemptions: { user: user._id, registration: registration._id, redeemedAt: now } }
+    },
+    { new: true }
+  );
+  return Boolean(claimed);
+};
+
+// Give back a use claimed for a registration that was not saved after all
+const releaseInvitation = (invitation, user) => {
+  return Invitation.updateOne(
+    { _id: invitation._id, 'redemptions.user': user._id },
+    { $inc: { uses: -1 }, $pull: { redemptions: { user: user._id } } }
+  );
+};
+
+module.exports = {
+  createInvitation,
+  invitationUrl,
+  resolveInvitation,
+  redeemInvitation,
+  releaseInvitation
+};
@@ -0,0 +1,160 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { registerJob } = require('./scheduler');
+const { processWaitlist } = require('./waitlist');
+const { releaseExpiredPaymentHolds } = require('./registrations');
+const { processOutbox } = require('./email');
+const { removeUnusedFormUploads } = require('./registrationForms');
+const { notifyEventReminder, notifyFeedbackRequest } = require('./notifications');
+
+const HOUR = 60 * 60 * 1000;
+
+// Move events through Upcoming -> Live -> Past as time passes
+const updateEventStatuses = async () => {
+  const now = new Date();
+  const [past, live, upcoming] = await Promise.all([
+    Event.updateMany({ endsAt: { $lt: now }, status: { $ne: 'Past' } }, { $set: { status: 'Past' } }),
+    Event.updateMany({ startsAt: { $lte: now }, endsAt: { $gte: now }, status: { $ne: 'Live' } }, { $set: { status: 'Live' } }),
+    Event.updateMany({ startsAt: { $gt: now }, status: { $ne: 'Upcoming' } }, { $set: { status: 'Upcoming' } })
+  ]);
+  return { past: past.modifiedCount, live: live.modifiedCount, upcoming: upcoming.modifiedCount };
+};
+
+// Close registration once the deadline passes; people still waiting for a seat will not get one
+const closeRegistrations = async () => {
+  const filter = { isActive: true, registrationClosed: { $ne: true }, registrationDeadline: { $lte: new Date() } };
+  const events = await Event.find(filter).select('_id');
+
+  for (const { _id } of events) {
+    const event = await Event.findOneAndUpdate({ ...filter, _id }, { $set: { registrationClosed: true } });
+    if (!event) continue;
+
+    await Registration.updateMany(
+      { event: _id, status: 'waitlisted', isActive: true, offerExpiresAt: { $exists: false } },
+      { $set: { status: 'cancelled', coordinatorNotes: 'Registration closed before a seat opened up' } }
+    );
+  }
+  return { closed: events.length };
+};
+
+// How far off an event starts, as read in a reminder ("in 5 hours")
+const startsInText = (startsAt, now) => {
+  const hours = Math.max(1, Math.round((startsAt - now) / HOUR));
+  return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+};
+
+// Send the 24 hour and 1 hour reminders, once each per event. An event
+// created less than a day ahead gets the day reminder straight away, saying
+// how many hours are left.
+const sendEventReminders = async () => {
+  const now = new Date();
+  const reminders = [
+    { key: '24h', window: { $gt: new Date(now.getTime() + HOUR), $lte: new Date(now.getTime() + 24 * HOUR) } },
+    { key: '1h', window: { $gt: now, $lte: new Date(now.getTime() + HOUR) } }
+  ];
+  const summary = {};
+
+  for (const { key, window } of reminders) {
+    const filter = { isActive: true, startsAt: window, remindersSent: { $ne: key } };
+    const events = await Event.find(filter).select('_id');
+    summary[key] = 0;
+
+    for (const { _id } of events) {
+      // Claiming the reminder first means it is never sent twice
+      const event = await Event.findOneAndUpdate(
+        { ...filter, _id },
+        { $addToSet: { remindersSent: key }, $set: { reminderSent: true } },
+        { new: true }
+      );
+      if (!event) continue;
+
+      await notifyEventReminder(event, startsInText(event.startsAt, now));
+      summary[key]++;
+    }
+  }
+  return summary;
+};
+
+// Ask attendees for feedback once an event has ended (within the last week)
+const sendFeedbackRequests = async () => {
+  const now = new Date();
+  const filter = {
+    isActive: true,
+    endsAt: { $lte: now, $gte: new Date(now.getTime() - 7 * 24 * HOUR) },
+    feedbackRequestSent: { $ne: true }
+  };
+  const events = await Event.find(filter).select('_id');
+  let sent = 0;
+
+  for (const { _id } of events) {
+    const event = await Event.findOneAndUpdate({ ...filter, _id }, { $set: { feedbackRequestSent: true } }, { new: true });
+    if (!event) continue;
+
+    await notifyFeedbackRequest(event);
+    sent++;
+  }
+  return { events: sent };
+};
+
+// Give up seats whose payment window ran out
+const releasePaymentHolds = async () => {
+  const eventIds = await Registration.distinct('event', {
+    status: 'pending',
+    paymentStatus: 'awaiting_payment',
+    paymentDueAt: { $lte: new Date() },
+    isActive: true
+  });
+
+  let released = 0;
+  for (const eventId of eventIds) {
+    released += await releaseExpiredPaymentHolds(eventId);
+  }
+  return { released };
+};
+
+// Pass on waitlist offers that were not answered in time
+const processExpiredWaitlistOffers = async () => {
+  const eventIds = await Registration.distinct('event', {
+    status: 'waitlisted',
+    isActive: true,
+    offerExpiresAt: { $lte: new Date() }
+  });
+
+  for (const eventId of eventIds) {
+    await processWaitlist(eventId);
+  }
+  return { events: eventIds.length };
+};
+
+// Delete registration form uploads nobody registered with within a day
+const cleanUpFormUploads = async () => {
+  const removed = await removeUnusedFormUploads(new Date(Date.now() - 24 * HOUR));
+  return { removed };
+};
+
+// Register every background job with the scheduler
+const registerDefaultJobs = () => {
+  registerJob({ name: 'update-event-statuses', intervalMs: 60 * 1000, handler: updateEventStatuses });
+  registerJob({ name: 'close-registrations', intervalMs: 60 * 1000, handler: closeRegistrations });
+  registerJob({ name: 'send-event-reminders', intervalMs: 5 * 60 * 1000, handler: sendEventReminders });
+  registerJob({ name: 'send-feedback-requests', intervalMs: 15 * 60 * 1000, handler: sendFeedbackRequests });
+  registerJob({ name: 'release-payment-holds', intervalMs: 60 * 1000, handler: releasePaymentHolds });
+  registerJob({ name: 'process-waitlist-offers', intervalMs: 5 * 60 * 1000, handler: processExpiredWaitlistOffers });
+  registerJob({ name: 'clean-up-form-uploads', intervalMs: HOUR, handler: cleanUpFormUploads });
+  registerJob({
+    name: 'process-email-outbox',
+    intervalMs: parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS || '60') * 1000,
+    handler: processOutbox
+  });
+};
+
+module.exports = {
+  updateEventStatuses,
+  closeRegistrations,
+  sendEventReminders,
+  sendFeedbackRequests,
+  releasePaymentHolds,
+  processExpiredWaitlistOffers,
+  cleanUpFormUploads,
+  registerDefaultJobs
+};
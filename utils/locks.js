@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+
+// How long a holder may keep a lock, and how long others wait for it
+const LOCK_TTL_MS = 15 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+
+// Run task while holding a short lease stored on a document, in the fields
+// <name>LockedBy and <name>LockedUntil, so tasks locking the same document
+// run one at a time. A lease that is never released runs out after the TTL.
+// Without an id, or when the document does not exist, the task just runs.
+// Gives up with a 409 error (busyMessage) when the wait runs out.
+const withDocumentLock = async (Model, id, name, task, { busyMessage = 'Please try again in a moment' } = {}) => {
+  if (!id) return task();
+
+  const lockedBy = `${name}LockedBy`;
+  const lockedUntil = `${name}LockedUntil`;
+  const owner = crypto.randomBytes(8).toString('hex');
+  const giveUpAt = Date.now() + LOCK_WAIT_MS;
+
+  for (;;) {
+    const now = new Date();
+    const acquired = await Model.updateOne(
+      { _id: id, $or: [{ [lockedUntil]: { $exists: false } }, { [lockedUntil]: null }, { [lockedUntil]: { $lte: now } }] },
+      { $set: { [lockedBy]: owner, [lockedUntil]: new Date(now.getTime() + LOCK_TTL_MS) } }
+    );
+    if (acquired.modifiedCount > 0) break;
+
+    if (!(await Model.exists({ _id: id }))) return task();
+    if (Date.now() >= giveUpAt) {
+      const error = new Error(busyMessage);
+      error.statusCode = 409;
+      throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 100));
+  }
+
+  try {
+    return await task();
+  } finally {
+    await Model.updateOne({ _id: id, [lockedBy]: owner }, { $unset: { [lockedBy]: '', [lockedUntil]: '' } });
+  }
+};
+
+module.exports = {
+  withDocumentLock
+};
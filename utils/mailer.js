@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transport factories, selected with MAIL_TRANSPORT (smtp, file or console)
+const transportFactories = {
+  smtp: () => nodemailer.createTransport(
+    process.env.SMTP_HOST
+      ? {
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT || '587'),
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.EMAIL_USER
+            ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+            : undefined
+        }
+      : {
+          service: 'gmail',
+          auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+        }
+  ),
+
+  // Writes every message as an .eml file for local development
+  file: () => {
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const outputDir = process.env.MAIL_OUTPUT_DIR || 'tmp/mail';
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        await fs.promises.mkdir(outputDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.eml`;
+        await fs.promises.writeFile(path.join(outputDir, fileName), info.message);
+        return { ...info, path: path.join(outputDir, fileName) };
+      }
+    };
+  },
+
+  // Logs every message to stdout
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        console.log('Outgoing email:', info.message);
+        return info;
+      }
+    };
+  }
+};
+
+let transport = null;
+
+// Lazily create the configured transport. Production must name one: the
+// console fallback would print reset and verification links to the logs.
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT is not configured');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (anything exposing sendMail(message))
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send an email through the active transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER || 'EventSphere <no-reply@eventsphere.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,417 @@
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Feedback = require('../models/Feedback');
+const Notification = require('../models/Notification');
+const { queueEmail } = require('./email');
+const { publishToUser } = require('./realtime');
+const { checkEligibility } = require('./eligibility');
+
+// Fields a recipient needs for delivery
+const RECIPIENT_FIELDS = 'fullName email notificationPreferences';
+
+// Template data for an event / registration
+const eventData = (event) => ({
+  id: event._id,
+  title: event.title,
+  startDate: event.startDate,
+  startsAt: event.startsAt,
+  timezone: event.timezone,
+  venue: event.venue
+});
+
+const registrationData = (registration) => ({
+  id: registration._id,
+  status: registration.status,
+  paymentStatus: registration.paymentStatus,
+  paymentDueAt: registration.paymentDueAt,
+  offerExpiresAt: registration.offerExpiresAt
+});
+
+// Client paths for in-app notifications
+const eventPath = (event) => `/events/${event._id}`;
+const registrationPath = (registration) => `/registrations/${registration._id}`;
+
+// Notifications must never break the request that triggered them
+const safely = (label, fn) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    console.error(`${label} notification error:`, error);
+    return null;
+  }
+};
+
+// Recipients need their preferences, so partially loaded users are fetched again
+const loadUser = (userOrId) => {
+  if (!userOrId) return null;
+  return userOrId.email && userOrId.wantsNotification && userOrId.notificationPreferences
+    ? userOrId
+    : User.findById(userOrId._id || userOrId).select(RECIPIENT_FIELDS);
+};
+
+const loadEvent = (eventOrId) => {
+  return eventOrId && eventOrId.title ? eventOrId : Event.findById(eventOrId);
+};
+
+// Send one notification over the channels the recipient has enabled for its
+// category. The email uses the template named after the notification type.
+const deliver = async (recipient, category, type, { event, registration, data, inApp }) => {
+  const delivered = {};
+
+  if (recipient.wantsNotification(category, 'inApp')) {
+    delivered.notification = await Notification.create({
+      user: recipient._id,
+      category,
+      type,
+      title: inApp.title,
+      message: inApp.message,
+      link: inApp.link,
+      event: event && event._id,
+      registration: registration && registration._id
+    });
+    publishToUser(recipient._id, 'notification', { notification: delivered.notification });
+  }
+
+  if (recipient.email && recipient.wantsNotification(category, 'email')) {
+    delivered.email = await queueEmail(type, { name: recipient.fullName, ...data }, {
+      to: recipient.email,
+      user: recipient._id,
+      event: event && event._id
+    });
+  }
+
+  return delivered;
+};
+
+const registrationSummaries = {
+  pending: 'Your registration is awaiting confirmation by the organizers.',
+  confirmed: 'Your registration is confirmed.',
+  rejected: 'Your registration was not accepted.',
+  cancelled: 'Your registration has been cancelled.',
+  waitlisted: 'The event is full, so you are on the waitlist.'
+};
+
+// Registration received / waitlisted / waiting for payment
+const notifyRegistrationCreated = safely('Registration created', async (registration, event, user) => {
+  const participant = await loadUser(user || registration.participant);
+  if (!participant) return null;
+
+  const message = registration.paymentStatus === 'awaiting_payment'
+    ? 'Complete the payment to confirm your seat.'
+    : registrationSummaries[registration.status];
+
+  return deliver(participant, 'registration', 'registrationCreated', {
+    event,
+    registration,
+    data: { event: eventData(event), registration: registrationData(registration) },
+    inApp: {
+      title: registration.status === 'waitlisted'
+        ? `You're on the waitlist for ${event.title}`
+        : `Registration received: ${event.title}`,
+      message,
+      link: registrationPath(registration)
+    }
+  });
+});
+
+// Registration moved to a new status
+const notifyRegistrationStatus = safely('Registration status', async (registration, notes) => {
+  const [participant, event] = await Promise.all([
+    loadUser(registration.participant),
+    loadEvent(registration.event)
+  ]);
+  if (!participant || !event) return null;
+
+  return deliver(participant, 'registration', 'registrationStatusChanged', {
+    event,
+    registration,
+    data: { event: eventData(event), registration: registrationData(registration), notes },
+    inApp: {
+      title: `Registration ${registration.status}: ${event.title}`,
+      message: [registrationSummaries[registration.status], notes].filter(Boolean).join(' '),
+      link: registrationPath(registration)
+    }
+  });
+});
+
+// A seat from the waitlist is being held for someone
+const notifyWaitlistOffer = safely('Waitlist offer', async (registration, event) => {
+  const participant = await loadUser(registration.participant);
+  if (!participant) return null;
+
+  return deliver(participant, 'waitlist', 'waitlistOffer', {
+    event,
+    registration,
+    data: { event: eventData(event), registration: registrationData(registration) },
+    inApp: {
+      title: `A seat opened up for ${event.title}`,
+      message: `Accept it before ${registration.offerExpiresAt.toUTCString()} or it goes to the next person in line.`,
+      link: registrationPath(registration)
+    }
+  });
+});
+
+// Everyone holding or waiting for a seat
+const findEventAudience = (eventId, statuses = ['pending', 'confirmed', 'waitlisted']) => {
+  return Registration.find({
+    event: eventId,
+    isActive: true,
+    status: { $in: statuses }
+  }).populate('participant', RECIPIENT_FIELDS);
+};
+
+// Event details changed ([{ label, from, to }])
+const notifyEventUpdated = safely('Event updated', async (event, changes) => {
+  const registrations = await findEventAudience(event._id);
+  for (const registration of registrations) {
+    if (!registration.participant) continue;
+    await deliver(registration.participant, 'eventUpdates', 'eventUpdated', {
+      event,
+      data: { event: eventData(event), changes },
+      inApp: {
+        title: `Event updated: ${event.title}`,
+        message: `Changed: ${changes.map(change => change.label).join(', ')}.`,
+        link: eventPath(event)
+      }
+    });
+  }
+  return registrations.length;
+});
+
+// Event was cancelled
+const notifyEventCancelled = safely('Event cancelled', async (event) => {
+  const registrations = await findEventAudience(event._id);
+  for (const registration of registrations) {
+    if (!registration.participant) continue;
+    await deliver(registration.participant, 'eventUpdates', 'eventCancelled', {
+      event,
+      data: { event: eventData(event) },
+      inApp: {
+        title: `Event cancelled: ${event.title}`,
+        message: `${event.title} has been cancelled by the organizers.`,
+        link: eventPath(event)
+      }
+    });
+  }
+  return registrations.length;
+});
+
+// Upcoming event reminder (startsIn reads e.g. "in 24 hours" or "in 1 hour")
+const notifyEventReminder = safely('Event reminder', async (event, startsIn) => {
+  const registrations = await findEventAudience(event._id, ['pending', 'confirmed']);
+  for (const registration of registrations) {
+    if (!registration.participant) continue;
+    await deliver(registration.participant, 'reminders', 'eventReminder', {
+      event,
+      registration,
+      data: { event: eventData(event), startsIn },
+      inApp: {
+        title: `Reminder: ${event.title} starts ${startsIn}`,
+        message: `${event.title} starts ${startsIn} at ${event.venue}.`,
+        link: eventPath(event)
+      }
+    });
+  }
+  return registrations.length;
+});
+
+// Ask attendees who have not left feedback yet to do so
+const notifyFeedbackRequest = safely('Feedback request', async (event) => {
+  const reviewed = await Feedback.distinct('participant', { event: event._id });
+  const registrations = await Registration.find({
+    event: event._id,
+    isActive: true,
+    attended: true,
+    participant: { $nin: reviewed }
+  }).populate('participant', RECIPIENT_FIELDS);
+
+  for (const registration of registrations) {
+    if (!registration.participant) continue;
+    await deliver(registration.participant, 'feedback', 'feedbackRequest', {
+      event,
+      registration,
+      data: { event: eventData(event) },
+      inApp: {
+        title: `How was ${event.title}?`,
+        message: 'Tell the organizers what you thought of the event.',
+        link: `${eventPath(event)}/feedback`
+      }
+    });
+  }
+  return registrations.length;
+});
+
+// Feedback was approved or rejected for public display
+const notifyFeedbackReviewed = safely('Feedback reviewed', async (feedback) => {
+  const [participant, event] = await Promise.all([
+    loadUser(feedback.participant),
+    loadEvent(feedback.event)
+  ]);
+  if (!participant || !event) return null;
+
+  return deliver(participant, 'feedback', 'feedbackReviewed', {
+    event,
+    data: { event: eventData(event), approved: feedback.isApproved, notes: feedback.adminNotes },
+    inApp: {
+      title: feedback.isApproved
+        ? `Your feedback for ${event.title} is published`
+        : `Your feedback for ${event.title} was not published`,
+      message: feedback.adminNotes || undefined,
+      link: eventPath(event)
+    }
+  });
+});
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Tell users whose interests match a new event's category or tags, if they
+// may register for it: private, restricted and invite-only events are not
+// announced to anyone else
+const notifyNewEventMatches = safely('New event', async (event) => {
+  const topics = [event.category, ...(event.tags || [])]
+    .filter(Boolean)
+    .map(topic => topic.trim())
+    .filter(Boolean);
+  if (topics.length === 0) return 0;
+
+  const users = await User.find({
+    _id: { $nin: [event.createdBy, ...(event.organizers || [])] },
+    isActive: true,
+    interests: { $in: topics.map(topic => new RegExp(`^${escapeRegExp(topic)}$`, 'i')) }
+  }).select(`${RECIPIENT_FIELDS} interests department year semester role`);
+  const recipients = users.filter(user => checkEligibility(event, user).eligible);
+
+  for (const user of recipients) {
+    const interests = user.interests.map(interest => interest.toLowerCase());
+    const matched = topics.filter(topic => interests.includes(topic.toLowerCase()));
+
+    await deliver(user, 'newEvents', 'newEventMatch', {
+      event,
+      data: { event: eventData(event), matched },
+      inApp: {
+        title: `New event: ${event.title}`,
+        message: `Matches your interest in ${matched.join(', ')}.`,
+        link: eventPath(event)
+      }
+    });
+  }
+  return recipients.length;
+});
+
+// Personal invitation to an event. People without an account only get the email.
+const notifyInvitation = safely('Invitation', async (invitation, event, { inviter, message, url }) => {
+  const data = {
+    event: eventData(event),
+    invitation: { code: invitation.code, url, expiresAt: invitation.expiresAt },
+    inviter: inviter && inviter.fullName,
+    message
+  };
+
+  const recipient = await loadUser(invitation.user);
+  if (!recipient) {
+    return { email: await queueEmail('eventInvitation', { name: 'there', ...data }, { to: invitation.email, event: event._id }) };
+  }
+
+  return deliver(recipient, 'invitations', 'eventInvitation', {
+    event,
+    data,
+    inApp: {
+      title: `You're invited to ${event.title}`,
+      message: message || `Use the code ${invitation.code} to register.`,
+      link: `${eventPath(event)}?invite=${invitation.code}`
+    }
+  });
+});
+
+// A team captain asked someone to join. People without an account only get the email.
+const notifyTeamInvitation = safely('Team invitation', async (team, invite, event, captain) => {
+  const data = {
+    event: eventData(event),
+    team: { id: team._id, name: team.name, joinCode: team.joinCode },
+    captain: captain.fullName
+  };
+
+  const recipient = await loadUser(invite.user);
+  if (!recipient) {
+    if (!invite.email) return null;
+    return { email: await queueEmail('teamInvitation', { name: 'there', ...data }, { to: invite.email, event: event._id }) };
+  }
+
+  return deliver(recipient, 'invitations', 'teamInvitation', {
+    event,
+    data,
+    inApp: {
+      title: `Join ${team.name} for ${event.title}`,
+      message: `${captain.fullName} invited you to their team.`,
+      link: `/teams/${team._id}`
+    }
+  });
+});
+
+// Someone applied to coordinate an event; its organizers decide
+const notifyCoordinatorApplication = safely('Coordinator application', async (registration, event, applicant) => {
+  const organizerIds = [event.createdBy, ...(event.organizers || [])]
+    .map(organizer => (organizer._id || organizer).toString());
+  const organizers = await User.find({ _id: { $in: [...new Set(organizerIds)] }, isActive: true }).select(RECIPIENT_FIELDS);
+
+  const data = {
+    event: eventData(event),
+    registration: registrationData(registration),
+    applicant: applicant.fullName,
+    reason: registration.coordinatorApproval.reason
+  };
+  return Promise.all(organizers.map(organizer => deliver(organizer, 'registration', 'coordinatorApplication', {
+    event,
+    registration,
+    data,
+    inApp: {
+      title: `${applicant.fullName} applied to coordinate ${event.title}`,
+      message: registration.coordinatorApproval.reason,
+      link: `${eventPath(event)}/coordinators`
+    }
+  })));
+});
+
+const coordinatorDecisionTitles = {
+  approved: 'You are now a coordinator of',
+  rejected: 'Your coordinator application was not accepted for',
+  revoked: 'You are no longer a coordinator of'
+};
+
+// An organizer approved or rejected a coordinator application, or revoked it
+const notifyCoordinatorDecision = safely('Coordinator decision', async (registration) => {
+  const [coordinator, event] = await Promise.all([
+    loadUser(registration.participant),
+    loadEvent(registration.event)
+  ]);
+  if (!coordinator || !event) return null;
+
+  const { status, decisionReason } = registration.coordinatorApproval;
+  return deliver(coordinator, 'registration', 'coordinatorDecision', {
+    event,
+    registration,
+    data: { event: eventData(event), registration: registrationData(registration), decision: status, reason: decisionReason },
+    inApp: {
+      title: `${coordinatorDecisionTitles[status]} ${event.title}`,
+      message: decisionReason || undefined,
+      link: registrationPath(registration)
+    }
+  });
+});
+
+module.exports = {
+  notifyRegistrationCreated,
+  notifyRegistrationStatus,
+  notifyWaitlistOffer,
+  notifyEventUpdated,
+  notifyEventCancelled,
+  notifyEventReminder,
+  notifyFeedbackRequest,
+  notifyFeedbackReviewed,
+  notifyNewEventMatches,
+  notifyInvitation,
+  notifyTeamInvitation,
+  notifyCoordinatorApplication,
+  notifyCoordinatorDecision
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { hmacSha256, signatureMatches } = require('./signature');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Local provider for development and testing. Nothing is charged; payments
+// are completed by posting a signed webhook (see buildWebhook).
+const createFakeProvider = (options = {}) => {
+  const webhookSecret = options.webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET || process.env.JWT_SECRET;
+  const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    name: 'fake',
+
+    createOrder: async ({ amount, currency }) => {
+      const providerOrderId = randomId('fake_order');
+      return {
+        providerOrderId,
+        checkout: { provider: 'fake', orderId: providerOrderId, amount, currency }
+      };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      return signatureMatches(headers[SIGNATURE_HEADER], hmacSha256(webhookSecret, rawBody));
+    },
+
+    // Payload: { type, orderId, paymentId, refundId, reason }
+    parseWebhook: (rawBody) => {
+      const payload = JSON.parse(rawBody.toString());
+      return {
+        type: payload.type,
+        providerOrderId: payload.orderId,
+        providerPaymentId: payload.paymentId,
+        providerRefundId: payload.refundId,
+        failureReason: payload.reason
+      };
+    },
+
+    refund: async () => ({ providerRefundId: randomId('fake_refund'), status: 'succeeded' }),
+
+    // Build a signed webhook as the provider would send it
+    buildWebhook: (payload) => {
+      const rawBody = Buffer.from(JSON.stringify({ paymentId: randomId('fake_pay'), ...payload }));
+      return { rawBody, headers: { [SIGNATURE_HEADER]: hmacSha256(webhookSecret, rawBody) } };
+    }
+  };
+};
+
+module.exports = {
+  createFakeProvider
+};
@@ -0,0 +1,43 @@
+const { createFakeProvider } = require('./fake');
+const { createRazorpayProvider } = require('./razorpay');
+
+// Payment providers, selected with PAYMENT_PROVIDER (fake or razorpay)
+const providers = {
+  fake: createFakeProvider,
+  razorpay: createRazorpayProvider
+};
+
+// The fake provider confirms payments without taking money, so it only
+// works when a deployment opts in explicitly
+const fakePaymentsAllowed = () => process.env.ALLOW_FAKE_PAYMENTS === 'true';
+
+// Create a new provider instance
+const createPaymentProvider = (name, options) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (name === 'fake' && !fakePaymentsAllowed()) {
+    throw new Error('The fake payment provider is disabled (set ALLOW_FAKE_PAYMENTS=true to use it)');
+  }
+  return factory(options);
+};
+
+const instances = {};
+
+// Get the shared instance of a provider (defaults to the configured one)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not configured');
+  }
+  if (!instances[name]) {
+    instances[name] = createPaymentProvider(name);
+  }
+  return instances[name];
+};
+
+module.exports = {
+  fakePaymentsAllowed,
+  createPaymentProvider,
+  getPaymentProvider
+};
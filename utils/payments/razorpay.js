@@ -0,0 +1,84 @@
+const { hmacSha256, signatureMatches } = require('./signature');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay webhook events mapped to the provider-neutral notification types
+const eventTypes = {
+  'payment.captured': 'payment.succeeded',
+  'order.paid': 'payment.succeeded',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.succeeded',
+  'refund.failed': 'refund.failed'
+};
+
+// Razorpay adapter (orders API, webhooks signed with the webhook secret)
+const createRazorpayProvider = (options = {}) => {
+  const keyId = options.keyId || process.env.RAZORPAY_KEY_ID;
+  const keySecret = options.keySecret || process.env.RAZORPAY_KEY_SECRET;
+  const webhookSecret = options.webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!keyId || !keySecret || !webhookSecret) {
+    throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET are required for the razorpay provider');
+  }
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Razorpay ${method} ${path} failed: ${data.error ? data.error.description : response.status}`);
+    }
+    return data;
+  };
+
+  return {
+    name: 'razorpay',
+
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+      const order = await request('POST', '/orders', { amount, currency, receipt, notes });
+      return {
+        providerOrderId: order.id,
+        checkout: { provider: 'razorpay', keyId, orderId: order.id, amount, currency }
+      };
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+      return signatureMatches(headers['x-razorpay-signature'], hmacSha256(webhookSecret, rawBody));
+    },
+
+    parseWebhook: (rawBody) => {
+      const body = JSON.parse(rawBody.toString());
+      const payment = body.payload && body.payload.payment ? body.payload.payment.entity : {};
+      const refund = body.payload && body.payload.refund ? body.payload.refund.entity : {};
+      const order = body.payload && body.payload.order ? body.payload.order.entity : {};
+
+      return {
+        type: eventTypes[body.event] || null,
+        providerOrderId: payment.order_id || order.id,
+        providerPaymentId: payment.id || refund.payment_id,
+        providerRefundId: refund.id,
+        failureReason: payment.error_description
+      };
+    },
+
+    refund: async ({ providerPaymentId, amount, reason }) => {
+      const refund = await request('POST', `/payments/${providerPaymentId}/refund`, {
+        amount,
+        notes: reason ? { reason } : undefined
+      });
+      return {
+        providerRefundId: refund.id,
+        status: refund.status === 'processed' ? 'succeeded' : 'pending'
+      };
+    }
+  };
+};
+
+module.exports = {
+  createRazorpayProvider
+};
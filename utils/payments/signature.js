@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Hex HMAC-SHA256 of a raw request body
+const hmacSha256 = (secret, payload) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Constant-time comparison of a received signature with the expected one
+const signatureMatches = (received, expected) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+module.exports = {
+  hmacSha256,
+  signatureMatches
+};
@@ -0,0 +1,96 @@
+// Live updates pushed to connected clients over Server-Sent Events.
+// Each client listens on a set of channels:
+//   user:<id>            notifications and updates about the user's own registrations
+//   event:<id>           public updates of an event (seat counts, changes, cancellation)
+//   event:<id>:staff     registrations, check-ins and feedback, for the people running it
+// Clients and channels live in this process, so only clients connected to the
+// instance that published a message receive it.
+
+const clients = new Map();
+let nextClientId = 1;
+let nextMessageId = 1;
+
+const channels = {
+  user: (userId) => `user:${userId}`,
+  event: (eventId) => `event:${eventId}`,
+  eventStaff: (eventId) => `event:${eventId}:staff`
+};
+
+// Write one SSE frame (control frames go without an id)
+const send = (res, { id, type, data }) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Start tracking an open stream. Returns the client handle for removeClient.
+const addClient = (res, { user, channels: subscribed = [] }) => {
+  const client = {
+    id: nextClientId++,
+    res,
+    user,
+    channels: new Set(subscribed)
+  };
+  clients.set(client.id, client);
+  return client;
+};
+
+const removeClient = (client) => {
+  clients.delete(client.id);
+};
+
+// Send a message to every client on a channel; returns how many got it
+const publish = (channel, type, data) => {
+  const message = { id: nextMessageId++, type, data: { channel, ...data } };
+  let delivered = 0;
+
+  for (const client of clients.values()) {
+    if (!client.channels.has(channel)) continue;
+    try {
+      send(client.res, message);
+      delivered++;
+    } catch (error) {
+      // The socket went away between the close event and this write
+      removeClient(client);
+    }
+  }
+
+  return delivered;
+};
+
+// Registration summary safe to show to the participant and event staff
+const registrationSummary = (registration) => ({
+  _id: registration._id,
+  event: registration.event._id || registration.event,
+  participant: registration.participant._id || registration.participant,
+  status: registration.status,
+  paymentStatus: registration.paymentStatus,
+  attended: registration.attended,
+  attendanceDate: registration.attendanceDate,
+  checkInMethod: registration.checkInMethod
+});
+
+// Registration changed ('registration') or was checked in ('checkin'); goes to
+// the participant and to the event staff
+const publishRegistration = (type, registration, action, extra = {}) => {
+  const data = { action, ...extra, registration: registrationSummary(registration) };
+  publish(channels.user(data.registration.participant), type, data);
+  publish(channels.eventStaff(data.registration.event), type, data);
+};
+
+const publishToEvent = (eventId, type, data) => publish(channels.event(eventId), type, { eventId, ...data });
+const publishToEventStaff = (eventId, type, data) => publish(channels.eventStaff(eventId), type, { eventId, ...data });
+const publishToUser = (userId, type, data) => publish(channels.user(userId), type, data);
+
+const getClientCount = () => clients.size;
+
+module.exports = {
+  channels,
+  send,
+  addClient,
+  removeClient,
+  publish,
+  publishRegistration,
+  publishToEvent,
+  publishToEventStaff,
+  publishToUser,
+  getClientCount
+};
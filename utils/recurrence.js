@@ -0,0 +1,159 @@
+// Recurrence rules for event series, a subset of iCalendar RRULE:
+// FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only), COUNT and UNTIL.
+// Rules are stored as { frequency, interval, byWeekday, count, until }.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on the sessions a single rule may create
+const MAX_OCCURRENCES = 100;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// 20261231 or 20261231T000000Z
+const parseRRuleDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+};
+
+// "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" -> rule object
+const parseRRule = (value) => {
+  const rule = {};
+  const parts = String(value).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [key, raw = ''] = part.split('=');
+    switch (key.toUpperCase()) {
+      case 'FREQ': rule.frequency = raw.toLowerCase(); break;
+      case 'INTERVAL': rule.interval = Number(raw); break;
+      case 'BYDAY': rule.byWeekday = raw.toUpperCase().split(',').filter(Boolean); break;
+      case 'COUNT': rule.count = Number(raw); break;
+      case 'UNTIL': {
+        const until = parseRRuleDate(raw);
+        if (!until) throw invalid(`Invalid UNTIL in recurrence rule: ${raw}`);
+        rule.until = until;
+        break;
+      }
+      default:
+        throw invalid(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  return rule;
+};
+
+// Accept an RRULE string or a rule object and return a checked rule object.
+// Rejects with a 400 error when the rule is invalid.
+const normalizeRecurrence = (input) => {
+  const source = typeof input === 'string' ? parseRRule(input) : { ...input };
+
+  const rule = {
+    frequency: String(source.frequency || '').toLowerCase(),
+    interval: source.interval === undefined ? 1 : Number(source.interval),
+    byWeekday: (source.byWeekday || []).map(day => String(day).toUpperCase()),
+    count: source.count === undefined || source.count === null ? undefined : Number(source.count),
+    until: source.until ? new Date(source.until) : undefined
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw invalid(`Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw invalid('Recurrence interval must be a positive whole number');
+  }
+  if (rule.byWeekday.some(day => !WEEKDAYS.includes(day))) {
+    throw invalid(`Recurrence weekdays must be among ${WEEKDAYS.join(', ')}`);
+  }
+  if (rule.byWeekday.length > 0 && rule.frequency !== 'weekly') {
+    throw invalid('Recurrence weekdays can only be used with a weekly frequency');
+  }
+  if (rule.count === undefined && !rule.until) {
+    throw invalid('A recurrence needs a count or an end date (until)');
+  }
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    throw invalid(`Recurrence count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (rule.until && isNaN(rule.until.getTime())) {
+    throw invalid('Recurrence end date (until) is invalid');
+  }
+
+  return rule;
+};
+
+// Start dates of every occurrence of a rule, beginning with (and including)
+// firstStart. Occurrences keep firstStart's time of day.
+const expandRecurrence = (rule, firstStart) => {
+  const start = new Date(firstStart);
+  const occurrences = [];
+  const limit = rule.count || MAX_OCCURRENCES;
+
+  const accept = (date) => {
+    if (date < start) return true;
+    if (rule.until && date > rule.until) return false;
+    occurrences.push(date);
+    return occurrences.length < limit;
+  };
+
+  if (rule.frequency === 'daily') {
+    for (let i = 0; ; i++) {
+      if (!accept(new Date(start.getTime() + i * rule.interval * DAY))) break;
+    }
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = (rule.byWeekday.length > 0 ? rule.byWeekday : [WEEKDAYS[start.getUTCDay()]])
+      .map(day => WEEKDAYS.indexOf(day))
+      .sort((a, b) => a - b);
+    // Sunday of the first week
+    const weekStart = new Date(start.getTime() - start.getUTCDay() * DAY);
+
+    outer:
+    for (let week = 0; ; week += rule.interval) {
+      for (const weekday of weekdays) {
+        if (!accept(new Date(weekStart.getTime() + (week * 7 + weekday) * DAY))) break outer;
+      }
+    }
+  } else {
+    // Months without the day (e.g. the 31st) are skipped
+    for (let month = 0; occurrences.length < limit && month < MAX_OCCURRENCES * rule.interval; month += rule.interval) {
+      const date = new Date(start);
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + month);
+      date.setUTCDate(start.getUTCDate());
+      if (date.getUTCDate() !== start.getUTCDate()) continue;
+      if (!accept(date)) break;
+    }
+  }
+
+  return occurrences;
+};
+
+// Rule object -> "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"
+const toRRule = (rule) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length > 0) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) {
+    const until = new Date(rule.until);
+    parts.push(`UNTIL=${until.getUTCFullYear()}${pad(until.getUTCMonth() + 1)}${pad(until.getUTCDate())}` +
+      `T${pad(until.getUTCHours())}${pad(until.getUTCMinutes())}${pad(until.getUTCSeconds())}Z`);
+  }
+  return parts.join(';');
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  MAX_OCCURRENCES,
+  normalizeRecurrence,
+  expandRecurrence,
+  toRRule
+};
@@ -0,0 +1,257 @@
+const FormUpload = require('../models/FormUpload');
+const Registration = require('../models/Registration');
+const { detectImageType } = require('./images');
+const { contentTypeFor, getStorage, getFileUrl } = require('./storage');
+
+// Field types a registration form can have
+const FORM_FIELD_TYPES = ['text', 'select', 'checkbox', 'file', 'number'];
+// Largest upload a file field can take (fields can ask for less)
+const MAX_FORM_FILE_MB = 10;
+// Longest text answer, whatever the field allows
+const MAX_TEXT_LENGTH = 2000;
+// Longest answer a pattern is tried against, so matching stays quick
+const MAX_PATTERN_TEXT_LENGTH = 200;
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Kind of an uploaded file judged by its content ('image' or 'pdf'), with the
+// extension to store it under
+const detectFileKind = (buffer) => {
+  const imageType = detectImageType(buffer);
+  if (imageType) return { kind: 'image', extension: imageType === 'jpeg' ? 'jpg' : imageType };
+  if (buffer && buffer.slice(0, 5).toString('latin1') === '%PDF-') return { kind: 'pdf', extension: 'pdf' };
+  return null;
+};
+
+// Uploads for a form are private and kept per event and user, so an answer
+// can only point at the registrant's own files
+const uploadPrefix = (eventId, userId) => `private/registration-forms/${eventId}/${userId}/`;
+
+const uploadKeyPattern = (eventId, userId, field) => {
+  return new RegExp(`^${uploadPrefix(eventId, userId)}${field.key}-\\d+-\\d+\\.(jpg|png|gif|webp|pdf)$`);
+};
+
+// File keys among stored answers
+const answerFileKeys = (responses = []) => {
+  return responses.filter(response => response.value && response.value.fileKey).map(response => response.value.fileKey);
+};
+
+// Delete an uploaded file unless a registration's answers use it
+const removeUnusedFile = async (fileKey) => {
+  if (await Registration.exists({ 'formResponses.value.fileKey': fileKey })) return false;
+  await getStorage().remove(fileKey);
+  return true;
+};
+
+// Check a file uploaded for a form field and store it, replacing the file the
+// registrant uploaded for the field before. Resolves to { fileKey } for the
+// registrant to send as the field's answer, or { message } when the file does
+// not fit the field.
+const storeFormFile = async (event, user, field, file) => {
+  const detected = detectFileKind(file.buffer);
+  const accept = field.accept && field.accept.length > 0 ? field.accept : ['image', 'pdf'];
+  if (!detected || !accept.includes(detected.kind)) {
+    return { message: `${field.label} must be ${accept.map(kind => kind === 'pdf' ? 'a PDF' : 'an image').join(' or ')}` };
+  }
+
+  const maxSizeMb = Math.min(field.maxSizeMb || MAX_FORM_FILE_MB, MAX_FORM_FILE_MB);
+  if (file.size > maxSizeMb * 1024 * 1024) {
+    return { message: `${field.label} can be at most ${maxSizeMb}MB` };
+  }
+
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const fileKey = `${uploadPrefix(event._id, user._id)}${field.key}-${uniqueSuffix}.${detected.extension}`;
+  await getStorage().put(fileKey, file.buffer, { contentType: contentTypeFor(fileKey) });
+
+  const previous = await FormUpload.findOneAndUpdate(
+    { event: event._id, user: user._id, field: field.key },
+    { $set: { fileKey } },
+    { upsert: true }
+  );
+  if (previous) await removeUnusedFile(previous.fileKey);
+
+  return { fileKey };
+};
+
+// Once a registration is saved with its answers, its files are no longer
+// unused uploads. previousResponses are the answers of the cancelled
+// registration it replaced, whose files go unless they are still used.
+const claimFormUploads = async (registration, previousResponses = []) => {
+  const used = answerFileKeys(registration.formResponses);
+  if (used.length > 0) {
+    await FormUpload.deleteMany({ event: registration.event, user: registration.participant, fileKey: { $in: used } });
+  }
+
+  const dropped = answerFileKeys(previousResponses).filter(fileKey => !used.includes(fileKey));
+  await Promise.all(dropped.map(fileKey => getStorage().remove(fileKey)));
+};
+
+// Delete files uploaded before the given date that no registration went on to
+// use. Resolves to the number removed.
+const removeUnusedFormUploads = async (before) => {
+  const uploads = await FormUpload.find({ updatedAt: { $lte: before } });
+  let removed = 0;
+
+  for (const upload of uploads) {
+    if (await removeUnusedFile(upload.fileKey)) removed++;
+    // A newer upload may have replaced it meanwhile
+    await FormUpload.deleteOne({ _id: upload._id, fileKey: upload.fileKey });
+  }
+  return removed;
+};
+
+// Check one answer against its field. Resolves to { value } or { message }.
+const checkAnswer = async (event, user, field, value) => {
+  switch (field.type) {
+    case 'text': {
+      if (typeof value !== 'string' && typeof value !== 'number') return { message: 'must be text' };
+      const text = String(value).trim();
+      const maxLength = Math.min(field.maxLength || MAX_TEXT_LENGTH, field.pattern ? MAX_PATTERN_TEXT_LENGTH : MAX_TEXT_LENGTH);
+      if (field.minLength && text.length < field.minLength) return { message: `must be at least ${field.minLength} characters` };
+      if (text.length > maxLength) return { message: `must be at most ${maxLength} characters` };
+      if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(text)) return { message: 'is not in the expected format' };
+      return { value: text };
+    }
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { message: 'must be a number' };
+      if (field.integer && !Number.isInteger(number)) return { message: 'must be a whole number' };
+      if (typeof field.min === 'number' && number < field.min) return { message: `must be at least ${field.min}` };
+      if (typeof field.max === 'number' && number > field.max) return { message: `must be at most ${field.max}` };
+      return { value: number };
+    }
+    case 'checkbox': {
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') return { message: 'must be true or false' };
+      const checked = value === true || value === 'true';
+      if (field.required && !checked) return { message: 'must be ticked' };
+      return { value: checked };
+    }
+    case 'select': {
+      const choices = field.multiple ? [].concat(value) : [value];
+      if (!field.multiple && Array.isArray(value)) return { message: 'takes a single choice' };
+      if (choices.some(choice => !field.options.includes(choice))) {
+        return { message: `must be ${field.multiple ? 'chosen from' : 'one of'}: ${field.options.join(', ')}` };
+      }
+      return { value: field.multiple ? [...new Set(choices)] : value };
+    }
+    case 'file': {
+      if (typeof value !== 'string' || !uploadKeyPattern(event._id, user._id, field).test(value)) {
+        return { message: 'must be a file uploaded for this field' };
+      }
+      if (!(await getStorage().exists(value))) return { message: 'upload was not found; upload the file again' };
+      return { value: { fileKey: value, contentType: contentTypeFor(value) } };
+    }
+    default:
+      return { message: 'cannot be answered' };
+  }
+};
+
+// Check answers to the event's registration form. answers maps field keys to
+// values. Resolves to { responses } ready to store on the registration, or
+// { problems } ({ code, field, message }) when answers are missing or wrong.
+const checkFormResponses = async (event, user, answers) => {
+  const fields = event.registrationForm || [];
+  const given = answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : {};
+  const responses = [];
+  const problems = [];
+
+  for (const field of fields) {
+    const value = given[field.key];
+    let result;
+    if (isEmpty(value)) {
+      result = field.required ? { message: 'is required' } : null;
+    } else {
+      result = await checkAnswer(event, user, field, value);
+    }
+
+    if (result && result.message) {
+      problems.push({ code: 'form_invalid', field: field.key, message: `${field.label} ${result.message}` });
+    } else if (result) {
+      responses.push({ key: field.key, label: field.label, type: field.type, value: result.value });
+    }
+  }
+
+  return problems.length > 0 ? { problems } : { responses };
+};
+
+// Columns for exporting answers: the form's current fields, then fields that
+// were removed but still have answers
+const formColumns = (event, registrations = []) => {
+  const columns = (event.registrationForm || []).map(field => ({ key: field.key, label: field.label }));
+  for (const registration of registrations) {
+    for (const response of registration.formResponses || []) {
+      if (!columns.some(column => column.key === response.key)) {
+        columns.push({ key: response.key, label: response.label || response.key });
+      }
+    }
+  }
+  return columns;
+};
+
+// An answer as text, for exports. File answers become signed download links.
+const formatAnswer = async (response) => {
+  if (!response) return '';
+  const { value } = response;
+  if (value && value.fileKey) return getFileUrl(value.fileKey);
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return value;
+};
+
+// The answers of a registration in column order, as text
+const formatAnswers = (registration, columns) => {
+  const responses = registration.formResponses || [];
+  return Promise.all(columns.map(column => formatAnswer(responses.find(response => response.key === column.key))));
+};
+
+// Stored answers with download links in place of file keys, for organizers
+const withFileUrls = (responses = []) => {
+  return Promise.all(responses.map(async response => {
+    const answer = typeof response.toObject === 'function' ? response.toObject() : { ...response };
+    if (answer.value && answer.value.fileKey) {
+      answer.value = { ...answer.value, url: await getFileUrl(answer.value.fileKey) };
+    }
+    return answer;
+  }));
+};
+
+// Answer counts per field for analytics: how many answered, choice counts
+// for selects and checkboxes and the range and average of numbers
+const summarizeFormResponses = (event, registrations) => {
+  return (event.registrationForm || []).map(field => {
+    const values = registrations
+      .map(registration => (registration.formResponses || []).find(response => response.key === field.key))
+      .filter(Boolean)
+      .map(response => response.value);
+    const summary = { key: field.key, label: field.label, type: field.type, answered: values.length };
+
+    if (field.type === 'select') {
+      summary.counts = field.options.reduce((counts, option) => {
+        counts[option] = values.filter(value => [].concat(value).includes(option)).length;
+        return counts;
+      }, {});
+    } else if (field.type === 'checkbox') {
+      summary.counts = { yes: values.filter(value => value === true).length, no: values.filter(value => value === false).length };
+    } else if (field.type === 'number') {
+      const numbers = values.filter(value => typeof value === 'number');
+      summary.min = numbers.length > 0 ? Math.min(...numbers) : null;
+      summary.max = numbers.length > 0 ? Math.max(...numbers) : null;
+      summary.average = numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    }
+    return summary;
+  });
+};
+
+module.exports = {
+  FORM_FIELD_TYPES,
+  MAX_FORM_FILE_MB,
+  storeFormFile,
+  claimFormUploads,
+  removeUnusedFormUploads,
+  checkFormResponses,
+  formColumns,
+  formatAnswers,
+  withFileUrls,
+  summarizeFormResponses
+};
@@ -0,0 +1,552 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { hasFreeSeat, withSeatLock, offerFreeSeats, sendWaitlistOffers, processWaitlist } = require('./waitlist');
+const { getPaymentHoldMs, startCheckout, refundRegistration, cancelOpenOrders } = require('./checkout');
+const {
+  notifyRegistrationCreated,
+  notifyRegistrationStatus,
+  notifyCoordinatorApplication,
+  notifyCoordinatorDecision
+} = require('./notifications');
+const { publishRegistration, publishToEvent } = require('./realtime');
+const { canViewEvent, checkEligibility } = require('./eligibility');
+const { resolveInvitation, redeemInvitation, releaseInvitation } = require('./invitations');
+const { leaveTeam } = require('./teams');
+const { checkFormResponses, claimFormUploads } = require('./registrationForms');
+const { createTicketNonce } = require('./tickets');
+
+// Statuses that occupy a seat at the event
+const SEAT_STATUSES = ['pending', 'confirmed'];
+
+// Filter for the registrations holding a seat; coordinator applications share
+// the statuses but never take a seat, nor can they be checked in
+const SEAT_HOLDER_FILTER = { registrationType: { $ne: 'coordinator' }, isActive: true, status: { $in: SEAT_STATUSES } };
+
+// Error carrying the HTTP status a route should answer with
+const registrationError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether the user holds a seat at the event
+const holdsSeat = async (eventId, user) => {
+  if (!user) return false;
+  return Boolean(await Registration.exists({ ...SEAT_HOLDER_FILTER, event: eventId, participant: user._id }));
+};
+
+// Recompute an event's currentParticipants, registrations and attendance
+// counters from the Registration collection (the single source of truth).
+// Coordinators are staff and not counted.
+const syncEventCounters = async (eventId) => {
+  const [counts] = await Registration.aggregate([
+    { $match: { event: new mongoose.Types.ObjectId(eventId.toString()), registrationType: { $ne: 'coordinator' } } },
+    {
+      $group: {
+        _id: null,
+        currentParticipants: {
+          $sum: { $cond: [{ $and: ['$isActive', { $in: ['$status', SEAT_STATUSES] }] }, 1, 0] }
+        },
+        registrations: {
+          $sum: { $cond: [{ $ne: ['$status', 'waitlisted'] }, 1, 0] }
+        },
+        attendance: {
+          $sum: { $cond: ['$attended', 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const counters = {
+    currentParticipants: counts ? counts.currentParticipants : 0,
+    registrations: counts ? counts.registrations : 0,
+    attendance: counts ? counts.attendance : 0
+  };
+
+  // findOneAndUpdate skips the save hook so counters never touch the event status
+  const event = await Event.findOneAndUpdate({ _id: eventId }, { $set: counters }, { new: true })
+    .select('maxParticipants');
+
+  if (event) {
+    publishToEvent(eventId, 'seats', {
+      ...counters,
+      maxParticipants: event.maxParticipants,
+      seatsLeft: event.maxParticipants > 0 ? Math.max(event.maxParticipants - counters.currentParticipants, 0) : null
+    });
+  }
+
+  return counters;
+};
+
+// Give up seats held for payments that were not completed in time
+const releaseExpiredPaymentHolds = async (eventId) => {
+  const expired = await Registration.find({
+    event: eventId,
+    status: 'pending',
+    paymentStatus: 'awaiting_payment',
+    paymentDueAt: { $lte: new Date() },
+    isActive: true
+  }).select('_id');
+
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map(registration => registration._id);
+  await Registration.updateMany(
+    { _id: { $in: ids } },
+    { $set: { status: 'cancelled', isActive: false, paymentStatus: 'expired', coordinatorNotes: 'Payment not completed in time' } }
+  );
+  await cancelOpenOrders(ids, 'expired');
+
+  await syncEventCounters(eventId);
+  await processWaitlist(eventId);
+
+  return ids.length;
+};
+
+// Hold the seat of a registration until it is paid for and open a checkout.
+// Resolves to the order, or null when the provider could not be reached
+// (the buyer can retry the checkout while the hold lasts).
+const holdForPayment = async (registration, event) => {
+  registration.status = 'pending';
+  registration.paymentStatus = 'awaiting_payment';
+  registration.paymentDueAt = new Date(Date.now() + getPaymentHoldMs());
+  await registration.save();
+
+  try {
+    return await startCheckout(registration, event);
+  } catch (error) {
+    console.error('Start checkout error:', error);
+    return null;
+  }
+};
+
+// What a registration starts over with when a cancelled one is reused
+const freshRegistration = () => ({
+  registrationDate: new Date(),
+  waitlistedAt: undefined,
+  offeredAt: undefined,
+  offerExpiresAt: undefined,
+  attended: false,
+  attendanceDate: undefined,
+  checkedInBy: undefined,
+  checkInMethod: undefined,
+  ticketNonce: createTicketNonce(),
+  paymentStatus: 'not_required',
+  paymentDueAt: undefined,
+  order: undefined,
+  invitation: undefined,
+  team: undefined,
+  coordinatorApproval: undefined,
+  formResponses: [],
+  isActive: true
+});
+
+// Register a user for an event, or put them on the waitlist when it is full.
+// Paid events hold the seat until payment succeeds. inviteCode is the
+// invitation the user registers with; team events need the team the user has
+// a place in (see utils/teams); responses are the answers to the event's
+// registration form. Resolves to { registration, waitlisted, order }; rejects
+// with a registrationError.
+const registerForEvent = async (event, user, { inviteCode, team, responses } = {}) => {
+  if (!event || !event.isActive) {
+    throw registrationError(404, 'Event not found or inactive');
+  }
+
+  if (event.teams && event.teams.enabled && !team) {
+    throw registrationError(400, 'This event takes team entries; create or join a team to register');
+  }
+
+  const { invitation, reason } = await resolveInvitation(event._id, inviteCode, user);
+  if (reason) {
+    const error = registrationError(403, reason.message);
+    error.reasons = [reason];
+    throw error;
+  }
+  const invited = Boolean(invitation);
+
+  if (!canViewEvent(event, user, { invited })) {
+    throw registrationError(404, 'Event not found or inactive');
+  }
+
+  if (event.registrationClosed || new Date() > event.registrationDeadline) {
+    throw registrationError(400, 'Registration deadline has passed');
+  }
+
+  // One registration document per user and event; a cancelled one is reused
+  let registration = await Registration.findOne({ event: event._id, participant: user._id });
+  if (registration && registration.status === 'rejected') {
+    throw registrationError(400, 'Your registration for this event was rejected');
+  }
+  if (registration && registration.isActive && registration.status !== 'cancelled') {
+    throw registrationError(400, 'Already registered for this event');
+  }
+
+  const { eligible, reasons } = checkEligibility(event, user, { invited });
+  if (!eligible) {
+    const error = registrationError(403, `Not eligible for this event: ${reasons.map(reason => reason.message).join('; ')}`);
+    error.reasons = reasons;
+    throw error;
+  }
+
+  const { responses: formResponses, problems } = await checkFormResponses(event, user, responses);
+  if (problems) {
+    const error = registrationError(400, `Please fix the registration form: ${problems.map(problem => problem.message).join('; ')}`);
+    error.reasons = problems;
+    throw error;
+  }
+
+  // Unpaid holds that ran out free their seats
+  await releaseExpiredPaymentHolds(event._id);
+  const previousResponses = registration ? registration.formResponses.map(response => response.toObject()) : [];
+
+  // Seats are counted and taken one registration at a time per event, and
+  // people already waiting get freed seats first
+  let offers = [];
+  let seatAvailable;
+  try {
+    seatAvailable = await withSeatLock(event._id, async () => {
+      offers = await offerFreeSeats(event);
+      const free = await hasFreeSeat(event);
+
+      // Team members cannot wait for seats one by one
+      if (!free && (!event.waitlistEnabled || team)) {
+        throw registrationError(400, 'Event is full');
+      }
+
+      // Another request from the same user may have registered since the checks above
+      if (registration && await Registration.exists({ _id: registration._id, isActive: true, status: { $ne: 'cancelled' } })) {
+        throw registrationError(400, 'Already registered for this event');
+      }
+      if (!registration) {
+        registration = new Registration({ event: event._id, participant: user._id });
+      }
+
+      registration.set({
+        ...freshRegistration(),
+        registrationType: 'participant',
+        status: free ? 'pending' : 'waitlisted',
+        waitlistedAt: free ? undefined : new Date(),
+        invitation: invitation ? invitation._id : undefined,
+        team: team ? team._id : undefined,
+        formResponses
+      });
+
+      const reusingInvitation = invited && invitation.hasRedeemed(user);
+      if (invited && !(await redeemInvitation(invitation, user, registration))) {
+        throw registrationError(403, 'This invitation is no longer valid');
+      }
+      try {
+        await registration.save();
+      } catch (error) {
+        if (invited && !reusingInvitation) await releaseInvitation(invitation, user);
+        // The unique (event, participant) index turned away a parallel registration
+        if (error.code === 11000) throw registrationError(400, 'Already registered for this event');
+        throw error;
+      }
+      return free;
+    });
+  } finally {
+    // Offers made along the way go out even when this registration fails
+    await sendWaitlistOffers(offers, event);
+  }
+  await claimFormUploads(registration, previousResponses);
+
+  const order = seatAvailable && event.requiresPayment
+    ? await holdForPayment(registration, event)
+    : null;
+
+  await syncEventCounters(event._id);
+  publishRegistration('registration', registration, 'created');
+  await notifyRegistrationCreated(registration, event, user);
+
+  return { registration, waitlisted: !seatAvailable, order };
+};
+
+// Take up a seat offered from the waitlist. Paid events hold the seat until
+// payment succeeds. Resolves to { registration, order }.
+const acceptWaitlistOffer = async (registration) => {
+  if (!registration.isActive || !registration.hasActiveOffer()) {
+    throw registrationError(400, 'There is no open seat offer for this registration');
+  }
+
+  const event = await Event.findById(registration.event._id || registration.event);
+  if (!event) {
+    throw registrationError(404, 'Event not found');
+  }
+
+  registration.status = 'pending';
+  registration.offeredAt = undefined;
+  registration.offerExpiresAt = undefined;
+  await registration.save();
+
+  const order = event.requiresPayment ? await holdForPayment(registration, event) : null;
+
+  await syncEventCounters(event._id);
+  publishRegistration('registration', registration, 'offer_accepted');
+  await notifyRegistrationStatus(registration);
+
+  return { registration, order };
+};
+
+// Set and save an organizer's status decision, refunding rejections and cancellations
+const saveRegistrationStatus = async (registration, status, notes) => {
+  const oldStatus = registration.status;
+  registration.status = status;
+  if (notes) registration.coordinatorNotes = notes;
+
+  // Organizer rejections and cancellations are always refunded in full
+  if (['rejected', 'cancelled'].includes(status) && oldStatus !== status) {
+    await refundRegistration(registration, `Registration ${status} by the organizer`);
+    await cancelOpenOrders([registration._id]);
+  }
+
+  // Leaving the waitlist withdraws any pending seat offer
+  if (oldStatus === 'waitlisted' && status !== 'waitlisted') {
+    registration.offeredAt = undefined;
+    registration.offerExpiresAt = undefined;
+  }
+
+  await registration.save();
+};
+
+// Move a registration to a new status (organizer decision). A registration
+// that held no seat only gets one that is still free once the people ahead of
+// it on the waitlist were offered theirs, counted under the event's seat
+// lock; registrations the participant cancelled stay cancelled.
+const updateRegistrationStatus = async (registration, status, notes) => {
+  const oldStatus = registration.status;
+  const eventId = registration.event._id || registration.event;
+  const takesSeat = SEAT_STATUSES.includes(status) &&
+    !SEAT_STATUSES.includes(oldStatus) && !registration.hasActiveOffer();
+
+  // Unpaid seats are confirmed by the payment, and released when it never comes
+  if (status === 'confirmed' && registration.paymentStatus === 'awaiting_payment') {
+    throw registrationError(400, 'Payment for this registration has not been completed');
+  }
+
+  if (takesSeat) {
+    if (!registration.isActive) {
+      throw registrationError(400, 'This registration was cancelled by the participant; they can register again');
+    }
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw registrationError(404, 'Event not found');
+    }
+    const isThisRegistration = offer => offer._id.equals(registration._id);
+    let offers = [];
+    try {
+      await withSeatLock(eventId, async () => {
+        offers = await offerFreeSeats(event);
+        const offer = offers.find(isThisRegistration);
+        if (offer) {
+          // Next in line anyway: the offer just made is withdrawn on saving
+          registration.set({ offeredAt: offer.offeredAt, offerExpiresAt: offer.offerExpiresAt });
+        } else if (!(await hasFreeSeat(event))) {
+          throw registrationError(400, 'Event is full');
+        }
+        await saveRegistrationStatus(registration, status, notes);
+      });
+    } finally {
+      await sendWaitlistOffers(offers.filter(offer => !isThisRegistration(offer)), event);
+    }
+  } else {
+    await saveRegistrationStatus(registration, status, notes);
+  }
+
+  if (oldStatus !== status) {
+    await syncEventCounters(eventId);
+    publishRegistration('registration', registration, 'status_changed');
+    await notifyRegistrationStatus(registration, notes);
+
+    // A rejected or cancelled registration frees a seat for the waitlist and leaves its team
+    if (['rejected', 'cancelled'].includes(status)) {
+      if (registration.team) await leaveTeam(registration.team, registration.participant._id || registration.participant);
+      await processWaitlist(eventId);
+    }
+  }
+
+  return registration;
+};
+
+// Cancel a registration on behalf of the participant. Payments are refunded
+// when the cancellation happens before the registration deadline.
+const cancelRegistration = async (registration, notes) => {
+  const heldSeat = SEAT_STATUSES.includes(registration.status) || registration.hasActiveOffer();
+
+  if (registration.paymentStatus === 'paid') {
+    const event = registration.event.registrationDeadline
+      ? registration.event
+      : await Event.findById(registration.event).select('registrationDeadline');
+    if (event && new Date() < event.registrationDeadline) {
+      await refundRegistration(registration, 'Cancelled before the registration deadline');
+    }
+  }
+  await cancelOpenOrders([registration._id]);
+
+  registration.status = 'cancelled';
+  registration.isActive = false;
+  if (notes) registration.coordinatorNotes = notes;
+  // Coordinators who step down lose their powers with the registration
+  const coordinating = registration.coordinatorApproval && ['pending', 'approved'].includes(registration.coordinatorApproval.status);
+  if (coordinating) registration.coordinatorApproval.status = 'withdrawn';
+  await registration.save();
+
+  const eventId = registration.event._id || registration.event;
+  if (coordinating) {
+    await Event.updateOne({ _id: eventId }, { $pull: { moderators: registration.participant._id || registration.participant } });
+  }
+  await syncEventCounters(eventId);
+  publishRegistration('registration', registration, 'cancelled');
+
+  if (registration.team) {
+    await leaveTeam(registration.team, registration.participant._id || registration.participant);
+  }
+
+  if (heldSeat) {
+    await processWaitlist(eventId);
+  }
+
+  return registration;
+};
+
+// Apply to coordinate an event. Applications hold no seat and wait for an
+// organizer's decision (decideCoordinatorApplication). Resolves to the
+// registration; rejects with a registrationError.
+const applyAsCoordinator = async (event, user, reason) => {
+  if (!event || !event.isActive || !canViewEvent(event, user)) {
+    throw registrationError(404, 'Event not found or inactive');
+  }
+  if (event.endsAt && new Date() > event.endsAt) {
+    throw registrationError(400, 'This event has already ended');
+  }
+  if (event.isStaff(user)) {
+    throw registrationError(400, 'You already help run this event');
+  }
+
+  // One registration document per user and event; a cancelled one is reused
+  let registration = await Registration.findOne({ event: event._id, participant: user._id });
+  if (registration && registration.status === 'rejected') {
+    throw registrationError(400, registration.registrationType === 'coordinator'
+      ? 'Your application to coordinate this event was rejected'
+      : 'Your registration for this event was rejected');
+  }
+  if (registration && registration.isActive && registration.status !== 'cancelled') {
+    throw registrationError(400, 'Already registered for this event; cancel the registration to apply as a coordinator');
+  }
+
+  const previousResponses = registration ? registration.formResponses.map(response => response.toObject()) : [];
+  if (!registration) {
+    registration = new Registration({ event: event._id, participant: user._id });
+  }
+  registration.set({
+    ...freshRegistration(),
+    registrationType: 'coordinator',
+    status: 'pending',
+    coordinatorApproval: { status: 'pending', reason }
+  });
+  try {
+    await registration.save();
+  } catch (error) {
+    if (error.code === 11000) throw registrationError(400, 'Already registered for this event');
+    throw error;
+  }
+  await claimFormUploads(registration, previousResponses);
+
+  publishRegistration('registration', registration, 'created');
+  await notifyCoordinatorApplication(registration, event, user);
+
+  return registration;
+};
+
+// Which application statuses each decision can be taken from
+const coordinatorDecisions = {
+  approved: { from: ['pending'], status: 'confirmed' },
+  rejected: { from: ['pending'], status: 'rejected' },
+  revoked: { from: ['approved'], status: 'cancelled' }
+};
+
+// Approve or reject a coordinator application, or revoke an approval.
+// Approved coordinators are added to the event's moderators; rejection and
+// revocation take them off. Resolves to the registration.
+const decideCoordinatorApplication = async (registration, decision, { decidedBy, reason } = {}) => {
+  const approval = registration.coordinatorApproval;
+  if (registration.registrationType !== 'coordinator' || !approval || !approval.status) {
+    throw registrationError(400, 'This registration is not a coordinator application');
+  }
+
+  const { from, status } = coordinatorDecisions[decision];
+  if (!from.includes(approval.status)) {
+    throw registrationError(400, decision === 'revoked'
+      ? 'Only approved coordinators can be revoked'
+      : `This application was already ${approval.status}`);
+  }
+
+  registration.set({
+    'coordinatorApproval.status': decision,
+    'coordinatorApproval.decidedBy': decidedBy,
+    'coordinatorApproval.decidedAt': new Date(),
+    'coordinatorApproval.decisionReason': reason,
+    status
+  });
+  if (decision === 'revoked') registration.isActive = false;
+  await registration.save();
+
+  const eventId = registration.event._id || registration.event;
+  const userId = registration.participant._id || registration.participant;
+  await Event.updateOne(
+    { _id: eventId },
+    decision === 'approved' ? { $addToSet: { moderators: userId } } : { $pull: { moderators: userId } }
+  );
+
+  publishRegistration('registration', registration, 'status_changed');
+  await notifyCoordinatorDecision(registration);
+
+  return registration;
+};
+
+// Mark a registered user as attended (attending also confirms the registration)
+const markAttendance = async (event, userId, markedBy) => {
+  const registration = await Registration.findOne({ ...SEAT_HOLDER_FILTER, event: event._id, participant: userId });
+
+  if (!registration) {
+    throw registrationError(400, 'User is not registered for this event');
+  }
+
+  if (registration.attended) {
+    throw registrationError(400, 'Attendance already marked for this user');
+  }
+
+  // Checking in must not confirm a seat that was never paid for
+  if (registration.paymentStatus === 'awaiting_payment') {
+    throw registrationError(400, 'Payment for this registration has not been completed');
+  }
+
+  registration.attended = true;
+  registration.attendanceDate = new Date();
+  registration.checkedInBy = markedBy;
+  registration.checkInMethod = 'manual';
+  registration.status = 'confirmed';
+  await registration.save();
+
+  await syncEventCounters(event._id);
+  publishRegistration('checkin', registration, 'checked_in');
+
+  return registration;
+};
+
+module.exports = {
+  holdsSeat,
+  SEAT_STATUSES,
+  SEAT_HOLDER_FILTER,
+  registrationError,
+  syncEventCounters,
+  releaseExpiredPaymentHolds,
+  registerForEvent,
+  acceptWaitlistOffer,
+  updateRegistrationStatus,
+  cancelRegistration,
+  applyAsCoordinator,
+  decideCoordinatorApplication,
+  markAttendance
+};
@@ -0,0 +1,71 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+// Identifies this process as a lock owner
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const jobs = new Map();
+const timers = [];
+
+// Register a job: { name, intervalMs, handler, lockTtlMs }. The lock lasts
+// lockTtlMs (default 5 minutes) so a crashed run frees the job eventually.
+const registerJob = ({ name, intervalMs, handler, lockTtlMs = 5 * 60 * 1000 }) => {
+  jobs.set(name, { name, intervalMs, handler, lockTtlMs, running: false });
+};
+
+// Run a job once if no other instance is running it. Resolves to
+// { ran, result } (ran is false when the lock was held elsewhere).
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Skip overlapping runs inside this process too
+  if (job.running) return { ran: false };
+
+  job.running = true;
+  try {
+    if (!(await JobLock.acquire(name, instanceId, job.lockTtlMs))) {
+      return { ran: false };
+    }
+
+    try {
+      const result = await job.handler();
+      await JobLock.release(name, instanceId, { result });
+      return { ran: true, result };
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      await JobLock.release(name, instanceId, { error });
+      return { ran: true, error };
+    }
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start running every registered job on its interval
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    const tick = () => runJob(job.name).catch(error => console.error(`Job ${job.name} error:`, error));
+    const timer = setInterval(tick, job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  }
+  console.log(`Scheduler started with ${jobs.size} jobs (${instanceId})`);
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+const getJobNames = () => [...jobs.keys()];
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  getJobNames
+};
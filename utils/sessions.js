@@ -0,0 +1,410 @@
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const Registration = require('../models/Registration');
+const { normalizeRecurrence, expandRecurrence, MAX_OCCURRENCES } = require('./recurrence');
+const { toCalendarDay, scheduleInstants } = require('./timezones');
+const { SEAT_HOLDER_FILTER, registrationError, syncEventCounters } = require('./registrations');
+const { notifyEventUpdated } = require('./notifications');
+const { publishRegistration, publishToEvent } = require('./realtime');
+const { checkSessionBookings, withVenueLock } = require('./venues');
+
+// Session fields organizers can set
+const SESSION_FIELDS = ['title', 'startDate', 'endDate', 'startTime', 'endTime', 'venue'];
+
+const pick = (data, fields) => {
+  return fields.reduce((picked, field) => {
+    if (data[field] !== undefined) picked[field] = data[field];
+    return picked;
+  }, {});
+};
+
+const formatSessionDate = (session) => `${new Date(session.startDate).toUTCString()} (${session.startTime})`;
+
+// Check a session before it is saved and set its start and end instants in
+// the event's timezone; rejects with a 400 registrationError
+const checkSession = (session, timezone) => {
+  const error = session.validateSync();
+  if (error) {
+    throw registrationError(400, Object.values(error.errors)[0].message);
+  }
+
+  const { startsAt, endsAt } = scheduleInstants(session, timezone);
+  if (!startsAt || !endsAt) {
+    throw registrationError(400, 'Session times must be times such as 14:30 or 2:30 PM');
+  }
+  if (endsAt <= startsAt) {
+    throw registrationError(400, 'Session must end after it starts');
+  }
+  session.startsAt = startsAt;
+  session.endsAt = endsAt;
+};
+
+// Latest end of a list of sessions
+const latestEnd = (sessions) => new Date(Math.max(...sessions.map(session => session.endsAt.getTime())));
+
+// Sessions of a new series event, from a recurrence rule (repeating the
+// event's first start/end) or an explicit list. Sets the series fields and
+// overall dates on the (unsaved) event; the sessions still need inserting.
+const planSeries = (event, { recurrence, sessions } = {}) => {
+  if (!recurrence && !sessions) return [];
+  if (recurrence && sessions) {
+    throw registrationError(400, 'Give either a recurrence rule or a list of sessions, not both');
+  }
+
+  let planned;
+  if (recurrence) {
+    const rule = normalizeRecurrence(recurrence);
+    const duration = event.endDate - event.startDate;
+    planned = expandRecurrence(rule, event.startDate).map(startDate => new EventSession({
+      event: event._id,
+      startDate,
+      endDate: new Date(startDate.getTime() + duration),
+      startTime: event.startTime,
+      endTime: event.endTime,
+      originalStartDate: startDate
+    }));
+    event.recurrence = rule;
+  } else {
+    if (sessions.length > MAX_OCCURRENCES) {
+      throw registrationError(400, `An event can have at most ${MAX_OCCURRENCES} sessions`);
+    }
+    planned = sessions.map(data => new EventSession({ ...pick(data, SESSION_FIELDS), event: event._id }));
+  }
+
+  if (planned.length === 0) {
+    throw registrationError(400, 'The recurrence rule does not produce any sessions');
+  }
+  planned.forEach(session => checkSession(session, event.timezone));
+  planned.sort((a, b) => a.startsAt - b.startsAt);
+
+  const last = planned.reduce((latest, session) => (session.endsAt > latest.endsAt ? session : latest));
+  event.isSeries = true;
+  event.startDate = planned[0].startDate;
+  event.endDate = last.endDate;
+  event.startTime = planned[0].startTime;
+  event.endTime = last.endTime;
+  event.startsAt = planned[0].startsAt;
+  event.endsAt = last.endsAt;
+
+  return planned;
+};
+
+// Keep a series event's dates spanning its scheduled sessions. Reminders
+// start over when the first session moves.
+const syncSeriesDates = async (eventId) => {
+  const sessions = await EventSession.find({ event: eventId, status: 'scheduled' }).sort({ startsAt: 1 });
+  if (sessions.length === 0) return null;
+
+  const event = await Event.findById(eventId).select('startsAt');
+  const first = sessions[0];
+  const last = sessions.reduce((latest, session) => (session.endsAt > latest.endsAt ? session : latest));
+  const updates = {
+    startDate: first.startDate,
+    endDate: last.endDate,
+    startTime: first.startTime,
+    endTime: last.endTime,
+    startsAt: first.startsAt,
+    endsAt: last.endsAt
+  };
+  if (event && (!event.startsAt || event.startsAt.getTime() !== first.startsAt.getTime())) {
+    updates.remindersSent = [];
+    updates.reminderSent = false;
+  }
+
+  // updateOne skips the save hook so the status is left to the scheduler
+  await Event.updateOne({ _id: eventId }, { $set: updates });
+  return updates;
+};
+
+// Tell registered participants and live followers that sessions changed
+const announceSessionChanges = async (eventId, changes) => {
+  if (changes.length === 0) return;
+  const event = await Event.findById(eventId);
+  if (!event || !event.isActive) return;
+
+  publishToEvent(event._id, 'event', { action: 'updated', fields: ['Sessions'] });
+  await notifyEventUpdated(event, changes);
+};
+
+// Sessions of the given events, keyed by event ID and sorted by start
+const findSessionsByEvent = async (eventIds) => {
+  const sessions = await EventSession.find({ event: { $in: eventIds } }).sort({ startsAt: 1 });
+  const byEvent = new Map();
+  for (const session of sessions) {
+    const key = session.event.toString();
+    if (!byEvent.has(key)) byEvent.set(key, []);
+    byEvent.get(key).push(session);
+  }
+  return byEvent;
+};
+
+// Add a session to an event. A single event becomes a series whose first
+// session is its current slot.
+const addSession = async (event, data) => {
+  const created = [];
+
+  if (!event.isSeries) {
+    created.push(new EventSession({
+      event: event._id,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      startTime: event.startTime,
+      endTime: event.endTime
+    }));
+  }
+
+  const session = new EventSession({ ...pick(data, SESSION_FIELDS), event: event._id });
+  created.push(session);
+  created.forEach(entry => checkSession(entry, event.timezone));
+
+  if (await EventSession.countDocuments({ event: event._id }) + created.length > MAX_OCCURRENCES) {
+    throw registrationError(400, `An event can have at most ${MAX_OCCURRENCES} sessions`);
+  }
+
+  // The series' dates are part of its booking, so they are synced under the lock too
+  await withVenueLock(event.bookedVenue, async () => {
+    await checkSessionBookings(event, created);
+    await EventSession.insertMany(created);
+    if (!event.isSeries) {
+      await Event.updateOne({ _id: event._id }, { $set: { isSeries: true } });
+    }
+    await syncSeriesDates(event._id);
+  });
+  await announceSessionChanges(event._id, [{ label: 'New session', from: '', to: formatSessionDate(session) }]);
+
+  return session;
+};
+
+// Edit one session ('this') or it and every later scheduled session
+// ('following'). With 'following', a new start date shifts each session by the
+// same amount and a new end date changes each session's length the same way.
+const updateSessions = async (session, data, scope = 'this') => {
+  const updates = pick(data, SESSION_FIELDS);
+  const before = formatSessionDate(session);
+  const event = await Event.findById(session.event).select('timezone bookedVenue venue');
+  const { timezone } = event;
+
+  if (scope === 'this') {
+    session.set(updates);
+    session.isException = true;
+    session.calendarSequence += 1;
+    checkSession(session, timezone);
+    await withVenueLock(event.bookedVenue, async () => {
+      await checkSessionBookings(event, [session]);
+      await session.save();
+      await syncSeriesDates(session.event);
+    });
+
+    await announceSessionChanges(session.event, [{ label: 'Session', from: before, to: formatSessionDate(session) }]);
+    return [session];
+  }
+
+  const targets = await EventSession.find({
+    event: session.event,
+    status: 'scheduled',
+    startsAt: { $gte: session.startsAt }
+  }).sort({ startsAt: 1 });
+
+  // Whole days, so each session keeps its wall-clock time across daylight saving changes
+  const newStart = updates.startDate ? toCalendarDay(updates.startDate) : session.startDate;
+  const newEnd = updates.endDate ? toCalendarDay(updates.endDate) : new Date(newStart.getTime() + (session.endDate - session.startDate));
+  const shift = newStart - session.startDate;
+  const lengthChange = (newEnd - newStart) - (session.endDate - session.startDate);
+  const shared = pick(updates, ['title', 'startTime', 'endTime', 'venue']);
+
+  for (const target of targets) {
+    target.set({
+      ...shared,
+      startDate: new Date(target.startDate.getTime() + shift),
+      endDate: new Date(target.endDate.getTime() + shift + lengthChange)
+    });
+    target.calendarSequence += 1;
+    checkSession(target, timezone);
+  }
+  await withVenueLock(event.bookedVenue, async () => {
+    await checkSessionBookings(event, targets);
+    await Promise.all(targets.map(target => target.save()));
+    await syncSeriesDates(session.event);
+  });
+
+  await announceSessionChanges(session.event, [{
+    label: `Sessions from ${before}`,
+    from: before,
+    to: targets.length > 0 ? formatSessionDate(targets[0]) : ''
+  }]);
+  return targets;
+};
+
+// Cancel one session ('this') or it and every later scheduled session ('following')
+const cancelSessions = async (session, scope = 'this') => {
+  const filter = scope === 'this'
+    ? { _id: session._id, status: 'scheduled' }
+    : { event: session.event, status: 'scheduled', startsAt: { $gte: session.startsAt } };
+
+  const cancelled = await EventSession.find(filter).sort({ startsAt: 1 });
+  if (cancelled.length === 0) {
+    throw registrationError(400, 'Session is already cancelled');
+  }
+
+  await EventSession.updateMany(
+    { _id: { $in: cancelled.map(target => target._id) } },
+    { $set: { status: 'cancelled' }, $inc: { calendarSequence: 1 } }
+  );
+
+  await syncSeriesDates(session.event);
+  await announceSessionChanges(session.event, cancelled.map(target => ({
+    label: 'Cancelled session',
+    from: formatSessionDate(target),
+    to: 'cancelled'
+  })));
+  return cancelled;
+};
+
+// Work the sessions' start and end instants out again after the event's
+// timezone changed; the wall-clock times stay as entered
+const applySeriesTimezone = async (event) => {
+  const sessions = await EventSession.find({ event: event._id });
+  for (const session of sessions) {
+    checkSession(session, event.timezone);
+    session.calendarSequence += 1;
+  }
+  await Promise.all(sessions.map(session => session.save()));
+
+  return syncSeriesDates(event._id);
+};
+
+// Replace the recurrence rule for the future: upcoming sessions the new rule
+// no longer produces are removed (or cancelled once attendance was taken),
+// missing ones are added. Past sessions and individually edited ones stay.
+// startDate (optional) is the first occurrence of the new rule.
+const replaceRecurrence = async (event, recurrence, { startDate } = {}) => {
+  const rule = normalizeRecurrence(recurrence);
+  const now = new Date();
+
+  const sessions = await EventSession.find({ event: event._id }).sort({ startsAt: 1 });
+  const template = sessions.find(session => session.status === 'scheduled' && session.startsAt > now) ||
+    sessions[sessions.length - 1] ||
+    event;
+  const anchor = startDate
+    ? toCalendarDay(startDate)
+    : (sessions.find(session => session.originalStartDate) || {}).originalStartDate || event.startDate;
+  const duration = template.endDate - template.startDate;
+
+  // Occurrences of the new rule that have not started yet
+  const occurrences = expandRecurrence(rule, anchor).map(date => new EventSession({
+    event: event._id,
+    startDate: date,
+    endDate: new Date(date.getTime() + duration),
+    startTime: template.startTime,
+    endTime: template.endTime,
+    originalStartDate: date
+  }));
+  occurrences.forEach(occurrence => checkSession(occurrence, event.timezone));
+  const upcoming = occurrences.filter(occurrence => occurrence.startsAt > now);
+  const wanted = new Set(upcoming.map(occurrence => occurrence.originalStartDate.getTime()));
+
+  // Upcoming generated sessions that the new rule drops
+  const dropped = sessions.filter(session =>
+    session.originalStartDate &&
+    !session.isException &&
+    session.startsAt > now &&
+    !wanted.has(session.originalStartDate.getTime())
+  );
+  const attendedIds = dropped.length > 0
+    ? (await Registration.distinct('sessionAttendance.session', {
+      'sessionAttendance.session': { $in: dropped.map(session => session._id) }
+    })).map(id => id.toString())
+    : [];
+  const toCancel = dropped.filter(session => attendedIds.includes(session._id.toString()));
+  const toDelete = dropped.filter(session => !attendedIds.includes(session._id.toString()));
+
+  const existing = new Set(sessions
+    .filter(session => session.originalStartDate)
+    .map(session => session.originalStartDate.getTime()));
+  const added = upcoming.filter(occurrence => !existing.has(occurrence.originalStartDate.getTime()));
+
+  if (sessions.length - toDelete.length + added.length > MAX_OCCURRENCES) {
+    throw registrationError(400, `An event can have at most ${MAX_OCCURRENCES} sessions`);
+  }
+  if (sessions.length - dropped.length + added.length === 0) {
+    throw registrationError(400, 'The recurrence rule does not produce any sessions');
+  }
+
+  await withVenueLock(event.bookedVenue, async () => {
+    await checkSessionBookings(event, added);
+    await EventSession.deleteMany({ _id: { $in: toDelete.map(session => session._id) } });
+    await EventSession.updateMany(
+      { _id: { $in: toCancel.map(session => session._id) } },
+      { $set: { status: 'cancelled' }, $inc: { calendarSequence: 1 } }
+    );
+    await EventSession.insertMany(added);
+    await Event.updateOne({ _id: event._id }, { $set: { recurrence: rule, isSeries: true } });
+    await syncSeriesDates(event._id);
+  });
+
+  await announceSessionChanges(event._id, [
+    ...dropped.map(session => ({ label: 'Cancelled session', from: formatSessionDate(session), to: 'cancelled' })),
+    ...added.map(session => ({ label: 'New session', from: '', to: formatSessionDate(session) }))
+  ]);
+
+  return { added: added.length, removed: toDelete.length, cancelled: toCancel.length };
+};
+
+// Record that a registered user attended one session of a series. The first
+// session attended also marks the registration as attended.
+const markSessionAttendance = async (event, sessionId, userId, markedBy) => {
+  const session = await EventSession.findOne({ _id: sessionId, event: event._id });
+  if (!session) {
+    throw registrationError(404, 'Session not found');
+  }
+  if (session.status === 'cancelled') {
+    throw registrationError(400, 'Session was cancelled');
+  }
+
+  const seatFilter = { ...SEAT_HOLDER_FILTER, event: event._id, participant: userId };
+
+  // Atomic so the same attendance cannot be recorded twice, and never for a
+  // seat that is still waiting for its payment
+  const registration = await Registration.findOneAndUpdate(
+    { ...seatFilter, paymentStatus: { $ne: 'awaiting_payment' }, 'sessionAttendance.session': { $ne: session._id } },
+    { $push: { sessionAttendance: { session: session._id, attendedAt: new Date(), checkedInBy: markedBy } } },
+    { new: true }
+  );
+
+  if (!registration) {
+    const existing = await Registration.findOne(seatFilter).select('paymentStatus');
+    if (existing && existing.paymentStatus === 'awaiting_payment') {
+      throw registrationError(400, 'Payment for this registration has not been completed');
+    }
+    if (existing) {
+      throw registrationError(400, 'Attendance already marked for this user at this session');
+    }
+    throw registrationError(400, 'User is not registered for this event');
+  }
+
+  if (!registration.attended) {
+    registration.attended = true;
+    registration.attendanceDate = new Date();
+    registration.checkedInBy = markedBy;
+    registration.checkInMethod = 'manual';
+    registration.status = 'confirmed';
+    await registration.save();
+  }
+
+  await syncEventCounters(event._id);
+  publishRegistration('checkin', registration, 'checked_in', { session: session._id });
+
+  return registration;
+};
+
+module.exports = {
+  planSeries,
+  syncSeriesDates,
+  findSessionsByEvent,
+  addSession,
+  updateSessions,
+  cancelSessions,
+  applySeriesTimezone,
+  replaceRecurrence,
+  markSessionAttendance
+};
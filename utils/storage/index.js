@@ -0,0 +1,58 @@
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Storage drivers, selected with STORAGE_DRIVER (local or s3)
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const contentTypes = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+// Guess a content type from a storage key
+const contentTypeFor = (key) => {
+  return contentTypes[path.extname(key).toLowerCase()] || 'application/octet-stream';
+};
+
+// Create a new driver instance
+const createStorage = (name, options) => {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return factory(options);
+};
+
+const instances = {};
+
+// Get the shared instance of a driver (defaults to the configured one)
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+  if (!instances[name]) {
+    instances[name] = createStorage(name);
+  }
+  return instances[name];
+};
+
+// URL for a stored file: public files get their permanent URL, private
+// files ("private/..." keys) a signed URL that expires
+const getFileUrl = async (key, expiresInSeconds = 3600) => {
+  const storage = getStorage();
+  return key.startsWith('private/')
+    ? storage.getSignedUrl(key, expiresInSeconds)
+    : storage.getUrl(key);
+};
+
+module.exports = {
+  contentTypeFor,
+  createStorage,
+  getStorage,
+  getFileUrl
+};
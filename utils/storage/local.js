@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+
+// Resolve the public and private storage directories (relative paths are
+// resolved against the project root, not the process CWD)
+const resolveRoots = (options = {}) => ({
+  publicRoot: path.resolve(PROJECT_ROOT, options.root || process.env.UPLOAD_DIR || 'uploads'),
+  privateRoot: path.resolve(PROJECT_ROOT, options.privateRoot || process.env.PRIVATE_UPLOAD_DIR || 'uploads-private')
+});
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+};
+
+// Local disk driver. Keys under "private/" are kept outside the static
+// /uploads directory and can only be fetched through signed URLs.
+const createLocalStorage = (options = {}) => {
+  const { publicRoot, privateRoot } = resolveRoots(options);
+  const publicUrl = (options.publicUrl || process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+  const signedUrlBase = (options.signedUrlBase || '/api/files').replace(/\/$/, '');
+
+  // Absolute path of a key, refusing keys that escape the storage root
+  const resolvePath = (key) => {
+    const isPrivate = key.startsWith('private/');
+    const root = isPrivate ? privateRoot : publicRoot;
+    const filePath = path.resolve(root, isPrivate ? key.slice('private/'.length) : key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    publicRoot,
+    resolvePath,
+
+    put: async (key, body) => {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    get: (key) => fs.promises.readFile(resolvePath(key)),
+
+    exists: async (key) => {
+      try {
+        await fs.promises.access(resolvePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl: (key) => {
+      if (key.startsWith('private/')) {
+        throw new Error('Private files are only available through signed URLs');
+      }
+      return `${publicUrl}/${key}`;
+    },
+
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(publicUrl + '/')) return null;
+      const key = path.posix.normalize(url.slice(publicUrl.length + 1));
+      return key.startsWith('..') || key.startsWith('private/') ? null : key;
+    },
+
+    getSignedUrl: async (key, expiresInSeconds = 3600) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      return `${signedUrlBase}/${key.split('/').map(encodeURIComponent).join('/')}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    verifySignature: (key, expires, signature) => {
+      if (!expires || !signature || parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+};
+
+module.exports = {
+  resolveRoots,
+  createLocalStorage
+};
@@ -0,0 +1,97 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// S3-compatible driver (AWS S3, MinIO, ...). Keys under "private/" must be
+// kept non-public by the bucket policy and are served through presigned URLs.
+const createS3Storage = (options = {}) => {
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const endpoint = options.endpoint || process.env.S3_ENDPOINT;
+  const forcePathStyle = options.forcePathStyle !== undefined
+    ? options.forcePathStyle
+    : process.env.S3_FORCE_PATH_STYLE === 'true' || !!endpoint;
+  const region = options.region || process.env.S3_REGION || 'us-east-1';
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  // Base URL for public objects: explicit setting, path-style endpoint or the AWS default
+  const publicUrl = (
+    options.publicUrl ||
+    process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    get: async (key) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl: (key) => {
+      if (key.startsWith('private/')) {
+        throw new Error('Private files are only available through signed URLs');
+      }
+      return `${publicUrl}/${key}`;
+    },
+
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(publicUrl + '/')) return null;
+      const key = decodeURIComponent(url.slice(publicUrl.length + 1));
+      return key.split('/').includes('..') || key.startsWith('private/') ? null : key;
+    },
+
+    getSignedUrl: (key, expiresInSeconds = 3600) => {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: expiresInSeconds });
+    }
+  };
+};
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,159 @@
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const { generateCode } = require('./tokens');
+const { toCsv } = require('./csv');
+
+// Teams still taking part; the rest are kept for the record
+const ACTIVE_TEAM_STATUSES = ['forming', 'pending', 'confirmed'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether another active team at the event already uses the name (any case)
+const isTeamNameTaken = async (eventId, name, { excludeTeam } = {}) => {
+  const filter = {
+    event: eventId,
+    status: { $in: ACTIVE_TEAM_STATUSES },
+    name: new RegExp(`^${escapeRegExp(name.trim())}$`, 'i')
+  };
+  if (excludeTeam) filter._id = { $ne: excludeTeam };
+  return Boolean(await Team.exists(filter));
+};
+
+// Create a team with its captain as first member and a fresh join code
+const createTeam = async (event, captain, name) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await Team.create({
+        event: event._id,
+        name,
+        captain: captain._id,
+        members: [{ user: captain._id }],
+        joinCode: generateCode(8)
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+};
+
+// Take a place in the team for the user. Places are claimed atomically so a
+// team never grows past maxSize; resolves to false when it is full, no longer
+// active or already has the user.
+const claimTeamSpot = async (team, user, maxSize) => {
+  const claimed = await Team.findOneAndUpdate(
+    {
+      _id: team._id,
+      status: { $in: ACTIVE_TEAM_STATUSES },
+      'members.user': { $ne: user._id },
+      $expr: { $lt: [{ $size: '$members' }, maxSize] }
+    },
+    { $push: { members: { user: user._id, joinedAt: new Date() } } },
+    { new: true }
+  );
+  return Boolean(claimed);
+};
+
+// Give back a place claimed for a registration that failed
+const releaseTeamSpot = (team, user) => {
+  return Team.updateOne({ _id: team._id }, { $pull: { members: { user: user._id } } });
+};
+
+// Move a team between forming and pending as it crosses the event's minimum
+// size. Organizer decisions (confirmed, rejected) are left alone.
+const syncTeamStatus = async (teamOrId) => {
+  const team = teamOrId.members ? teamOrId : await Team.findById(teamOrId);
+  if (!team || !['forming', 'pending'].includes(team.status)) return team;
+
+  const event = await Event.findById(team.event).select('teams');
+  const minSize = event && event.teams ? event.teams.minSize : 1;
+  const status = team.members.length >= minSize ? 'pending' : 'forming';
+  if (team.status !== status) {
+    team.status = status;
+    await team.save();
+  }
+  return team;
+};
+
+// Take a member out of their team after their registration ended. The
+// captaincy passes to the longest-standing member; a team nobody is left in
+// is withdrawn. Teams that are no longer active are left as they were.
+const leaveTeam = async (teamId, userId) => {
+  const team = await Team.findOneAndUpdate(
+    { _id: teamId, status: { $in: ACTIVE_TEAM_STATUSES } },
+    { $pull: { members: { user: userId } } },
+    { new: true }
+  );
+  if (!team) return null;
+
+  if (team.members.length === 0) {
+    team.status = 'withdrawn';
+  } else if (team.isCaptain(userId)) {
+    team.captain = team.members[0].user;
+  }
+  await team.save();
+  return syncTeamStatus(team);
+};
+
+// Team with each member's registration and the team's attendance.
+// registrations are the members' registrations for the event.
+const describeTeam = (team, registrations = []) => {
+  const byUser = new Map(registrations.map(registration => [
+    (registration.participant._id || registration.participant).toString(),
+    registration
+  ]));
+
+  const members = team.members.map(member => {
+    const registration = byUser.get((member.user._id || member.user).toString());
+    return {
+      user: member.user,
+      joinedAt: member.joinedAt,
+      isCaptain: team.isCaptain(member.user),
+      registration: registration
+        ? { _id: registration._id, status: registration.status, paymentStatus: registration.paymentStatus, attended: registration.attended }
+        : null
+    };
+  });
+  const attended = members.filter(member => member.registration && member.registration.attended).length;
+
+  return {
+    ...team.toObject(),
+    members,
+    size: members.length,
+    attendance: { attended, members: members.length, present: attended > 0 }
+  };
+};
+
+// One row per team member, for spreadsheets. teams are described teams whose
+// member users are populated; columns are registration form columns and
+// answers their formatted answers, keyed by registration ID.
+const teamsToCsv = (teams, { columns = [], answers = new Map() } = {}) => {
+  const header = ['Team', 'Team status', 'Captain', 'Name', 'Email', 'Scholar number', 'Department', 'Year',
+    'Registration status', 'Attended', ...columns.map(column => column.label)];
+  const rows = teams.flatMap(team => team.members.map(member => [
+    team.name,
+    team.status,
+    member.isCaptain ? 'yes' : '',
+    member.user.fullName,
+    member.user.email,
+    member.user.scholarNumber,
+    member.user.department,
+    member.user.year,
+    member.registration ? member.registration.status : '',
+    member.registration && member.registration.attended ? 'yes' : 'no',
+    ...(member.registration ? answers.get(member.registration._id.toString()) || [] : [])
+  ]));
+
+  return toCsv([header, ...rows]);
+};
+
+module.exports = {
+  ACTIVE_TEAM_STATUSES,
+  isTeamNameTaken,
+  createTeam,
+  claimTeamSpot,
+  releaseTeamSpot,
+  syncTeamStatus,
+  leaveTeam,
+  describeTeam,
+  teamsToCsv
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Registration = require('../models/Registration');
+const { publishRegistration } = require('./realtime');
+
+const TICKET_TYPE = 'ticket';
+
+const getSigningSecret = () => process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// New value for a registration's ticketNonce
+const createTicketNonce = () => crypto.randomBytes(8).toString('hex');
+
+// Signed ticket token for a registration (the QR code payload), valid until
+// the event ends. Registrations from before ticket nonces get one first.
+const createTicketToken = async (registration, event) => {
+  if (!registration.ticketNonce) {
+    await Registration.updateOne(
+      { _id: registration._id, ticketNonce: { $exists: false } },
+      { $set: { ticketNonce: createTicketNonce() } }
+    );
+    const { ticketNonce } = await Registration.findById(registration._id).select('ticketNonce');
+    registration.ticketNonce = ticketNonce;
+  }
+
+  const payload = {
+    typ: TICKET_TYPE,
+    reg: registration._id.toString(),
+    evt: event._id.toString(),
+    nce: registration.ticketNonce
+  };
+  if (event.endsAt) payload.exp = Math.floor(event.endsAt.getTime() / 1000);
+
+  return jwt.sign(payload, getSigningSecret());
+};
+
+// Decode a ticket token; null when it is malformed, expired or has been tampered with
+const verifyTicketToken = (token) => {
+  try {
+    const payload = jwt.verify(token, getSigningSecret());
+    if (payload.typ !== TICKET_TYPE || !payload.reg || !payload.evt || !payload.nce) return null;
+    return { registrationId: payload.reg, eventId: payload.evt, nonce: payload.nce };
+  } catch (error) {
+    return null;
+  }
+};
+
+// PNG data URL of the QR code for a ticket token
+const createTicketQrCode = (token) => {
+  return QRCode.toDataURL(token, { errorCorrectionLevel: 'M', margin: 2, width: 300 });
+};
+
+// Check in the holder of a ticket at an event. Resolves to { status, registration }
+// where status is one of checked_in, duplicate, wrong_event, invalid or not_registered.
+// Counters are not synced here so batches can sync once at the end.
+const checkInTicket = async (event, token, { scannedBy, scannedAt = new Date(), method = 'scan' } = {}) => {
+  const ticket = typeof token === 'string' ? verifyTicketToken(token) : null;
+  if (!ticket) {
+    return { status: 'invalid' };
+  }
+
+  if (ticket.eventId !== event._id.toString()) {
+    return { status: 'wrong_event' };
+  }
+
+  // Atomic so two devices scanning the same ticket cannot both check it in
+  const registration = await Registration.findOneAndUpdate(
+    {
+      _id: ticket.registrationId,
+      event: event._id,
+      ticketNonce: ticket.nonce,
+      registrationType: { $ne: 'coordinator' },
+      status: 'confirmed',
+      isActive: true,
+      attended: false
+    },
+    {
+      $set: {
+        attended: true,
+        attendanceDate: scannedAt,
+        checkedInBy: scannedBy,
+        checkInMethod: method
+      }
+    },
+    { new: true }
+  );
+
+  if (registration) {
+    publishRegistration('checkin', registration, 'checked_in');
+    return { status: 'checked_in', registration };
+  }
+
+  const existing = await Registration.findOne({ _id: ticket.registrationId, event: event._id, ticketNonce: ticket.nonce });
+  if (existing && existing.attended) {
+    return { status: 'duplicate', registration: existing };
+  }
+
+  // Cancelled, no longer confirmed or registered again since the ticket was issued
+  return { status: 'not_registered' };
+};
+
+module.exports = {
+  createTicketNonce,
+  createTicketToken,
+  verifyTicketToken,
+  createTicketQrCode,
+  checkInTicket
+};
@@ -0,0 +1,149 @@
+// Event times. Organizers enter the calendar day (startDate/endDate) and the
+// wall-clock time (startTime/endTime) in the event's IANA timezone; these
+// helpers turn them into the instants (startsAt/endsAt) everything compares.
+
+// Timezone of events that do not name one
+const defaultTimezone = () => process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const formatters = new Map();
+
+// Formatter giving the wall-clock parts of an instant in a timezone
+const partsFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    partsFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// { year, month (1-12), day, hour, minute, second } of an instant in a timezone
+const localParts = (date, timezone) => {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return parts;
+};
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const offsetAt = (date, timezone) => {
+  const parts = localParts(date, timezone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// "14:30", "9:00", "2:30 PM" -> { hours, minutes }; null when unreadable
+const parseTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const meridiem = match[3] ? match[3][0].toLowerCase() : null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'p' && hours !== 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  return { hours, minutes };
+};
+
+// Calendar day as a Date at UTC midnight. "2026-11-02..." strings keep the
+// day as written, whatever offset follows; Dates keep their UTC day. Anything
+// else is returned as is for Mongoose to reject.
+const toCalendarDay = (value) => {
+  if (typeof value === 'string') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value.trim());
+    if (match) return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  }
+  if (value instanceof Date || typeof value === 'number') {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+  return value;
+};
+
+// Instant of a wall-clock time on a calendar day in a timezone. Times skipped
+// by a daylight saving change move forward by the size of the gap.
+const zonedDateTime = (day, { hours, minutes }, timezone) => {
+  const date = new Date(day);
+  const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours, minutes);
+
+  // The offset at the first guess can differ from the one at the answer
+  // around daylight saving changes, so a second guess uses the offset found.
+  // Inside a gap neither shows the wall-clock time; the later one is the
+  // time moved forward.
+  const shows = (instant) => offsetAt(new Date(instant), timezone) === wallClock - instant;
+  const first = wallClock - offsetAt(new Date(wallClock), timezone);
+  const second = wallClock - offsetAt(new Date(first), timezone);
+
+  if (shows(first)) return new Date(first);
+  if (shows(second)) return new Date(second);
+  return new Date(Math.max(first, second));
+};
+
+// { startsAt, endsAt } of an event or session; either is null when its time
+// cannot be read
+const scheduleInstants = (period, timezone) => {
+  const startTime = parseTime(period.startTime);
+  const endTime = parseTime(period.endTime);
+  const zone = timezone || defaultTimezone();
+
+  return {
+    startsAt: period.startDate && startTime ? zonedDateTime(period.startDate, startTime, zone) : null,
+    endsAt: period.endDate && endTime ? zonedDateTime(period.endDate, endTime, zone) : null
+  };
+};
+
+// Calendar day of an instant in a timezone, as a Date at UTC midnight
+const calendarDayIn = (date, timezone) => {
+  const parts = localParts(new Date(date), timezone);
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+};
+
+// "Mon, 2 Nov 2026, 10:00 GMT+5:30" for messages
+const formatInTimezone = (date, timezone) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || defaultTimezone(),
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  }).format(new Date(date));
+};
+
+module.exports = {
+  defaultTimezone,
+  isValidTimezone,
+  parseTime,
+  toCalendarDay,
+  zonedDateTime,
+  scheduleInstants,
+  calendarDayIn,
+  formatInTimezone
+};
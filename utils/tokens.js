@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+
+// Hash a token before storing or looking it up in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random token and its hash (only the hash is persisted)
+const createHashedToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hashedToken: hashToken(token) };
+};
+
+// Codes people type in avoid characters that are easy to mix up (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Random upper-case code such as "K7MZQ2HD"
+const generateCode = (length = 8) => {
+  return Array.from({ length }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+};
+
+module.exports = {
+  hashToken,
+  createHashedToken,
+  generateCode
+};
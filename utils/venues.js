@@ -0,0 +1,137 @@
+const Event = require('../models/Event');
+const EventSession = require('../models/EventSession');
+const Venue = require('../models/Venue');
+const { registrationError } = require('./registrations');
+const { withDocumentLock } = require('./locks');
+
+// Slots an event holds its booked venue for: the event itself, or each
+// scheduled session of a series that is not held somewhere else
+const bookingSlots = (event, sessions = []) => {
+  if (!event.isSeries) {
+    return event.startsAt && event.endsAt ? [{ startsAt: event.startsAt, endsAt: event.endsAt }] : [];
+  }
+  return sessions
+    .filter(session => session.status === 'scheduled' && !session.venue)
+    .map(session => ({ startsAt: session.startsAt, endsAt: session.endsAt, session: session._id }));
+};
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// Booking as shown to anyone; titles of private events stay hidden
+const describeBooking = (booking) => ({
+  event: {
+    _id: booking.event._id,
+    title: booking.event.isPublic ? booking.event.title : 'Reserved'
+  },
+  session: booking.session,
+  startsAt: booking.startsAt,
+  endsAt: booking.endsAt
+});
+
+// Bookings of a venue overlapping [from, to), by active events and the
+// sessions of active series, sorted by start
+const findVenueBookings = async (venueId, from, to, { excludeEvent } = {}) => {
+  const filter = { bookedVenue: venueId, isActive: true, startsAt: { $lt: to }, endsAt: { $gt: from } };
+  if (excludeEvent) filter._id = { $ne: excludeEvent };
+  const events = await Event.find(filter).select('title isPublic isSeries startsAt endsAt');
+
+  const seriesIds = events.filter(event => event.isSeries).map(event => event._id);
+  const sessions = seriesIds.length > 0
+    ? await EventSession.find({
+      event: { $in: seriesIds },
+      status: 'scheduled',
+      startsAt: { $lt: to },
+      endsAt: { $gt: from }
+    })
+    : [];
+
+  const range = { startsAt: from, endsAt: to };
+  const bookings = events.flatMap(event => {
+    const slots = bookingSlots(event, sessions.filter(session => session.event.equals(event._id)));
+    return slots.filter(slot => overlaps(slot, range)).map(slot => ({ event, ...slot }));
+  });
+
+  return bookings.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// Other bookings of a venue that overlap any of the slots
+const findVenueConflicts = async (venueId, slots, { excludeEvent } = {}) => {
+  if (slots.length === 0) return [];
+
+  const from = new Date(Math.min(...slots.map(slot => slot.startsAt.getTime())));
+  const to = new Date(Math.max(...slots.map(slot => slot.endsAt.getTime())));
+  const bookings = await findVenueBookings(venueId, from, to, { excludeEvent });
+
+  return bookings.filter(booking => slots.some(slot => overlaps(slot, booking)));
+};
+
+// 409 listing the bookings in the way
+const conflictError = (label, conflicts) => {
+  const error = registrationError(409, `${label} is already booked at that time`);
+  error.conflicts = conflicts.map(describeBooking);
+  return error;
+};
+
+// Book the event's venue: take the venue's label, keep maxParticipants within
+// its capacity (an unlimited event gets the capacity) and make sure the slots
+// are free. Overlaps are rejected unless allowConflict is set, in which case
+// the event is flagged. sessions are the series' sessions. Returns the
+// overlapping bookings. Call it inside withVenueLock together with saving
+// the event.
+const bookVenue = async (event, { sessions = [], allowConflict = false } = {}) => {
+  if (!event.bookedVenue) {
+    event.venueConflict = false;
+    return [];
+  }
+
+  const venue = await Venue.findOne({ _id: event.bookedVenue, isActive: true });
+  if (!venue) {
+    throw registrationError(400, 'Venue not found');
+  }
+
+  event.venue = venue.getLabel();
+  if (!event.maxParticipants) {
+    event.maxParticipants = venue.capacity;
+  } else if (event.maxParticipants > venue.capacity) {
+    throw registrationError(400, `Max participants cannot be more than the venue capacity (${venue.capacity})`);
+  }
+
+  const conflicts = await findVenueConflicts(venue._id, bookingSlots(event, sessions), { excludeEvent: event._id });
+  if (conflicts.length > 0 && !allowConflict) {
+    throw conflictError(venue.getLabel(), conflicts);
+  }
+
+  event.venueConflict = conflicts.length > 0;
+  return conflicts.map(describeBooking);
+};
+
+// Run task while holding the venue's booking lock. Conflict checks and the
+// writes that follow them go inside, so bookings of one venue happen one at
+// a time. Without a venue the task just runs.
+const withVenueLock = (venueId, task) => {
+  return withDocumentLock(Venue, venueId, 'booking', task, {
+    busyMessage: 'The venue is being booked by someone else, please try again'
+  });
+};
+
+// Reject session changes of a series that would overlap another booking of
+// its venue. Call it inside withVenueLock together with saving the sessions.
+const checkSessionBookings = async (event, sessions) => {
+  if (!event.bookedVenue) return;
+
+  const conflicts = await findVenueConflicts(event.bookedVenue, bookingSlots({ isSeries: true }, sessions), {
+    excludeEvent: event._id
+  });
+  if (conflicts.length > 0) {
+    const venue = await Venue.findById(event.bookedVenue);
+    throw conflictError(venue ? venue.getLabel() : event.venue, conflicts);
+  }
+};
+
+module.exports = {
+  describeBooking,
+  findVenueBookings,
+  bookVenue,
+  withVenueLock,
+  checkSessionBookings
+};
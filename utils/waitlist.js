@@ -0,0 +1,94 @@
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { notifyWaitlistOffer } = require('./notifications');
+const { withDocumentLock } = require('./locks');
+
+// Check if an event has a free seat for a new registration
+const hasFreeSeat = async (event) => {
+  if (!event.maxParticipants || event.maxParticipants <= 0) return true;
+  const taken = await Registration.countSeatsTaken(event._id);
+  return taken < event.maxParticipants;
+};
+
+// Run task while no other registration or seat offer is being made for the
+// event, so a seat counted as free is still free when it is taken
+const withSeatLock = (eventId, task) => {
+  return withDocumentLock(Event, eventId, 'seats', task, {
+    busyMessage: 'Too many people are registering right now, please try again'
+  });
+};
+
+const hasWaitlist = (event) => event.isActive && event.waitlistEnabled && event.maxParticipants > 0;
+
+// Expire unanswered offers and offer every free seat to the next people in
+// line. Call it inside withSeatLock; resolves to the offers made, which the
+// caller sends once the lock is released.
+const offerFreeSeats = async (event) => {
+  if (!hasWaitlist(event)) {
+    return [];
+  }
+
+  // Offers that ran out give the seat back
+  await Registration.updateMany(
+    { event: event._id, status: 'waitlisted', isActive: true, offerExpiresAt: { $lte: new Date() } },
+    { $set: { status: 'cancelled', coordinatorNotes: 'Waitlist offer expired' } }
+  );
+
+  // No point offering seats after registration has closed
+  if (new Date() > event.registrationDeadline) {
+    return [];
+  }
+
+  const offers = [];
+  let freeSeats = event.maxParticipants - await Registration.countSeatsTaken(event._id);
+
+  while (freeSeats > 0) {
+    const now = new Date();
+    const registration = await Registration.findOneAndUpdate(
+      { event: event._id, status: 'waitlisted', isActive: true, offerExpiresAt: { $exists: false } },
+      {
+        $set: {
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + event.waitlistOfferWindowHours * 60 * 60 * 1000)
+        }
+      },
+      { sort: { waitlistedAt: 1 }, new: true }
+    );
+
+    if (!registration) break;
+
+    offers.push(registration);
+    freeSeats--;
+  }
+
+  return offers;
+};
+
+// Let the people offered a seat know
+const sendWaitlistOffers = async (offers, event) => {
+  for (const registration of offers) {
+    await notifyWaitlistOffer(registration, event);
+  }
+};
+
+// Expire unanswered offers and offer every free seat to the next people in line.
+// Safe to call whenever a seat may have been freed.
+const processWaitlist = async (eventOrId) => {
+  const event = eventOrId instanceof Event ? eventOrId : await Event.findById(eventOrId);
+  if (!event || !hasWaitlist(event)) {
+    return [];
+  }
+
+  const offers = await withSeatLock(event._id, () => offerFreeSeats(event));
+  await sendWaitlistOffers(offers, event);
+
+  return offers;
+};
+
+module.exports = {
+  hasFreeSeat,
+  withSeatLock,
+  offerFreeSeats,
+  sendWaitlistOffers,
+  processWaitlist
+};